@@ -1,5 +1,7 @@
 // src/lib/supaApi.js
 import { supabase } from "../supabaseClient";
+import { closeRoundWith } from "../../supabase/functions/_shared/roundEngine.js";
+import { selectNextStatement, markStatementUsedWith } from "../../supabase/functions/_shared/statementSelection.js";
 
 /** ===================== Auth helpers ===================== **/
 export async function getUser() {
@@ -94,6 +96,30 @@ export async function toggleEditionActive(id, active) {
   return data;
 }
 
+// Follow-up edition for groups with exhaustion_policy = next_edition
+export async function setNextEdition(id, nextEditionId) {
+  const { data, error } = await supabase
+    .from("editions")
+    .update({ next_edition_id: nextEditionId || null })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Default voting mode for rounds with statements from this edition
+export async function setEditionVotingMode(id, { pickCount, scoring }) {
+  const { data, error } = await supabase
+    .from("editions")
+    .update({ pick_count: pickCount, scoring })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
 export async function deleteEdition(id) {
   const { error } = await supabase.from("editions").delete().eq("id", id);
   if (error) throw error;
@@ -109,10 +135,10 @@ export async function listStatements({ editionId } = {}) {
   return data;
 }
 
-export async function createStatement({ text, editionId }) {
+export async function createStatement({ text, editionId, type = "member", category = null, rating = null, tags = [] }) {
   const { data, error } = await supabase
     .from("statements")
-    .insert({ text: text.trim(), edition_id: editionId })
+    .insert({ text: text.trim(), edition_id: editionId, type, category, rating, tags })
     .select()
     .single();
   if (error) throw error;
@@ -130,6 +156,19 @@ export async function updateStatementText(id, text) {
   return data;
 }
 
+// Type (member, scale, this_or_that, free_text), category and rating for the selection strategies,
+// tags for the trait cloud on the personal mirror page
+export async function updateStatementMeta(id, { type = "member", category = null, rating = null, tags = [] }) {
+  const { data, error } = await supabase
+    .from("statements")
+    .update({ type, category: category || null, rating: rating || null, tags })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
 export async function deleteStatement(id) {
   const { error } = await supabase.from("statements").delete().eq("id", id);
   if (error) throw error;
@@ -305,6 +344,19 @@ export async function renameGroup(groupId, newName) {
   return data;
 }
 
+// Owner-editable group settings (tie policy, …) – keys are column names on groups
+export async function updateGroupSettings(groupId, settings) {
+  const { data, error } = await supabase
+    .from("groups")
+    .update(settings)
+    .eq("id", groupId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
 export async function deleteGroup(groupId) {
   // Lösche zuerst alle abhängigen Daten in der richtigen Reihenfolge
   // (Alternativ: CASCADE DELETE in der Datenbank einrichten)
@@ -344,11 +396,7 @@ export async function deleteGroup(groupId) {
         .eq("group_id", groupId);
     }
     
-    // 2. Lösche Points
-    await supabase
-      .from("points")
-      .delete()
-      .eq("group_id", groupId);
+    // 2. Points: das Ledger wird mit der Gruppe gelöscht (on delete cascade)
     
     // 3. Lösche Group Members
     await supabase
@@ -421,7 +469,9 @@ export async function getActiveRound(groupId) {
     .select(`
       *,
       statements(id, text),
-      votes(voter, target),
+      votes(voter, target, ranking, scale_value, answer),
+      vote_reasons(voter, reason),
+      round_predictions(user_id, lands_on_me, predicted_winner),
       round_results(closed_at, winner, votes_count)
     `)
     .eq("group_id", groupId)
@@ -440,8 +490,8 @@ export async function getActiveRound(groupId) {
   // Check if round is closed
   const isClosed = latestRound.round_results && latestRound.round_results.length > 0;
   
-  if (isClosed) {
-    return null; // No active round if latest is closed
+  if (isClosed || latestRound.cancelled_at) {
+    return null; // No active round if latest is closed or cancelled
   }
   
   // Check if expired
@@ -452,20 +502,30 @@ export async function getActiveRound(groupId) {
     return null; // Expired, should be closed
   }
   
+  // votes only contains what the group's privacy allows (at least the own vote),
+  // so the number of votes cast comes from the aggregate RPC
+  const summary = await getRoundVoteSummary(latestRound.id);
+  latestRound.votes_cast = summary.votes_cast;
+  latestRound.vote_counts = summary.counts;
+  latestRound.vote_summary = summary.summary;
+  latestRound.votes_counted = summary.votes_counted ?? summary.votes_cast; // towards the quorum
+  latestRound.votes_needed = summary.votes_needed;
+  
   return latestRound;
 }
 
-export async function createRound({ groupId, statementId, expiresIn = 24 * 60 * 60 * 1000 }) {
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + expiresIn);
-  
+// expiresAt comes from the group's schedule (see roundExpiresAt in _shared/schedule.js).
+// pickCount/scoring override the voting mode of the statement's edition for this round.
+export async function createRound({ groupId, statementId, issuedAt = new Date(), expiresAt, pickCount = null, scoring = null }) {
   const { data, error } = await supabase
     .from("rounds")
     .insert({
       group_id: groupId,
       statement_id: statementId,
-      issued_at: now.toISOString(),
-      expires_at: expiresAt.toISOString()
+      issued_at: issuedAt.toISOString(),
+      expires_at: expiresAt.toISOString(),
+      pick_count: pickCount,
+      scoring
     })
     .select()
     .single();
@@ -497,74 +557,83 @@ export async function triggerNewRoundEmail(roundId) {
   }
 }
 
-export async function closeRound(roundId, winner, votesCount) {
-  // Prüfe zuerst ob schon ein round_result existiert
-  const { data: existing } = await supabase
-    .from("round_results")
-    .select("*")
-    .eq("round_id", roundId)
-    .single();
+// Same close path as the cron: the close_round RPC tallies and scores atomically
+export async function closeRound(roundId) {
+  const { result, created } = await closeRoundWith(supabase, roundId);
+  if (!created) console.log("Round already closed");
   
-  if (existing) {
-    console.log("Round already closed");
-    return existing;
+  // Ein Gleichstand mit Tie-Policy "runoff" startet direkt eine Stichrunde
+  if (created && result.runoff_round_id) {
+    await triggerNewRoundEmail(result.runoff_round_id);
   }
+  return result;
+}
+
+/** ===================== Owner round controls ===================== **/
+// All of these are owner-only RPCs that also write to round_audit_log
+export async function extendRound(roundId, hours) {
+  const { data, error } = await supabase.rpc("extend_round", { p_round_id: roundId, p_hours: hours });
+  if (error) throw error;
+  return data;
+}
+
+// statementId comes from nextStatementForGroup; the RPC checks it belongs to the group's deck
+export async function rerollRoundStatement(roundId, statementId) {
+  const { data, error } = await supabase.rpc("reroll_round_statement", {
+    p_round_id: roundId,
+    p_statement_id: statementId
+  });
+  if (error) throw error;
+  return data;
+}
+
+export async function cancelRound(roundId, reason = null) {
+  const { data, error } = await supabase.rpc("cancel_round", { p_round_id: roundId, p_reason: reason });
+  if (error) throw error;
+  return data;
+}
+
+export async function reopenRound(roundId, hours = null) {
+  const { data, error } = await supabase.rpc("reopen_round", { p_round_id: roundId, p_hours: hours });
+  if (error) throw error;
+  return data;
+}
 
+export async function listRoundAuditLog(groupId, { limit = 20 } = {}) {
   const { data, error } = await supabase
-    .from("round_results")
-    .insert({
-      round_id: roundId,
-      winner,
-      votes_count: votesCount,
-      closed_at: new Date().toISOString()
-    })
-    .select()
-    .single();
-  
-  if (error) {
-    console.error("Error closing round:", error);
-    throw error;
-  }
-  
-  // Update points if there's a winner
-  if (winner) {
-    const { data: round } = await supabase
-      .from("rounds")
-      .select("group_id")
-      .eq("id", roundId)
-      .single();
-    
-    if (round) {
-      try {
-        await incrementPoints(winner, round.group_id, 1);
-      } catch (e) {
-        console.error("Error updating points:", e);
-      }
-    }
-  }
+    .from("round_audit_log")
+    .select(`
+      *,
+      actor_profile:profiles!actor(id, email, first_name, last_name)
+    `)
+    .eq("group_id", groupId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
   
+  if (error) throw error;
   return data;
 }
 
 /** ===================== Votes ===================== **/
-export async function submitVote({ roundId, target }) {
-  const userId = await getUserId();
-  if (!userId) throw new Error("Not authenticated");
-  
-  const { data, error } = await supabase
-    .from("votes")
-    .upsert({
-      round_id: roundId,
-      voter: userId,
-      target // can be null for abstain
-    })
-    .select()
-    .single();
-  
+// ranking: ordered picks for ranked / multi-pick rounds – the first one is stored as target too.
+// scaleValue (1–5) and answer are for scale and free-text statements.
+// reason is the optional anonymous "why", stored separately in vote_reasons –
+// the submit_vote RPC writes both in one transaction.
+export async function submitVote({ roundId, target = null, ranking = null, scaleValue = null, answer = null, reason = null }) {
+  const { data, error } = await supabase.rpc("submit_vote", {
+    p_round_id: roundId,
+    p_target: ranking?.length ? ranking[0] : target, // can be null for abstain
+    p_ranking: ranking?.length ? ranking : null,
+    p_scale_value: scaleValue,
+    p_answer: answer?.trim() || null,
+    p_reason: reason?.trim() || null
+  });
   if (error) throw error;
   return data;
 }
 
+// Individual votes – RLS only returns the caller's own vote unless the group's
+// vote_privacy allows more (open, or reveal_after_close once the round is closed)
 export async function getVotes(roundId) {
   const { data, error } = await supabase
     .from("votes")
@@ -579,13 +648,87 @@ export async function getVotes(roundId) {
   return data;
 }
 
+// Removes the own vote while the round is still open (logged in vote_history)
+export async function withdrawVote(roundId) {
+  const { error } = await supabase.rpc("withdraw_vote", { p_round_id: roundId });
+  if (error) throw error;
+  return true;
+}
+
+// Free-text answers of a closed round, shuffled and without authors
+export async function getRoundAnswers(roundId) {
+  const { data, error } = await supabase.rpc("round_answers", { p_round_id: roundId });
+  if (error) throw error;
+  return (data || []).map(r => r.answer);
+}
+
+// Reasons of a closed round grouped by the member they were given for – never with the author
+export async function getRoundReasons(roundId) {
+  const { data, error } = await supabase.rpc("round_reasons", { p_round_id: roundId });
+  if (error) throw error;
+  const byTarget = {};
+  for (const r of data || []) {
+    if (!byTarget[r.target]) byTarget[r.target] = [];
+    byTarget[r.target].push(r.reason);
+  }
+  return byTarget;
+}
+
+// Own guess before the round closes: does it land on me, and/or who wins.
+// Both empty removes the prediction.
+export async function savePrediction({ roundId, landsOnMe = null, predictedWinner = null }) {
+  const userId = await getUserId();
+  if (!userId) throw new Error("Not authenticated");
+  
+  const { error } = landsOnMe == null && !predictedWinner
+    ? await supabase
+        .from("round_predictions")
+        .delete()
+        .eq("round_id", roundId)
+        .eq("user_id", userId)
+    : await supabase
+        .from("round_predictions")
+        .upsert({ round_id: roundId, user_id: userId, lands_on_me: landsOnMe, predicted_winner: predictedWinner || null });
+  if (error) throw error;
+  return true;
+}
+
+// Predictions of a closed round with the outcome: { user_id, lands_on_me, predicted_winner, won, correct }.
+// Other members' rows are anonymous (only correct is set) unless the group's vote privacy shows the votes.
+export async function getRoundPredictions(roundId) {
+  const { data, error } = await supabase.rpc("round_predictions_revealed", { p_round_id: roundId });
+  if (error) throw error;
+  return data || [];
+}
+
+// Owners only (RLS): casts, changes and withdrawals of a round – no targets
+export async function listVoteHistory(roundId) {
+  const { data, error } = await supabase
+    .from("vote_history")
+    .select("voter, action, created_at")
+    .eq("round_id", roundId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// Aggregated votes, safe in every privacy mode: { votes_cast, counts }
+// counts (target -> votes) is null while voting is still running
+export async function getRoundVoteSummary(roundId) {
+  const { data, error } = await supabase.rpc("round_vote_summary", { p_round_id: roundId });
+  if (error) throw error;
+  return data;
+}
+
 /** ===================== Comments ===================== **/
+// Flat list in posting order – replies carry parent_id (one level deep)
 export async function listComments(roundId) {
   const { data, error } = await supabase
     .from("comments")
     .select(`
       *,
-      profiles!author(id, email, first_name, last_name, image_url)
+      profiles!author(id, email, first_name, last_name, image_url),
+      comment_reactions(user_id, emoji)
     `)
     .eq("round_id", roundId)
     .order("created_at", { ascending: true });
@@ -594,7 +737,7 @@ export async function listComments(roundId) {
   return data;
 }
 
-export async function createComment({ roundId, text }) {
+export async function createComment({ roundId, text, parentId = null }) {
   const userId = await getUserId();
   if (!userId) throw new Error("Not authenticated");
   
@@ -603,7 +746,8 @@ export async function createComment({ roundId, text }) {
     .insert({
       round_id: roundId,
       author: userId,
-      text: text.trim()
+      text: text.trim(),
+      parent_id: parentId
     })
     .select(`
       *,
@@ -615,60 +759,235 @@ export async function createComment({ roundId, text }) {
   return data;
 }
 
-/** ===================== Points (Leaderboard) ===================== **/
-export async function getLeaderboard(groupId) {
+export async function toggleReaction(commentId, emoji, active) {
+  const userId = await getUserId();
+  if (!userId) throw new Error("Not authenticated");
+  
+  const { error } = active
+    ? await supabase
+        .from("comment_reactions")
+        .upsert(
+          { comment_id: commentId, user_id: userId, emoji },
+          { onConflict: "comment_id,user_id,emoji", ignoreDuplicates: true } // Double click: already there
+        )
+    : await supabase
+        .from("comment_reactions")
+        .delete()
+        .eq("comment_id", commentId)
+        .eq("user_id", userId)
+        .eq("emoji", emoji);
+  if (error) throw error;
+  return true;
+}
+
+export async function markCommentsRead(roundId) {
+  const { error } = await supabase.rpc("mark_comments_read", { p_round_id: roundId });
+  if (error) throw error;
+  return true;
+}
+
+// Authors only – sets the "edited" marker
+export async function updateComment(commentId, text) {
+  const { data, error } = await supabase
+    .from("comments")
+    .update({ text: text.trim() })
+    .eq("id", commentId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+// Authors only – replies to the comment are removed with it
+export async function deleteComment(commentId) {
+  const { error } = await supabase.from("comments").delete().eq("id", commentId);
+  if (error) throw error;
+  return true;
+}
+
+// Owners only – hidden comments are only visible to their author and the owner
+export async function setCommentHidden(commentId, hidden) {
+  const { error } = await supabase
+    .from("comments")
+    .update({ hidden_at: hidden ? new Date().toISOString() : null })
+    .eq("id", commentId);
+  if (error) throw error;
+  return true;
+}
+
+export async function reportComment(commentId, reason = null) {
+  const userId = await getUserId();
+  if (!userId) throw new Error("Not authenticated");
+  
+  const { error } = await supabase
+    .from("comment_reports")
+    .insert({ comment_id: commentId, reporter: userId, reason: reason?.trim() || null });
+  if (error) {
+    if (error.code === "23505") throw new Error("You already reported this comment");
+    throw error;
+  }
+  return true;
+}
+
+// Owners only (RLS): open reports in the group, with the reported comment
+export async function listCommentReports(groupId) {
   const { data, error } = await supabase
-    .from("points")
+    .from("comment_reports")
     .select(`
       *,
-      profiles!user_id(id, email, first_name, last_name, image_url)
+      comments!inner(id, text, author, hidden_at, round_id, rounds!inner(group_id)),
+      reporter_profile:profiles!reporter(id, email, first_name, last_name)
+    `)
+    .eq("comments.rounds.group_id", groupId)
+    .is("resolved_at", null)
+    .order("created_at", { ascending: false });
+  
+  if (error) throw error;
+  return data || [];
+}
+
+export async function resolveCommentReport(reportId) {
+  const { error } = await supabase
+    .from("comment_reports")
+    .update({ resolved_at: new Date().toISOString() })
+    .eq("id", reportId);
+  if (error) throw error;
+  return true;
+}
+
+// Owners only (RLS): edits, deletions, hides and reports in the group
+export async function listCommentModerationLog(groupId, { limit = 20 } = {}) {
+  const { data, error } = await supabase
+    .from("comment_moderation_log")
+    .select(`
+      *,
+      actor_profile:profiles!actor(id, email, first_name, last_name)
     `)
     .eq("group_id", groupId)
-    .order("points", { ascending: false });
+    .order("created_at", { ascending: false })
+    .limit(limit);
   
   if (error) throw error;
-  return data;
+  return data || [];
 }
 
-export async function incrementPoints(userId, groupId, points = 1) {
-  // First try to update existing record
-  const { data: existing } = await supabase
-    .from("points")
-    .select("points")
-    .eq("user_id", userId)
+// { groupId: number of comments by others not seen yet }
+export async function getUnreadCommentCounts() {
+  const { data, error } = await supabase.rpc("unread_comment_counts");
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(r => [r.group_id, r.unread]));
+}
+
+/** ===================== Points (Leaderboard) ===================== **/
+// Aggregated by the group_leaderboard RPC: points, wins, participation, streak and
+// rank movement per member. from / to (Date) limit it to rounds closed in that range.
+export async function getLeaderboard(groupId, { from = null, to = null } = {}) {
+  const { data, error } = await supabase.rpc("group_leaderboard", {
+    p_group_id: groupId,
+    p_from: from ? from.toISOString() : null,
+    p_to: to ? to.toISOString() : null
+  });
+  
+  if (error) throw error;
+  return data || [];
+}
+
+// Owner only: compares the points ledger with round_results. With fix, every
+// mismatch gets an adjustment entry appended. Rows: { user_id, round_id, expected, actual, fixed }
+export async function reconcilePoints(groupId, { fix = false } = {}) {
+  const { data, error } = await supabase.rpc("reconcile_points", { p_group_id: groupId, p_fix: fix });
+  if (error) throw error;
+  return data || [];
+}
+
+/** ===================== Seasons ===================== **/
+// Newest first – the open season (ended_at null) is always the first one
+export async function listSeasons(groupId) {
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("*")
     .eq("group_id", groupId)
-    .single();
+    .order("number", { ascending: false });
   
-  if (existing) {
-    const { error } = await supabase
-      .from("points")
-      .update({ points: existing.points + points })
-      .eq("user_id", userId)
-      .eq("group_id", groupId);
-    
-    if (error) throw error;
-  } else {
-    const { error } = await supabase
-      .from("points")
-      .insert({ user_id: userId, group_id: groupId, points });
-    
-    if (error) throw error;
-  }
+  if (error) throw error;
+  return data || [];
+}
+
+// Owner only: freezes the standings, resets points and starts the next season
+export async function endSeason(groupId) {
+  const { data, error } = await supabase.rpc("end_season", { p_group_id: groupId });
+  if (error) throw error;
   
-  return true;
+  const { error: emailError } = await supabase.functions.invoke("send-season-email", {
+    body: { season_id: data.season.id }
+  });
+  if (emailError) console.error("Error triggering season email:", emailError);
+  
+  return data.season;
 }
 
-/** ===================== Statement selection ===================== **/
-export async function rpcNextStatementForGroup(groupId) {
-  const { data, error } = await supabase.rpc("next_statement_for_group", { g: groupId });
+/** ===================== Badges ===================== **/
+// Awarded by the database when a round closes – names and emojis in _shared/badges.js
+export async function listGroupBadges(groupId) {
+  const { data, error } = await supabase
+    .from("member_badges")
+    .select("*")
+    .eq("group_id", groupId)
+    .order("awarded_at", { ascending: true });
+
   if (error) throw error;
-  return data ?? null;
+  return data || [];
+}
+
+export async function listMyBadges() {
+  const userId = await getUserId();
+  if (!userId) throw new Error("Not authenticated");
+
+  const { data, error } = await supabase
+    .from("member_badges")
+    .select("*, groups(name)")
+    .eq("user_id", userId)
+    .order("awarded_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/** ===================== Mirror ===================== **/
+// The signed-in user's closed rounds across all groups (my_mirror RPC):
+// { round_id, group_id, group_name, statement_text, category, tags, closed_at, picks, voters, won }
+export async function getMyMirror() {
+  const { data, error } = await supabase.rpc("my_mirror");
+  if (error) throw error;
+  return data || [];
+}
+
+/** ===================== Statement selection ===================== **/
+// Same selection as the cron: the group's strategy, deck weights and exhaustion policy
+export async function nextStatementForGroup(group, { seed = null } = {}) {
+  return selectNextStatement(supabase, group, { seed });
 }
 
 export async function markStatementUsed(groupId, statementId) {
-  const { error } = await supabase
-    .from("group_used_statements")
-    .insert({ group_id: groupId, statement_id: statementId });
+  return markStatementUsedWith(supabase, groupId, statementId);
+}
+
+// Active editions with how many statements this group has not used yet
+export async function getGroupEditionOptions(groupId) {
+  const { data, error } = await supabase.rpc("group_edition_options", { p_group_id: groupId });
+  if (error) throw error;
+  return data || [];
+}
+
+// The first edition becomes the group's primary edition.
+// weights line up with editionIds (relative, e.g. [70, 30]); null keeps the current ones.
+export async function setGroupEditions(groupId, editionIds, weights = null) {
+  const { error } = await supabase.rpc("set_group_editions", {
+    p_group_id: groupId,
+    p_edition_ids: editionIds,
+    p_weights: weights
+  });
   if (error) throw error;
   return true;
 }
@@ -681,4 +1000,33 @@ export async function joinGroupByInvite(inviteCode) {
   // inviteCode is the group_id for now
   // Use RPC function to avoid recursion issues
   return addGroupMember(inviteCode, userId);
-}
\ No newline at end of file
+}
+
+/** ===================== Realtime ===================== **/
+// Live updates for the open group and round views. onChange(table, row) is called per
+// change; the returned function removes the channel (use it as the useEffect cleanup).
+// Vote changes arrive as rounds updates (last_vote_at), since RLS hides other members'
+// votes in anonymous groups.
+export function subscribeToGroup(groupId, onChange) {
+  const channel = supabase
+    .channel(`group:${groupId}`)
+    .on("postgres_changes", { event: "*", schema: "public", table: "rounds", filter: `group_id=eq.${groupId}` },
+      (payload) => onChange("rounds", payload.new))
+    // round_results has no group_id – its RLS limits this to the user's groups, the caller filters by round
+    .on("postgres_changes", { event: "INSERT", schema: "public", table: "round_results" },
+      (payload) => onChange("round_results", payload.new))
+    .subscribe();
+  
+  return () => { supabase.removeChannel(channel); };
+}
+
+export function subscribeToRound(roundId, onChange) {
+  const channel = supabase.channel(`round:${roundId}`);
+  for (const [table, column] of [["rounds", "id"], ["votes", "round_id"], ["comments", "round_id"], ["round_results", "round_id"]]) {
+    channel.on("postgres_changes", { event: "*", schema: "public", table, filter: `${column}=eq.${roundId}` },
+      (payload) => onChange(table, payload.new));
+  }
+  channel.subscribe();
+  
+  return () => { supabase.removeChannel(channel); };
+}
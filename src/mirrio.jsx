@@ -11,27 +11,45 @@ import {
   getProfile, upsertProfile,
   // Editions & Statements
   listEditions, listStatements,
-  createEdition, renameEdition, changeEditionSlug, toggleEditionActive, deleteEdition,
-  createStatement, updateStatementText, deleteStatement,
+  createEdition, renameEdition, changeEditionSlug, toggleEditionActive, setNextEdition, setEditionVotingMode, deleteEdition,
+  createStatement, updateStatementText, updateStatementMeta, deleteStatement,
   // Groups
   listGroups, getGroup, createGroup, addGroupMember,
-  renameGroup, deleteGroup, leaveGroup,
+  renameGroup, updateGroupSettings, deleteGroup, leaveGroup,
   // Rounds
   listRounds, getActiveRound, createRound, closeRound,
+  extendRound, rerollRoundStatement, cancelRound, reopenRound, listRoundAuditLog,
   // Votes
-  submitVote, getVotes,
+  submitVote, withdrawVote, listVoteHistory, getVotes, getRoundVoteSummary, getRoundAnswers, getRoundReasons,
+  savePrediction, getRoundPredictions,
   // Comments
-  listComments, createComment,
+  listComments, createComment, toggleReaction, markCommentsRead, getUnreadCommentCounts,
+  updateComment, deleteComment, setCommentHidden, reportComment,
+  listCommentReports, resolveCommentReport, listCommentModerationLog,
   // Leaderboard
-  getLeaderboard, incrementPoints,
+  getLeaderboard, listSeasons, endSeason, reconcilePoints,
+  // Badges
+  listGroupBadges, listMyBadges,
+  // Mirror
+  getMyMirror,
   // Statement selection
-  rpcNextStatementForGroup, markStatementUsed,
+  nextStatementForGroup, markStatementUsed,
+  getGroupEditionOptions, setGroupEditions,
   // Join group
-  joinGroupByInvite
+  joinGroupByInvite,
+  // Realtime
+  subscribeToGroup, subscribeToRound
 } from "./lib/supaApi";
+import {
+  rankResults, eligibleTargets, isRoundExpired, quorumReached, votesMissing, shouldCloseRound, ballotOf, votingModeOf, ballotError,
+  statementTypeOf, isMemberVote, SCALE_LABELS, MAX_ANSWER_LENGTH, MAX_REASON_LENGTH
+} from "../supabase/functions/_shared/roundEngine.js";
+import {
+  nextDropAt, roundExpiresAt, formatInTimezone, isValidTimezone, seasonEndsAt
+} from "../supabase/functions/_shared/schedule.js";
+import { BADGES, badgeLabel, badgeEmoji } from "../supabase/functions/_shared/badges.js";
 
 const ADMIN_UUID = "5744d1ce-d6f5-42fb-9f0e-5e9126b845ca";
-const DAY = 2 * 60 * 1000;
 
 function humanTime(ms) {
   if (ms <= 0) return "0s";
@@ -54,6 +72,28 @@ function humanTime(ms) {
   return `${seconds}s`;
 }
 
+// Borda rounds award points, every other scoring counts votes
+function scoreLabel(score, scoring) {
+  const unit = scoring === "borda" ? "point" : "vote";
+  return `${score} ${unit}${score !== 1 ? 's' : ''}`;
+}
+
+const STATEMENT_TYPE_LABELS = {
+  member: "Who fits best?",
+  scale: "Agree / disagree scale",
+  this_or_that: "This or that (two random members)",
+  free_text: "Free-text answer"
+};
+
+const SCORING_LABELS = {
+  fptp: "First choice counts",
+  borda: "Ranked vote (Borda count)",
+  approval: "Multi-pick (approval)"
+};
+
+// Same set as the check on comment_reactions.emoji
+const COMMENT_REACTIONS = ["👍", "😂", "❤️", "😮", "🔥", "🤔"];
+
 function useTicker(interval = 1000) {
   const [, setT] = useState(0);
   useEffect(() => {
@@ -383,8 +423,14 @@ useEffect(() => {
         {view === "home" && !user && <HomeView onGetStarted={() => setView("login")} />}
         {view === "login" && !user && <AuthView />}
         {view === "profile" && user && (
-          <ProfileView user={user} profile={profile} onUpdate={() => location.reload()} />
+          <ProfileView
+            user={user}
+            profile={profile}
+            onUpdate={() => location.reload()}
+            onOpenMirror={() => setView("mirror")}
+          />
         )}
+        {view === "mirror" && user && <MirrorView onBack={() => setView("profile")} />}
         {view === "groups" && user && (
           <GroupsView user={user} setView={setView} setActiveGroupId={setActiveGroupId} />
         )}
@@ -663,7 +709,7 @@ function AuthView() {
 
 // Aktualisierte ProfileView Komponente mit Supabase Storage
 
-function ProfileView({ user, profile, onUpdate }) {
+function ProfileView({ user, profile, onUpdate, onOpenMirror }) {
   const [firstName, setFirstName] = useState(profile?.first_name || "");
   const [lastName, setLastName] = useState(profile?.last_name || "");
   const [imageUrl, setImageUrl] = useState(profile?.image_url || "");
@@ -887,6 +933,16 @@ function ProfileView({ user, profile, onUpdate }) {
         </button>
       </div>
 
+      <button
+        className="w-full p-3 border-4 border-black font-bold"
+        style={{ backgroundColor: '#fed89e' }}
+        onClick={onOpenMirror}
+      >
+        🪞 How your groups see you
+      </button>
+
+      <ProfileBadges />
+
       {/* Password Section */}
       <div className="border-t-4 border-black pt-4">
         <button
@@ -932,6 +988,224 @@ function ProfileView({ user, profile, onUpdate }) {
   );
 }
 
+// Badges across all groups – hidden ones show up as ??? until earned
+function ProfileBadges() {
+  const [badges, setBadges] = useState([]);
+
+  useEffect(() => {
+    listMyBadges()
+      .then(setBadges)
+      .catch(e => console.error("Error loading badges:", e));
+  }, []);
+
+  const unearned = Object.entries(BADGES).filter(([key]) => !badges.some(b => b.badge === key));
+
+  return (
+    <div className="border-t-4 border-black pt-4 space-y-2">
+      <div className="font-extrabold">Badges</div>
+      {badges.length === 0 && (
+        <div className="text-sm opacity-70">No badges yet – they are awarded when a round closes.</div>
+      )}
+      {badges.map(b => (
+        <div key={b.id} className="flex items-center gap-2 text-sm">
+          <span className="text-xl">{badgeEmoji(b)}</span>
+          <span className="font-bold">{badgeLabel(b)}</span>
+          <span className="ml-auto text-xs opacity-70">{b.groups?.name}</span>
+        </div>
+      ))}
+      {unearned.map(([key, def]) => (
+        <div key={key} className="flex items-center gap-2 text-sm opacity-40">
+          <span className="text-xl">{def.hidden ? "❔" : def.emoji}</span>
+          <span className="font-bold">{def.hidden ? "???" : def.name}</span>
+          <span className="ml-auto text-xs">{def.hidden ? "Hidden badge" : def.description}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// How every group sees you – built from your closed rounds only, visible to you alone
+function MirrorView({ onBack }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    getMyMirror()
+      .then(setRows)
+      .catch(e => console.error("Error loading mirror:", e))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const share = (picks, voters) => voters > 0 ? Math.round(100 * picks / voters) : 0;
+  const traitsOf = (row) => row.tags?.length ? row.tags : row.category ? [row.category] : [];
+
+  function topTraits(list) {
+    const weights = {};
+    for (const row of list) {
+      for (const trait of traitsOf(row)) weights[trait] = (weights[trait] || 0) + row.picks;
+    }
+    return Object.entries(weights)
+      .filter(([, weight]) => weight > 0)
+      .sort((a, b) => b[1] - a[1]);
+  }
+
+  const picked = rows
+    .filter(r => r.picks > 0)
+    .sort((a, b) => share(b.picks, b.voters) - share(a.picks, a.voters));
+  const traits = topTraits(rows);
+  const maxTrait = traits[0]?.[1] || 1;
+
+  const groups = Object.values(rows.reduce((acc, row) => {
+    const g = acc[row.group_id] ||= { id: row.group_id, name: row.group_name, rows: [], picks: 0, voters: 0, wins: 0 };
+    g.rows.push(row);
+    g.picks += row.picks;
+    g.voters += row.voters;
+    if (row.won) g.wins++;
+    return acc;
+  }, {})).sort((a, b) => share(b.picks, b.voters) - share(a.picks, a.voters));
+
+  const months = Object.entries(rows.reduce((acc, row) => {
+    const month = row.closed_at.slice(0, 7);
+    const m = acc[month] ||= { picks: 0, voters: 0, rounds: 0 };
+    m.picks += row.picks;
+    m.voters += row.voters;
+    m.rounds++;
+    return acc;
+  }, {})).slice(-12);
+  const maxMonth = Math.max(1, ...months.map(([, m]) => share(m.picks, m.voters)));
+
+  const predictions = rows.filter(r => r.prediction_correct != null);
+  const selfGuesses = rows.filter(r => r.predicted_self != null);
+
+  return (
+    <section className="space-y-4">
+      <button className="text-sm underline" onClick={onBack}>← Back to profile</button>
+      <h1 className="text-2xl font-black">🪞 Your mirror</h1>
+      <div className="text-sm opacity-70">
+        How your groups see you, from every closed round you could be picked in. Only you can see this page.
+      </div>
+
+      {loading ? (
+        <div className="text-sm opacity-70">Loading...</div>
+      ) : rows.length === 0 ? (
+        <div className="text-sm opacity-70">No closed rounds yet – check back after your first round ends.</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div className="p-2 border-4 border-black">
+              <div className="text-2xl font-black">{rows.length}</div>
+              <div className="text-xs opacity-70">rounds</div>
+            </div>
+            <div className="p-2 border-4 border-black">
+              <div className="text-2xl font-black">{picked.length}</div>
+              <div className="text-xs opacity-70">times picked</div>
+            </div>
+            <div className="p-2 border-4 border-black" style={{ backgroundColor: '#fed89e' }}>
+              <div className="text-2xl font-black">{rows.filter(r => r.won).length}</div>
+              <div className="text-xs opacity-70">wins</div>
+            </div>
+          </div>
+
+          {/* Self-image vs. group view */}
+          {predictions.length > 0 && (
+            <div className="p-3 border-4 border-black">
+              <div className="font-extrabold mb-2">🔮 Self-image</div>
+              <div className="text-sm">
+                <b>{share(predictions.filter(r => r.prediction_correct).length, predictions.length)}%</b> of your
+                {" "}{predictions.length} prediction{predictions.length !== 1 ? "s" : ""} were right.
+              </div>
+              {selfGuesses.length > 0 && (
+                <div className="mt-1 text-xs opacity-70">
+                  You expected to be the pick {selfGuesses.filter(r => r.predicted_self).length} time(s)
+                  and won {selfGuesses.filter(r => r.predicted_self && r.won).length} of those;
+                  {" "}you won {selfGuesses.filter(r => !r.predicted_self && r.won).length} time(s) you didn't see coming.
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Trait cloud */}
+          <div className="p-3 border-4 border-black">
+            <div className="font-extrabold mb-2">Traits</div>
+            {traits.length === 0 ? (
+              <div className="text-sm opacity-70">None of the statements you were picked for have traits yet.</div>
+            ) : (
+              <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1">
+                {traits.map(([trait, weight]) => (
+                  <span
+                    key={trait}
+                    className="font-bold"
+                    style={{ fontSize: `${0.8 + 1.2 * weight / maxTrait}rem`, opacity: 0.5 + 0.5 * weight / maxTrait }}
+                    title={`${weight} pick${weight !== 1 ? "s" : ""}`}
+                  >
+                    {trait}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Per group */}
+          <div className="p-3 border-4 border-black">
+            <div className="font-extrabold mb-2">By group</div>
+            <div className="grid gap-2">
+              {groups.map(g => (
+                <div key={g.id} className="p-2 border-2 border-black">
+                  <div className="flex items-center gap-2">
+                    <span className="font-bold flex-1">{g.name}</span>
+                    <span className="px-2 py-0.5 border border-black text-sm">{share(g.picks, g.voters)}% of votes</span>
+                  </div>
+                  <div className="mt-1 text-xs opacity-70">
+                    {g.rows.length} round{g.rows.length !== 1 ? "s" : ""}
+                    {" · "}
+                    {g.wins} win{g.wins !== 1 ? "s" : ""}
+                    {topTraits(g.rows).length > 0 && ` · seen as ${topTraits(g.rows).slice(0, 3).map(([t]) => t).join(", ")}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Trend */}
+          <div className="p-3 border-4 border-black">
+            <div className="font-extrabold mb-2">Over time</div>
+            <div className="grid gap-1">
+              {months.map(([month, m]) => (
+                <div key={month} className="flex items-center gap-2 text-xs">
+                  <span className="w-16">{month}</span>
+                  <div className="flex-1 border border-black h-4">
+                    <div className="h-full bg-black" style={{ width: `${100 * share(m.picks, m.voters) / maxMonth}%` }} />
+                  </div>
+                  <span className="w-20 text-right">{share(m.picks, m.voters)}% · {m.rounds} rd{m.rounds !== 1 ? "s" : ""}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Statements */}
+          <div className="p-3 border-4 border-black">
+            <div className="font-extrabold mb-2">You were picked for</div>
+            {picked.length === 0 ? (
+              <div className="text-sm opacity-70">Nobody has picked you yet.</div>
+            ) : (
+              <div className="grid gap-2">
+                {picked.map(r => (
+                  <div key={r.round_id} className="p-2 border-2 border-black" style={{ backgroundColor: r.won ? '#fed89e' : 'white' }}>
+                    <div className="text-sm font-bold">"{r.statement_text}"{r.won && " 👑"}</div>
+                    <div className="mt-1 text-xs opacity-70">
+                      {r.group_name} · {r.picks} of {r.voters} vote{r.voters !== 1 ? "s" : ""} · {new Date(r.closed_at).toLocaleDateString()}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
 function GroupsView({ user, setView, setActiveGroupId }) {
   const [groups, setGroups] = useState([]);
   const [editions, setEditions] = useState([]);
@@ -940,6 +1214,7 @@ function GroupsView({ user, setView, setActiveGroupId }) {
   const [loading, setLoading] = useState(true);
   const [creating, setCreating] = useState(false);
   const [groupVotingStatus, setGroupVotingStatus] = useState({});
+  const [unreadComments, setUnreadComments] = useState({});
   const loadedRef = useRef(false); // Track if already loaded
 
   useEffect(() => {
@@ -952,8 +1227,9 @@ function GroupsView({ user, setView, setActiveGroupId }) {
   async function loadData() {
     setLoading(true);
     try {
-      const [grps, eds] = await Promise.all([listGroups(), listEditions()]);
+      const [grps, eds, unread] = await Promise.all([listGroups(), listEditions(), getUnreadCommentCounts()]);
       setGroups(grps);
+      setUnreadComments(unread);
       const activeEditions = eds.filter(e => e.active);
       setEditions(activeEditions);
       // Auto-select first active edition
@@ -1037,6 +1313,13 @@ function GroupsView({ user, setView, setActiveGroupId }) {
                     VOTE NOW!
                   </span>
                 )}
+                {unreadComments[g.id] > 0 && (
+                  <span className="px-2 py-0.5 border-2 border-black text-xs font-bold"
+                        style={{ backgroundColor: '#fed89e' }}
+                        title="New comments in the discussion">
+                    💬 {unreadComments[g.id]} new
+                  </span>
+                )}
                 <span className="ml-auto text-xs px-2 py-0.5 border-2 border-black">
                   {memberCount} member{memberCount !== 1 ? 's' : ''}
                 </span>
@@ -1102,7 +1385,7 @@ function GroupsView({ user, setView, setActiveGroupId }) {
                 ))}
               </select>
               <div className="text-xs opacity-70">
-                The edition determines which statements your group will use. This cannot be changed later.
+                The edition determines which statements your group will use. You can change it later in Group Management.
               </div>
             </>
           )}
@@ -1151,35 +1434,53 @@ function GroupDetail({ groupId, user, setView, setActiveRoundId }) {
   const [group, setGroup] = useState(null);
   const [rounds, setRounds] = useState([]);
   const [activeRound, setActiveRound] = useState(null);
+  const [badges, setBadges] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refresh, setRefresh] = useState(0);
   
   // States für Gruppenverwaltung
+  const [tab, setTab] = useState("rounds"); // rounds, leaderboard
   const [showManagement, setShowManagement] = useState(false);
   const [editingName, setEditingName] = useState(false);
   const [newGroupName, setNewGroupName] = useState("");
   const [saving, setSaving] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  
+  // Realtime: changes by other members reload the group without the loading screen
+  const [live, setLive] = useState(0);
+  const liveUpdate = useRef(false);
+  const activeRoundId = useRef(null);
 
   useTicker(1000); // For countdown timer
 
   useEffect(() => {
     loadGroupData();
-  }, [groupId, refresh]);
+  }, [groupId, refresh, live]);
   
+  useEffect(() => subscribeToGroup(groupId, (table, row) => {
+    if (table === "round_results" && row?.round_id !== activeRoundId.current) return;
+    if (liveUpdate.current) return; // a reload is already pending
+    liveUpdate.current = true;
+    setLive(n => n + 1);
+  }), [groupId]);
 
   async function loadGroupData() {
-    setLoading(true);
+    const quiet = liveUpdate.current;
+    liveUpdate.current = false;
+    if (!quiet) setLoading(true);
     try {
-      const [grp, rnds, active] = await Promise.all([
+      const [grp, rnds, active, bdgs] = await Promise.all([
         getGroup(groupId),
         listRounds(groupId),
-        getActiveRound(groupId)
+        getActiveRound(groupId),
+        listGroupBadges(groupId)
       ]);
       
       setGroup(grp);
       setRounds(rnds);
       setActiveRound(active);
+      activeRoundId.current = active?.id ?? null;
+      setBadges(bdgs);
       setNewGroupName(grp.name);
     } catch (e) {
       console.error("Error loading group:", e);
@@ -1190,47 +1491,21 @@ function GroupDetail({ groupId, user, setView, setActiveRoundId }) {
 
   async function handleStartNewRound() {
   try {
-    const editionId = group.edition_id;
-    if (!editionId) {
-      alert("Group has no edition assigned!");
-      return;
-    }
+    // Nächstes Statement – gleiche Auswahl (inkl. Exhaustion-Policy) wie beim Cron
+    const { statement: stmt, exhausted } = await nextStatementForGroup(group);
     
-    // Hole alle Statements der Edition
-    const { data: allStatements, error: stmtError } = await supabase
-      .from("statements")
-      .select("*")
-      .eq("edition_id", editionId)
-      .eq("deleted", false);
-    
-    if (stmtError) throw stmtError;
-    
-    // Hole bereits verwendete Statements
-    const { data: usedStatements, error: usedError } = await supabase
-      .from("group_used_statements")
-      .select("statement_id")
-      .eq("group_id", groupId);
-    
-    if (usedError) throw usedError;
-    
-    // Filtere unbenutzte Statements
-    const usedIds = usedStatements?.map(u => u.statement_id) || [];
-    const unusedStatements = allStatements.filter(s => !usedIds.includes(s.id));
-    
-    if (unusedStatements.length === 0) {
-      alert("No unused statements left in this edition!");
+    if (exhausted) {
+      alert("No unused statements left! Switch or add an edition in Group Management, or allow statements to be reused.");
       return;
     }
     
-    // Wähle zufälliges Statement
-    const randomIndex = Math.floor(Math.random() * unusedStatements.length);
-    const stmt = unusedStatements[randomIndex];
-    
-    // Erstelle neue Round
+    // Erstelle neue Round – gleiche Laufzeit wie beim Cron
+    const issuedAt = new Date();
     const round = await createRound({
       groupId,
       statementId: stmt.id,
-      expiresIn: DAY
+      issuedAt,
+      expiresAt: roundExpiresAt(group, issuedAt)
     });
     
     // Markiere Statement als verwendet
@@ -1256,8 +1531,8 @@ function GroupDetail({ groupId, user, setView, setActiveRoundId }) {
             id: round.id,
             group_id: groupId,
             statement_id: stmt.id,
-            issued_at: round.issued_at || new Date().toISOString(),
-            expires_at: round.expires_at || new Date(Date.now() + DAY).toISOString()
+            issued_at: round.issued_at,
+            expires_at: round.expires_at
           }
         })
       });
@@ -1286,39 +1561,19 @@ function GroupDetail({ groupId, user, setView, setActiveRoundId }) {
 }
 
   async function checkAndCloseRound() {
-  if (!activeRound) return;
-  
-  const now = new Date();
-  const expires = new Date(activeRound.expires_at);
-  
-  // Prüfe ob Round schon geschlossen wurde
-  if (activeRound.round_results && activeRound.round_results.length > 0) {
-    return; // Already closed
-  }
+  if (!shouldCloseRound({
+    round: activeRound,
+    votesCast: activeRound?.votes_counted || 0,
+    memberCount: group?.group_members?.length || 0
+  })) return;
   
-  if (now > expires || activeRound.votes?.length >= group.group_members?.length) {
-    const voteCounts = {};
-    activeRound.votes?.forEach(v => {
-      if (v.target) {
-        voteCounts[v.target] = (voteCounts[v.target] || 0) + 1;
-      }
-    });
-    
-    const maxVotes = Math.max(0, ...Object.values(voteCounts));
-    const winners = Object.entries(voteCounts)
-      .filter(([, count]) => count === maxVotes)
-      .map(([userId]) => userId);
-    
-    const winner = winners.length === 1 ? winners[0] : null;
-    
-    try {
-      await closeRound(activeRound.id, winner, maxVotes);
-      // Nur EINMAL refreshen nach dem Schließen
-      setTimeout(() => setRefresh(r => r + 1), 1000);
-    } catch (e) {
-      console.error("Error closing round:", e);
-      // Bei Fehler nicht endlos wiederholen
-    }
+  try {
+    await closeRound(activeRound.id);
+    // Nur EINMAL refreshen nach dem Schließen
+    setTimeout(() => setRefresh(r => r + 1), 1000);
+  } catch (e) {
+    console.error("Error closing round:", e);
+    // Bei Fehler nicht endlos wiederholen
   }
 }
 
@@ -1326,7 +1581,7 @@ useEffect(() => {
   if (activeRound && (!activeRound.round_results || activeRound.round_results.length === 0)) {
     checkAndCloseRound();
   }
-}, [activeRound?.votes?.length]);
+}, [activeRound?.votes_counted]);
 
   async function handleRenameGroup() {
     if (!newGroupName.trim()) {
@@ -1352,6 +1607,31 @@ useEffect(() => {
     }
   }
 
+  async function handleReopenRound(round) {
+    if (!confirm("Reopen voting for this round? Its result and points will be taken back.")) {
+      return;
+    }
+    
+    try {
+      await reopenRound(round.id);
+      setRefresh(r => r + 1);
+    } catch (e) {
+      alert("Error reopening round: " + e.message);
+    }
+  }
+
+  async function handleUpdateSettings(settings) {
+    setSaving(true);
+    try {
+      const updated = await updateGroupSettings(groupId, settings);
+      setGroup({ ...group, ...updated });
+    } catch (e) {
+      alert("Error saving settings: " + e.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
   async function handleDeleteGroup() {
     if (!confirm(`Do you really want to delete the group "${group.name}"? This action cannot be undone.`)) {
       return;
@@ -1369,55 +1649,42 @@ useEffect(() => {
   }
 
   function getVotingResults() {
-    if (!activeRound || !activeRound.votes) return null;
-    
-    const now = new Date();
-    const expires = new Date(activeRound.expires_at);
-    const isExpired = now > expires;
-    const allVoted = activeRound.votes?.length >= group.group_members?.length;
-    const roundClosed = isExpired || allVoted;
-    
-    if (!roundClosed) return null;
+    if (!activeRound) return null;
     
-    const voteCounts = {};
-    group.group_members?.forEach(member => {
-      voteCounts[member.profiles.id] = 0;
-    });
+    const roundClosed = isRoundExpired(activeRound) ||
+      quorumReached(activeRound, activeRound.votes_counted || 0, group.group_members?.length || 0);
     
-    activeRound.votes?.forEach(v => {
-      if (v.target && voteCounts[v.target] !== undefined) {
-        voteCounts[v.target]++;
-      }
-    });
+    // Aggregated counts are only handed out once voting has ended
+    if (!roundClosed || !activeRound.vote_counts) return null;
     
-    const results = Object.entries(voteCounts).map(([userId, votes]) => {
-      const member = group.group_members.find(m => m.profiles.id === userId);
-      return {
-        userId,
-        votes,
-        profile: member?.profiles
-      };
-    }).sort((a, b) => b.votes - a.votes);
+    const type = statementTypeOf(activeRound);
+    if (!isMemberVote(type)) {
+      return { type, summary: activeRound.vote_summary || {}, results: [], maxVotes: 0 };
+    }
     
-    const maxVotes = Math.max(...results.map(r => r.votes));
+    const memberIds = eligibleTargets(activeRound, group.group_members?.map(m => m.profiles.id) || []);
+    const counts = Object.fromEntries(
+      Object.entries(activeRound.vote_counts).filter(([userId]) => memberIds.includes(userId))
+    );
+    const { results, maxVotes } = rankResults(counts, memberIds);
     
-    return { results, maxVotes };
+    return {
+      results: results.map(r => ({
+        ...r,
+        profile: group.group_members.find(m => m.profiles.id === r.userId)?.profiles
+      })),
+      maxVotes
+    };
   }
 
-  // Calculate next statement date (48 hours from last round)
-function getNextStatementDate() {
-  const lastRound = rounds[0]; // Most recent round
-  if (!lastRound) {
-    // Keine vorherige Round, nächster Drop in 48h
-    return new Date(Date.now() + (48 * 60 * 60 * 1000));
+  // Next drop according to the group's schedule (same rule as the cron)
+  function getNextStatementDate() {
+    const lastRound = rounds.find(r => !r.parent_round_id); // Most recent regular round
+    return nextDropAt(group, lastRound, new Date());
   }
-  
-  const baseDate = new Date(lastRound.issued_at);
-  const nextDate = new Date(baseDate.getTime() + (48 * 60 * 60 * 1000)); // 48 Stunden
-  return nextDate;
-}
 
-  const nextStatementTime = getNextStatementDate().getTime() - Date.now();
+  const nextStatementDate = getNextStatementDate();
+  const nextStatementTime = nextStatementDate.getTime() - Date.now();
   const timeLeft = activeRound ? 
     Math.max(0, new Date(activeRound.expires_at).getTime() - Date.now()) : 0;
 
@@ -1426,6 +1693,8 @@ function getNextStatementDate() {
 
   const isOwner = group.owner === user.id;
   const votingResults = getVotingResults();
+  const latestRound = rounds.find(r => !r.cancelled_at);
+  const lastClosedRoundId = latestRound?.round_results?.[0]?.closed_at ? latestRound.id : null;
 
   const hasCompletedRounds = rounds.filter(r => {
   const isClosed = !!r.round_results?.[0]?.closed_at;
@@ -1447,12 +1716,39 @@ function getNextStatementDate() {
         </span>
       </div>
 
+      <div className="flex gap-2">
+        <button
+          className={`px-2 py-1 border-2 border-black ${tab === "rounds" ? "bg-black text-white" : ""}`}
+          onClick={() => setTab("rounds")}
+        >
+          Rounds
+        </button>
+        <button
+          className={`px-2 py-1 border-2 border-black ${tab === "leaderboard" ? "bg-black text-white" : ""}`}
+          onClick={() => setTab("leaderboard")}
+        >
+          Leaderboard
+        </button>
+      </div>
+
+      {tab === "leaderboard" && (
+        <Leaderboard
+          group={group}
+          user={user}
+          refresh={`${refresh}:${rounds.filter(r => r.round_results?.length).length}`} // live: reload when a round closes
+          onSeasonEnded={() => setRefresh(r => r + 1)}
+        />
+      )}
+
+{tab === "rounds" && (
+<>
 {/* Next Statement Countdown - zeigen wenn Voting beendet ist */}
 {activeRound && votingResults && (
   <div className="p-3 border-4 border-black" style={{ backgroundColor: '#ffe4cc' }}>
     <div className="text-sm">
       Next statement drops in: <b>{humanTime(nextStatementTime)}</b>
     </div>
+    <div className="text-xs opacity-70">{formatInTimezone(nextStatementDate, group.timezone || "UTC")}</div>
   </div>
 )}
 
@@ -1464,6 +1760,7 @@ function getNextStatementDate() {
       <div className="text-sm">
         Next statement drops in: <b>{humanTime(nextStatementTime)}</b>
       </div>
+      <div className="text-xs opacity-70">{formatInTimezone(nextStatementDate, group.timezone || "UTC")}</div>
     </div>
     
     <div className="p-3 border-4 border-black bg-yellow-200">
@@ -1506,7 +1803,19 @@ function getNextStatementDate() {
         </div>
       </div>
       
-      {votingResults ? (
+      {votingResults?.type ? (
+        <div className="mt-3">
+          <div className="font-bold mb-2">📊 Results</div>
+          <StatementTypeResults
+            type={votingResults.type}
+            summary={votingResults.summary}
+            onShowAnswers={() => {
+              setView("round-detail");
+              setActiveRoundId(activeRound.id);
+            }}
+          />
+        </div>
+      ) : votingResults ? (
         <div className="mt-3">
           <div className="font-bold mb-2">🏆 Voting Results</div>
           <div className="space-y-1">
@@ -1536,7 +1845,7 @@ function getNextStatementDate() {
                   )}
                 </div>
                 <span className="px-2 py-0.5 border border-black text-sm">
-                  {result.votes} vote{result.votes !== 1 ? 's' : ''}
+                  {scoreLabel(result.votes, activeRound.scoring)}
                 </span>
               </div>
             ))}
@@ -1550,6 +1859,13 @@ function getNextStatementDate() {
           onVoted={() => setRefresh(r => r + 1)}
         />
       )}
+      
+      {isOwner && !votingResults && (
+        <>
+          <OwnerRoundControls round={activeRound} group={group} onChanged={() => setRefresh(r => r + 1)} />
+          <VoteChurn roundId={activeRound.id} refresh={activeRound.votes_cast} />
+        </>
+      )}
     </div>
   </div>
 )}
@@ -1576,26 +1892,44 @@ function getNextStatementDate() {
       if (!isClosed) return null;
       if (activeRound && r.id === activeRound.id) return null;
       
-      const winner = r.round_results?.[0]?.winner;
-      const winnerProfile = group.group_members?.find(m => m.profiles.id === winner)?.profiles;
+      const result = r.round_results?.[0];
+      const winner = result?.winner;
+      const winnerIds = result?.winners?.length ? result.winners : (winner ? [winner] : []);
+      const winnerProfiles = winnerIds
+        .map(id => group.group_members?.find(m => m.profiles.id === id)?.profiles)
+        .filter(Boolean);
       
       return (
         <div key={r.id} className="p-2 border-2 border-black">
           <div className="text-xs opacity-70">
             {new Date(r.issued_at).toLocaleDateString()}
+            {r.parent_round_id && <span className="ml-2 px-1 border border-black">Runoff</span>}
           </div>
           <div className="font-bold">
             {r.statements?.text ? `"${r.statements.text}"` : <i>No statement</i>}
           </div>
-          {winner && winnerProfile ? (
+          {r.statement_type === "scale" ? (
+            <div className="text-sm mt-1">
+              Average: <b>{result?.summary?.average ?? "–"}</b> / 5
+            </div>
+          ) : r.statement_type === "free_text" ? (
+            <div className="text-sm mt-1">
+              <b>{result?.summary?.responses || 0}</b> anonymous answer(s)
+            </div>
+          ) : winnerProfiles.length > 0 ? (
             <div className="text-sm mt-1">
-              Winner: <b>{winnerProfile.first_name || winnerProfile.last_name ? 
-                `${winnerProfile.first_name || ""} ${winnerProfile.last_name || ""}`.trim() : 
-                winnerProfile.email}</b> 👑
+              {winnerProfiles.length > 1 ? "Shared win: " : "Winner: "}
+              <b>{winnerProfiles.map(p => p.first_name || p.last_name ? 
+                `${p.first_name || ""} ${p.last_name || ""}`.trim() : 
+                p.email).join(" & ")}</b> 👑
+              {result?.tie_resolution === "random" && (
+                <span className="ml-1 text-xs opacity-70">(tie, drawn at random)</span>
+              )}
             </div>
           ) : (
             <div className="text-sm mt-1 opacity-70">
-              {winner ? "Winner data not found" : "No winner (tie)"}
+              {winnerIds.length > 0 ? "Winner data not found" :
+                result?.tie_resolution === "runoff" ? "Tie – decided in a runoff" : "No winner (tie)"}
             </div>
           )}
           <button
@@ -1607,6 +1941,14 @@ function getNextStatementDate() {
           >
             View details →
           </button>
+          {isOwner && !activeRound && r.id === lastClosedRoundId && (
+            <button
+              className="mt-2 ml-3 text-xs underline"
+              onClick={() => handleReopenRound(r)}
+            >
+              Reopen voting
+            </button>
+          )}
         </div>
       );
     })}
@@ -1618,6 +1960,8 @@ function getNextStatementDate() {
     )}
   </div>
 </div>
+</>
+)}
 
       {/* Members */}
       <div className="p-3 border-4 border-black">
@@ -1631,6 +1975,11 @@ function getNextStatementDate() {
                   `${profiles.first_name || ""} ${profiles.last_name || ""}`.trim() : 
                   profiles.email}
               />
+              <span className="flex gap-0.5">
+                {badges.filter(b => b.user_id === profiles.id).map(b => (
+                  <span key={b.id} title={badgeLabel(b)}>{badgeEmoji(b)}</span>
+                ))}
+              </span>
               <span className="ml-auto text-xs opacity-70">
                 {profiles.email}
                 {profiles.id === group.owner && (
@@ -1711,6 +2060,136 @@ function getNextStatementDate() {
                   )}
                 </div>
                 
+                <ScheduleSettings group={group} saving={saving} onSave={handleUpdateSettings} />
+                
+                <EditionSettings
+                  group={group}
+                  saving={saving}
+                  onSaved={() => setRefresh(r => r + 1)}
+                  onUpdateSettings={handleUpdateSettings}
+                />
+                
+                <div>
+                  <div className="text-sm font-bold mb-1">When votes tie</div>
+                  <select
+                    className="w-full p-2 border-2 border-black"
+                    value={group.tie_policy || "none"}
+                    onChange={(e) => handleUpdateSettings({ tie_policy: e.target.value })}
+                    disabled={saving}
+                  >
+                    <option value="none">No winner</option>
+                    <option value="shared">Shared win (points are split)</option>
+                    <option value="random">Random draw</option>
+                    <option value="runoff">Short runoff round</option>
+                  </select>
+                  {group.tie_policy === "runoff" && (
+                    <div className="text-xs opacity-70 mt-1">
+                      Only the tied members can be voted for. The runoff lasts {group.runoff_hours || 6}h; if it ties again, the winner is drawn at random.
+                    </div>
+                  )}
+                </div>
+                
+                <div>
+                  <div className="text-sm font-bold mb-1">Who sees who voted for whom</div>
+                  <select
+                    className="w-full p-2 border-2 border-black"
+                    value={group.vote_privacy || "anonymous"}
+                    onChange={(e) => handleUpdateSettings({ vote_privacy: e.target.value })}
+                    disabled={saving}
+                  >
+                    <option value="anonymous">Nobody – only vote counts are shown</option>
+                    <option value="reveal_after_close">Everyone, once the round is closed</option>
+                    <option value="open">Everyone, right away</option>
+                  </select>
+                </div>
+                
+                <div>
+                  <div className="text-sm font-bold mb-1">Close a round early when</div>
+                  <select
+                    className="w-full p-2 border-2 border-black"
+                    value={group.quorum_mode || "percent"}
+                    onChange={(e) => handleUpdateSettings({ quorum_mode: e.target.value })}
+                    disabled={saving}
+                  >
+                    <option value="percent">A share of all members has voted</option>
+                    <option value="active">All active members have voted</option>
+                  </select>
+                  {(group.quorum_mode || "percent") === "percent" ? (
+                    <div className="mt-1 flex items-center gap-2 text-sm">
+                      <input
+                        type="number"
+                        min={1}
+                        max={100}
+                        className="w-20 p-1 border-2 border-black"
+                        defaultValue={group.quorum_percent || 100}
+                        key={group.quorum_percent}
+                        onBlur={(e) => {
+                          const percent = Math.min(100, Math.max(1, parseInt(e.target.value) || 100));
+                          if (percent !== (group.quorum_percent || 100)) handleUpdateSettings({ quorum_percent: percent });
+                        }}
+                        disabled={saving}
+                      />
+                      % of members
+                    </div>
+                  ) : (
+                    <div className="text-xs opacity-70 mt-1">
+                      Active means having voted in at least one of the last 3 rounds.
+                    </div>
+                  )}
+                  <div className="text-xs opacity-70 mt-1">
+                    Who has to vote is fixed when a round starts – members joining mid-round don't count towards it.
+                  </div>
+                </div>
+                
+                <div>
+                  <div className="text-sm font-bold mb-1">Season length</div>
+                  <select
+                    className="w-full p-2 border-2 border-black"
+                    value={group.season_length_days || ""}
+                    onChange={(e) => handleUpdateSettings({ season_length_days: e.target.value ? Number(e.target.value) : null })}
+                    disabled={saving}
+                  >
+                    <option value="">No fixed length – I end seasons myself</option>
+                    <option value="14">14 days</option>
+                    <option value="30">30 days</option>
+                    <option value="60">60 days</option>
+                    <option value="90">90 days</option>
+                    <option value="180">180 days</option>
+                    <option value="365">1 year</option>
+                  </select>
+                  <div className="text-xs opacity-70 mt-1">
+                    When a season ends, the standings are archived, a champion is crowned and points reset.
+                  </div>
+                </div>
+                
+                <div>
+                  <div className="text-sm font-bold mb-1">Voting rules</div>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={group.allow_self_vote !== false}
+                      onChange={(e) => handleUpdateSettings({ allow_self_vote: e.target.checked })}
+                      disabled={saving}
+                    />
+                    Members can vote for themselves
+                  </label>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={group.allow_abstain !== false}
+                      onChange={(e) => handleUpdateSettings({ allow_abstain: e.target.checked })}
+                      disabled={saving}
+                    />
+                    Members can abstain
+                  </label>
+                </div>
+                
+                <RoundAuditLog groupId={groupId} refresh={refresh} />
+                
+                <CommentModeration groupId={groupId} refresh={refresh} />
+                
+                <PointsCheck group={group} />
+                
                 <div>
                   <div className="text-sm font-bold mb-1 text-red-600">Danger Zone</div>
                   <button
@@ -1762,29 +2241,909 @@ function getNextStatementDate() {
   );
 }
 
-function RoundDetail({ roundId, groupId, user, setView }) {
-  const [round, setRound] = useState(null);
-  const [group, setGroup] = useState(null);
-  const [votes, setVotes] = useState([]);
-  const [comments, setComments] = useState([]);
-  const [newComment, setNewComment] = useState("");
-  const [loading, setLoading] = useState(true);
-  const [submitting, setSubmitting] = useState(false);
+// Results of scale and free-text rounds – there is no winner, just the aggregate
+function StatementTypeResults({ type, summary = {}, answers = null, onShowAnswers }) {
+  if (type === "scale") {
+    const distribution = summary.distribution || {};
+    const maxCount = Math.max(1, ...Object.values(distribution));
+    
+    return (
+      <div className="space-y-1">
+        <div className="text-sm mb-2">
+          Average: <b>{summary.average ?? "–"}</b> / 5 · {summary.responses || 0} response(s)
+        </div>
+        {Object.entries(SCALE_LABELS).map(([value, label]) => {
+          const count = distribution[value] || 0;
+          return (
+            <div key={value} className="flex items-center gap-2 text-sm">
+              <span className="w-32 shrink-0">{label}</span>
+              <div className="flex-1 h-4 border border-black">
+                <div className="h-full" style={{ width: `${(count / maxCount) * 100}%`, backgroundColor: '#fed89e' }} />
+              </div>
+              <span className="w-6 text-right">{count}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+  
+  if (type === "free_text") {
+    if (!answers) {
+      return (
+        <div className="text-sm">
+          <b>{summary.responses || 0}</b> anonymous answer(s).
+          {onShowAnswers && (
+            <button className="ml-2 underline" onClick={onShowAnswers}>Read them →</button>
+          )}
+        </div>
+      );
+    }
+    
+    return answers.length > 0 ? (
+      <div className="space-y-2">
+        {answers.map((answer, idx) => (
+          <div key={idx} className="p-2 border-2 border-black">“{answer}”</div>
+        ))}
+      </div>
+    ) : (
+      <div className="text-sm opacity-70">No answers yet – they are revealed together once the round is closed.</div>
+    );
+  }
+  
+  return null;
+}
+
+// Owner view of vote changes in a round – counts only, vote_history has no targets
+function VoteChurn({ roundId, refresh }) {
+  const [history, setHistory] = useState([]);
 
   useEffect(() => {
-    loadRoundData();
-  }, [roundId]);
+    listVoteHistory(roundId)
+      .then(setHistory)
+      .catch(e => console.error("Error loading vote history:", e));
+  }, [roundId, refresh]);
 
-  async function loadRoundData() {
-    setLoading(true);
-    try {
-      // Hole Round mit allen Details
-      const { data: roundData } = await supabase
-        .from("rounds")
-        .select(`
-          *,
-          statements(text),
-          round_results(winner, votes_count, closed_at)
+  const changes = history.filter(h => h.action === "change");
+  const withdrawals = history.filter(h => h.action === "withdraw").length;
+  const changedBy = new Set(changes.map(h => h.voter)).size;
+
+  if (changes.length === 0 && withdrawals === 0) return null;
+
+  return (
+    <div className="mt-2 text-xs opacity-70">
+      🔄 {changes.length} vote change{changes.length !== 1 ? "s" : ""}
+      {changedBy > 0 && ` by ${changedBy} member${changedBy !== 1 ? "s" : ""}`}
+      {withdrawals > 0 && `, ${withdrawals} withdrawal${withdrawals !== 1 ? "s" : ""}`}
+    </div>
+  );
+}
+
+// Owner actions on the active round – each one is logged in round_audit_log
+function OwnerRoundControls({ round, group, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [hours, setHours] = useState(6);
+  const [busy, setBusy] = useState(false);
+
+  async function run(action, confirmText) {
+    if (confirmText && !confirm(confirmText)) return;
+    
+    setBusy(true);
+    try {
+      await action();
+      onChanged();
+    } catch (e) {
+      alert("Error: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Replacement picked like a new round (strategy, deck weights, exhaustion policy)
+  async function reroll() {
+    const { statement } = await nextStatementForGroup(group);
+    if (!statement || statement.id === round.statement_id) {
+      throw new Error("No other statement available. Add an edition in Group Management or allow statements to be reused.");
+    }
+    return rerollRoundStatement(round.id, statement.id);
+  }
+
+  return (
+    <div className="mt-4 border-t-2 border-black pt-3">
+      <button className="text-sm underline" onClick={() => setOpen(!open)}>
+        {open ? "Hide owner controls" : "Owner controls"}
+      </button>
+      
+      {open && (
+        <div className="mt-2 grid gap-2">
+          <div className="flex gap-2">
+            <select
+              className="flex-1 p-2 border-2 border-black"
+              value={hours}
+              onChange={(e) => setHours(Number(e.target.value))}
+              disabled={busy}
+            >
+              <option value={1}>+1 hour</option>
+              <option value={6}>+6 hours</option>
+              <option value={12}>+12 hours</option>
+              <option value={24}>+24 hours</option>
+            </select>
+            <button
+              className="flex-1 p-2 border-2 border-black font-bold disabled:opacity-60"
+              style={{ backgroundColor: '#d8e1fc' }}
+              onClick={() => run(() => extendRound(round.id, hours))}
+              disabled={busy}
+            >
+              Extend voting
+            </button>
+          </div>
+          {!round.parent_round_id && (
+            <button
+              className="p-2 border-2 border-black font-bold disabled:opacity-60"
+              style={{ backgroundColor: '#fed89e' }}
+              onClick={() => run(
+                reroll,
+                "Swap the statement? Votes cast so far are discarded and the current statement goes back into the pool."
+              )}
+              disabled={busy}
+            >
+              Swap statement
+            </button>
+          )}
+          <button
+            className="p-2 border-2 border-black font-bold disabled:opacity-60"
+            style={{ backgroundColor: '#ffcccc' }}
+            onClick={() => run(
+              () => cancelRound(round.id),
+              "Cancel this round? Nobody gets points for it."
+            )}
+            disabled={busy}
+          >
+            Cancel round
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Leaderboard tab – everything is aggregated by the group_leaderboard RPC
+function Leaderboard({ group, user, refresh, onSeasonEnded }) {
+  const [range, setRange] = useState("all"); // all, season, month, custom
+  const [customFrom, setCustomFrom] = useState("");
+  const [customTo, setCustomTo] = useState("");
+  const [rows, setRows] = useState([]);
+  const [seasons, setSeasons] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    listSeasons(group.id)
+      .then(setSeasons)
+      .catch(e => console.error("Error loading seasons:", e));
+  }, [group.id, refresh]);
+
+  const currentSeason = seasons.find(s => !s.ended_at);
+  const seasonStart = currentSeason?.started_at;
+
+  useEffect(() => {
+    const now = new Date();
+    const bounds = range === "month"
+      ? { from: new Date(now.getFullYear(), now.getMonth(), 1), to: null }
+      : range === "season"
+        ? { from: seasonStart ? new Date(seasonStart) : null, to: null }
+        : range === "custom"
+        ? {
+            from: customFrom ? new Date(`${customFrom}T00:00`) : null,
+            // End date is inclusive
+            to: customTo ? new Date(new Date(`${customTo}T00:00`).getTime() + 24 * 60 * 60 * 1000) : null
+          }
+        : { from: null, to: null };
+    
+    setLoading(true);
+    getLeaderboard(group.id, bounds)
+      .then(setRows)
+      .catch(e => console.error("Error loading leaderboard:", e))
+      .finally(() => setLoading(false));
+  }, [group.id, range, customFrom, customTo, seasonStart, refresh]);
+
+  const profileOf = (id) => group.group_members?.find(m => m.profiles.id === id)?.profiles;
+  const nameOf = (p) => p?.first_name || p?.last_name ?
+    `${p.first_name || ""} ${p.last_name || ""}`.trim() :
+    p?.email || "Former member";
+
+  function movement(row) {
+    if (row.previous_rank == null || row.previous_rank === row.rank) return null;
+    const diff = row.previous_rank - row.rank;
+    return diff > 0
+      ? <span className="text-green-700">▲{diff}</span>
+      : <span className="text-red-600">▼{-diff}</span>;
+  }
+
+  return (
+    <div className="p-3 border-4 border-black">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <div className="font-extrabold mr-auto">Leaderboard</div>
+        {[["all", "All time"], ["season", "This season"], ["month", "This month"], ["custom", "Custom"]].map(([value, label]) => (
+          <button
+            key={value}
+            className={`px-2 py-1 border-2 border-black text-xs ${range === value ? "bg-black text-white" : ""}`}
+            onClick={() => setRange(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      
+      {range === "custom" && (
+        <div className="flex items-center gap-2 mb-3 text-sm">
+          <input
+            type="date"
+            className="p-1 border-2 border-black"
+            value={customFrom}
+            onChange={(e) => setCustomFrom(e.target.value)}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            className="p-1 border-2 border-black"
+            value={customTo}
+            min={customFrom || undefined}
+            onChange={(e) => setCustomTo(e.target.value)}
+          />
+        </div>
+      )}
+      
+      {loading ? (
+        <div className="text-sm opacity-70">Loading leaderboard...</div>
+      ) : rows.every(r => r.rounds_eligible === 0) ? (
+        <div className="text-sm opacity-70">No closed rounds in this period.</div>
+      ) : (
+        <div className="grid gap-2">
+          {rows.map(row => {
+            const profile = profileOf(row.user_id);
+            return (
+              <div
+                key={row.user_id}
+                className={`p-2 border-2 border-black ${row.rank === 1 && row.points > 0 ? "font-bold" : ""}`}
+                style={{ backgroundColor: row.rank === 1 && row.points > 0 ? '#fed89e' : 'white' }}
+              >
+                <div className="flex items-center gap-2">
+                  <span className="w-6 text-sm">{row.rank}.</span>
+                  <Avatar img={profile?.image_url} size={24} />
+                  <span className="flex-1">{nameOf(profile)}</span>
+                  <span className="text-xs w-8 text-right">{movement(row)}</span>
+                  <span className="px-2 py-0.5 border border-black text-sm">
+                    {Number(row.points)} pt{Number(row.points) !== 1 ? "s" : ""}
+                  </span>
+                </div>
+                <div className="mt-1 ml-8 text-xs opacity-70 font-normal">
+                  {row.wins} win{row.wins !== 1 ? "s" : ""}
+                  {" · "}
+                  {row.participation != null ? `${row.participation}% participation` : "no rounds yet"}
+                  {row.streak > 1 && ` · 🔥 ${row.streak} wins in a row`}
+                  {row.predictions > 0 && ` · 🔮 ${row.predictions_correct}/${row.predictions} predictions right`}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      
+      <SeasonArchive
+        group={group}
+        user={user}
+        seasons={seasons}
+        profileOf={profileOf}
+        nameOf={nameOf}
+        onEnded={onSeasonEnded}
+      />
+    </div>
+  );
+}
+
+// Current season plus the frozen standings of past ones
+function SeasonArchive({ group, user, seasons, profileOf, nameOf, onEnded }) {
+  const [openSeasonId, setOpenSeasonId] = useState(null);
+  const [ending, setEnding] = useState(false);
+
+  const currentSeason = seasons.find(s => !s.ended_at);
+  const pastSeasons = seasons.filter(s => s.ended_at);
+  const endsAt = seasonEndsAt(group, currentSeason);
+
+  async function handleEndSeason() {
+    if (!confirm(`End season ${currentSeason.number} now? The standings are archived and everyone's points reset to zero.`)) return;
+    
+    setEnding(true);
+    try {
+      await endSeason(group.id);
+      onEnded();
+    } catch (e) {
+      alert("Error ending season: " + e.message);
+    } finally {
+      setEnding(false);
+    }
+  }
+
+  if (!currentSeason) return null;
+
+  return (
+    <div className="mt-4 pt-3 border-t-2 border-black">
+      <div className="text-sm">
+        <b>Season {currentSeason.number}</b> since {new Date(currentSeason.started_at).toLocaleDateString()}
+        {endsAt
+          ? <> – ends {formatInTimezone(endsAt, group.timezone || "UTC")}</>
+          : <span className="opacity-70"> – ended manually by the owner</span>}
+      </div>
+      {group.owner === user.id && (
+        <button
+          className="mt-2 px-2 py-1 border-2 border-black text-xs disabled:opacity-60"
+          style={{ backgroundColor: '#ffe4cc' }}
+          onClick={handleEndSeason}
+          disabled={ending}
+        >
+          {ending ? "Ending..." : "End season & start a new one"}
+        </button>
+      )}
+      
+      {pastSeasons.length > 0 && (
+        <div className="mt-3 grid gap-2">
+          <div className="text-sm font-bold">Past seasons</div>
+          {pastSeasons.map(season => (
+            <div key={season.id} className="p-2 border-2 border-black">
+              <button
+                className="w-full flex items-center gap-2 text-left text-sm"
+                onClick={() => setOpenSeasonId(openSeasonId === season.id ? null : season.id)}
+              >
+                <b>Season {season.number}</b>
+                <span className="text-xs opacity-70">
+                  {new Date(season.started_at).toLocaleDateString()} – {new Date(season.ended_at).toLocaleDateString()}
+                </span>
+                <span className="ml-auto">
+                  {season.champions?.length > 0
+                    ? `🏆 ${season.champions.map(id => nameOf(profileOf(id))).join(" & ")}`
+                    : "No champion"}
+                </span>
+              </button>
+              {openSeasonId === season.id && (
+                <div className="mt-2 grid gap-1">
+                  {(season.standings || []).map(row => (
+                    <div key={row.user_id} className="flex items-center gap-2 text-sm">
+                      <span className="w-6">{row.rank}.</span>
+                      <span className="flex-1">{nameOf(profileOf(row.user_id))}</span>
+                      <span className="text-xs opacity-70">{row.wins} win{row.wins !== 1 ? "s" : ""}</span>
+                      <span className="px-2 py-0.5 border border-black text-xs">{Number(row.points)} pts</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Owner check of the points ledger against the round results
+function PointsCheck({ group }) {
+  const [mismatches, setMismatches] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const nameOf = (id) => {
+    const p = group.group_members?.find(m => m.profiles.id === id)?.profiles;
+    return p?.first_name || p?.last_name ? `${p.first_name || ""} ${p.last_name || ""}`.trim() : p?.email || "Former member";
+  };
+
+  async function run(fix) {
+    if (fix && !confirm("Append correcting entries for every mismatch?")) return;
+    
+    setRunning(true);
+    try {
+      setMismatches(await reconcilePoints(group.id, { fix }));
+    } catch (e) {
+      alert("Error checking points: " + e.message);
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  return (
+    <div>
+      <div className="text-sm font-bold mb-1">Points check</div>
+      <button
+        className="px-2 py-1 border-2 border-black text-xs disabled:opacity-60"
+        onClick={() => run(false)}
+        disabled={running}
+      >
+        {running ? "Checking..." : "Compare points with round results"}
+      </button>
+      {mismatches && (
+        mismatches.length === 0 ? (
+          <div className="text-xs opacity-70 mt-1">Everything adds up.</div>
+        ) : (
+          <div className="mt-1 grid gap-1">
+            {mismatches.map((m, idx) => (
+              <div key={idx} className="text-xs">
+                <b>{nameOf(m.user_id)}</b>{" "}
+                {m.round_id ? "in one round" : "season total"}: expected {Number(m.expected)}, ledger {Number(m.actual)}
+                {m.fixed && " – fixed"}
+              </div>
+            ))}
+            {!mismatches.some(m => m.fixed) && (
+              <button
+                className="mt-1 px-2 py-1 border-2 border-black text-xs disabled:opacity-60"
+                style={{ backgroundColor: '#ffe4cc' }}
+                onClick={() => run(true)}
+                disabled={running}
+              >
+                Fix mismatches
+              </button>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+function RoundAuditLog({ groupId, refresh }) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    listRoundAuditLog(groupId)
+      .then(setEntries)
+      .catch(e => console.error("Error loading round log:", e));
+  }, [groupId, refresh]);
+
+  const labels = {
+    extend: "extended voting",
+    reroll: "swapped the statement",
+    cancel: "cancelled a round",
+    reopen: "reopened a round"
+  };
+
+  return (
+    <div>
+      <div className="text-sm font-bold mb-1">Round log</div>
+      {entries.length === 0 ? (
+        <div className="text-xs opacity-70">No owner actions yet.</div>
+      ) : (
+        <div className="grid gap-1">
+          {entries.map(entry => (
+            <div key={entry.id} className="text-xs">
+              <span className="opacity-70">{new Date(entry.created_at).toLocaleString()}</span>{" "}
+              <b>
+                {entry.actor_profile?.first_name || entry.actor_profile?.last_name ?
+                  `${entry.actor_profile.first_name || ""} ${entry.actor_profile.last_name || ""}`.trim() :
+                  entry.actor_profile?.email || "Someone"}
+              </b>{" "}
+              {labels[entry.action] || entry.action}
+              {entry.action === "extend" && ` by ${entry.details?.hours}h`}
+              {entry.action === "reroll" && entry.details?.votes_discarded > 0 &&
+                ` (${entry.details.votes_discarded} vote(s) discarded)`}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Open comment reports and the moderation log (owners only, enforced by RLS)
+function CommentModeration({ groupId, refresh }) {
+  const [reports, setReports] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    Promise.all([listCommentReports(groupId), listCommentModerationLog(groupId)])
+      .then(([rpts, log]) => {
+        setReports(rpts);
+        setEntries(log);
+      })
+      .catch(e => console.error("Error loading moderation:", e));
+  }, [groupId, refresh, reload]);
+
+  async function handle(action) {
+    try {
+      await action();
+      setReload(n => n + 1);
+    } catch (e) {
+      alert("Error: " + e.message);
+    }
+  }
+
+  const actorName = (p) => p?.first_name || p?.last_name ?
+    `${p.first_name || ""} ${p.last_name || ""}`.trim() :
+    p?.email || "Someone";
+
+  const labels = {
+    edit: "edited a comment",
+    delete: "deleted a comment",
+    hide: "hid a comment",
+    unhide: "unhid a comment",
+    report: "reported a comment",
+    resolve_report: "resolved a report"
+  };
+
+  return (
+    <div>
+      <div className="text-sm font-bold mb-1">Reported comments</div>
+      {reports.length === 0 ? (
+        <div className="text-xs opacity-70">No open reports.</div>
+      ) : (
+        <div className="grid gap-2">
+          {reports.map(report => (
+            <div key={report.id} className="p-2 border-2 border-black text-xs">
+              <div>“{report.comments.text}”</div>
+              <div className="opacity-70 mt-1">
+                Reported by {actorName(report.reporter_profile)}
+                {report.reason && `: ${report.reason}`}
+              </div>
+              <div className="mt-1 flex gap-2">
+                {!report.comments.hidden_at && (
+                  <button
+                    className="px-2 py-0.5 border-2 border-black"
+                    onClick={() => handle(async () => {
+                      await setCommentHidden(report.comment_id, true);
+                      await resolveCommentReport(report.id);
+                    })}
+                  >
+                    Hide comment
+                  </button>
+                )}
+                <button
+                  className="px-2 py-0.5 border-2 border-black"
+                  onClick={() => handle(() => resolveCommentReport(report.id))}
+                >
+                  {report.comments.hidden_at ? "Mark resolved" : "Dismiss"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="text-sm font-bold mt-3 mb-1">Moderation log</div>
+      {entries.length === 0 ? (
+        <div className="text-xs opacity-70">No comment edits, deletions or reports yet.</div>
+      ) : (
+        <div className="grid gap-1">
+          {entries.map(entry => (
+            <div key={entry.id} className="text-xs">
+              <span className="opacity-70">{new Date(entry.created_at).toLocaleString()}</span>{" "}
+              <b>{actorName(entry.actor_profile)}</b>{" "}
+              {entry.action === "delete" && entry.details?.author ? "deleted a reply along with its comment" : labels[entry.action] || entry.action}
+              {entry.details?.previous_text && <span className="opacity-70"> (was “{entry.details.previous_text}”)</span>}
+              {entry.action === "report" && entry.details?.reason && <span className="opacity-70">: {entry.details.reason}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Owner form for the group's drop schedule (see _shared/schedule.js)
+function ScheduleSettings({ group, saving, onSave }) {
+  const [intervalHours, setIntervalHours] = useState(group.drop_interval_hours || 48);
+  const [votingHours, setVotingHours] = useState(group.voting_hours || 24);
+  const [dropTime, setDropTime] = useState(group.drop_time?.slice(0, 5) || "");
+  const [quietStart, setQuietStart] = useState(group.quiet_hours_start?.slice(0, 5) || "");
+  const [quietEnd, setQuietEnd] = useState(group.quiet_hours_end?.slice(0, 5) || "");
+  const [timezone, setTimezone] = useState(
+    group.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"
+  );
+
+  const timezones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  // Preset choices – a stored value outside them is offered as its own option (like the timezone)
+  const intervalPresets = [24, 48, 72, 168, 336];
+  const votingPresets = [2, 6, 12, 24, 48, 72];
+
+  function handleSave() {
+    if (Number(votingHours) > Number(intervalHours)) {
+      return alert("Voting cannot last longer than the time between drops");
+    }
+    if (!!quietStart !== !!quietEnd) {
+      return alert("Set both a start and an end for quiet hours, or neither");
+    }
+    if (!isValidTimezone(timezone)) {
+      return alert("Unknown timezone: " + timezone);
+    }
+    onSave({
+      drop_interval_hours: Number(intervalHours),
+      voting_hours: Number(votingHours),
+      drop_time: dropTime || null,
+      quiet_hours_start: quietStart || null,
+      quiet_hours_end: quietEnd || null,
+      timezone
+    });
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-bold">Schedule</div>
+      
+      <label className="block text-xs font-bold">New statement every</label>
+      <select
+        className="w-full p-2 border-2 border-black"
+        value={intervalHours}
+        onChange={(e) => setIntervalHours(e.target.value)}
+      >
+        {!intervalPresets.includes(Number(intervalHours)) && <option value={intervalHours}>{intervalHours} hours</option>}
+        <option value={24}>day</option>
+        <option value={48}>2 days</option>
+        <option value={72}>3 days</option>
+        <option value={168}>week</option>
+        <option value={336}>2 weeks</option>
+      </select>
+      
+      <label className="block text-xs font-bold">Voting stays open for</label>
+      <select
+        className="w-full p-2 border-2 border-black"
+        value={votingHours}
+        onChange={(e) => setVotingHours(e.target.value)}
+      >
+        {!votingPresets.includes(Number(votingHours)) && <option value={votingHours}>{votingHours} hours</option>}
+        <option value={2}>2 hours</option>
+        <option value={6}>6 hours</option>
+        <option value={12}>12 hours</option>
+        <option value={24}>24 hours</option>
+        <option value={48}>2 days</option>
+        <option value={72}>3 days</option>
+      </select>
+      
+      <label className="block text-xs font-bold">Preferred drop time (optional)</label>
+      <input
+        type="time"
+        className="w-full p-2 border-2 border-black"
+        value={dropTime}
+        onChange={(e) => setDropTime(e.target.value)}
+      />
+      
+      <label className="block text-xs font-bold">Quiet hours (optional)</label>
+      <div className="flex items-center gap-2">
+        <input
+          type="time"
+          className="flex-1 p-2 border-2 border-black"
+          value={quietStart}
+          onChange={(e) => setQuietStart(e.target.value)}
+        />
+        <span className="text-xs">to</span>
+        <input
+          type="time"
+          className="flex-1 p-2 border-2 border-black"
+          value={quietEnd}
+          onChange={(e) => setQuietEnd(e.target.value)}
+        />
+      </div>
+      <div className="text-xs opacity-70">
+        No statement drops and no voting ends during quiet hours.
+      </div>
+      
+      <label className="block text-xs font-bold">Timezone</label>
+      {timezones.length > 0 ? (
+        <select
+          className="w-full p-2 border-2 border-black"
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+        >
+          {!timezones.includes(timezone) && <option value={timezone}>{timezone}</option>}
+          {timezones.map(tz => (
+            <option key={tz} value={tz}>{tz}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          className="w-full p-2 border-2 border-black"
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+          placeholder="Europe/Berlin"
+        />
+      )}
+      
+      <button
+        className="w-full p-2 border-2 border-black font-bold hover:opacity-90 transition-opacity disabled:opacity-60"
+        style={{ backgroundColor: '#d8e1fc' }}
+        onClick={handleSave}
+        disabled={saving}
+      >
+        {saving ? "Saving..." : "Save schedule"}
+      </button>
+    </div>
+  );
+}
+
+// Owner form for the group's deck (editions + weights) and what happens once all statements are used
+function EditionSettings({ group, saving, onSaved, onUpdateSettings }) {
+  const [options, setOptions] = useState([]);
+  const [weights, setWeights] = useState({}); // editionId -> weight, only for editions in the deck
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getGroupEditionOptions(group.id)
+      .then(opts => {
+        setOptions(opts);
+        setWeights(Object.fromEntries(opts.filter(o => o.in_group).map(o => [o.edition_id, o.weight || 1])));
+      })
+      .catch(e => console.error("Error loading editions:", e));
+  }, [group.id, group.edition_id]);
+
+  const selected = Object.keys(weights);
+
+  function toggle(editionId) {
+    if (editionId in weights) {
+      const { [editionId]: _removed, ...rest } = weights;
+      setWeights(rest);
+    } else {
+      setWeights({ ...weights, [editionId]: 1 });
+    }
+  }
+
+  async function handleSave() {
+    if (selected.length === 0) return alert("Pick at least one edition");
+    if (selected.some(id => !(Number(weights[id]) > 0))) return alert("Weights must be positive numbers");
+    // Keep the current primary edition first if it is still selected
+    const ordered = selected.includes(group.edition_id)
+      ? [group.edition_id, ...selected.filter(id => id !== group.edition_id)]
+      : selected;
+    setBusy(true);
+    try {
+      await setGroupEditions(group.id, ordered, ordered.map(id => Math.round(Number(weights[id]))));
+      setOptions(options.map(o => ({
+        ...o,
+        in_group: o.edition_id in weights,
+        weight: o.edition_id in weights ? Math.round(Number(weights[o.edition_id])) : null
+      })));
+      onSaved();
+    } catch (e) {
+      alert("Error saving editions: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const totalWeight = selected.reduce((sum, id) => sum + (Number(weights[id]) || 0), 0);
+  const freshCount = options
+    .filter(o => o.edition_id in weights)
+    .reduce((sum, o) => sum + o.fresh_statements, 0);
+  const changed = options.some(o =>
+    o.in_group !== (o.edition_id in weights) ||
+    (o.in_group && Number(weights[o.edition_id]) !== o.weight)
+  );
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-bold">Deck</div>
+      
+      {options.map(o => (
+        <div key={o.edition_id} className="flex items-center gap-2 text-sm">
+          <label className="flex flex-1 items-center gap-2">
+            <input
+              type="checkbox"
+              checked={o.edition_id in weights}
+              onChange={() => toggle(o.edition_id)}
+            />
+            <span className="flex-1">
+              {o.name}
+              {o.edition_id === group.edition_id && <span className="ml-1 text-xs opacity-70">(primary)</span>}
+              <span className="block text-xs opacity-70">
+                {o.fresh_statements}/{o.total_statements} unused
+              </span>
+            </span>
+          </label>
+          {o.edition_id in weights && selected.length > 1 && (
+            <>
+              <input
+                type="number"
+                min={1}
+                className="w-16 p-1 border-2 border-black"
+                value={weights[o.edition_id]}
+                onChange={(e) => setWeights({ ...weights, [o.edition_id]: e.target.value })}
+              />
+              <span className="w-10 text-right text-xs opacity-70">
+                {totalWeight > 0 ? Math.round(100 * (Number(weights[o.edition_id]) || 0) / totalWeight) : 0}%
+              </span>
+            </>
+          )}
+        </div>
+      ))}
+      <div className={`text-xs ${freshCount === 0 ? 'text-red-600' : 'opacity-70'}`}>
+        {freshCount} unused statement{freshCount !== 1 ? 's' : ''} left with this selection.
+        {selected.length > 1 && " Weights set how often each edition is drawn; statements never repeat."}
+      </div>
+      
+      {changed && (
+        <button
+          className="w-full p-2 border-2 border-black font-bold hover:opacity-90 transition-opacity disabled:opacity-60"
+          style={{ backgroundColor: '#d8e1fc' }}
+          onClick={handleSave}
+          disabled={busy || saving}
+        >
+          {busy ? "Saving..." : "Save deck"}
+        </button>
+      )}
+      
+      <label className="block text-xs font-bold">How statements are picked</label>
+      <select
+        className="w-full p-2 border-2 border-black"
+        value={group.selection_strategy || "uniform"}
+        onChange={(e) => onUpdateSettings({ selection_strategy: e.target.value })}
+        disabled={saving}
+      >
+        <option value="uniform">Random</option>
+        <option value="least_recent">Rotate through editions</option>
+        <option value="rating">Favour highly rated statements</option>
+        <option value="category_rotation">Rotate through categories</option>
+      </select>
+      
+      <label className="block text-xs font-bold">When all statements are used</label>
+      <select
+        className="w-full p-2 border-2 border-black"
+        value={group.exhaustion_policy || "notify"}
+        onChange={(e) => onUpdateSettings({ exhaustion_policy: e.target.value })}
+        disabled={saving}
+      >
+        <option value="notify">Pause and email me</option>
+        <option value="recycle">Reuse the oldest statements</option>
+        <option value="next_edition">Continue with the follow-up edition</option>
+      </select>
+      {group.exhaustion_notified_at && (
+        <div className="text-xs text-red-600">
+          This group ran out of statements – no new rounds drop until you add an edition or allow reuse.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RoundDetail({ roundId, groupId, user, setView }) {
+  const [round, setRound] = useState(null);
+  const [group, setGroup] = useState(null);
+  const [votes, setVotes] = useState([]);
+  const [voteCounts, setVoteCounts] = useState({});
+  const [typeSummary, setTypeSummary] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [reasons, setReasons] = useState({});
+  const [predictions, setPredictions] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  
+  // Realtime: votes and the close reload quietly, new comments only reload the discussion
+  const [live, setLive] = useState(0);
+  const liveUpdate = useRef(false);
+
+  useEffect(() => {
+    loadRoundData();
+  }, [roundId, live]);
+  
+  useEffect(() => subscribeToRound(roundId, (table) => {
+    if (table === "comments") {
+      listComments(roundId)
+        .then(setComments)
+        .then(() => markCommentsRead(roundId))
+        .catch(e => console.error("Error loading comments:", e));
+      return;
+    }
+    if (liveUpdate.current) return; // a reload is already pending
+    liveUpdate.current = true;
+    setLive(n => n + 1);
+  }), [roundId]);
+
+  async function loadRoundData() {
+    const quiet = liveUpdate.current;
+    liveUpdate.current = false;
+    if (!quiet) setLoading(true);
+    try {
+      // Hole Round mit allen Details
+      const { data: roundData } = await supabase
+        .from("rounds")
+        .select(`
+          *,
+          statements(text),
+          round_results(winner, winners, tie_resolution, votes_count, closed_at, scoring, ranking, summary)
         `)
         .eq("id", roundId)
         .single();
@@ -1795,13 +3154,29 @@ function RoundDetail({ roundId, groupId, user, setView }) {
       const grp = await getGroup(groupId);
       setGroup(grp);
       
-      // Hole alle Votes mit Voter und Target Namen
-      const votesData = await getVotes(roundId);
+      // Stimmen pro Person (aggregiert) und – je nach Privacy der Gruppe – wer wen gewählt hat
+      const [summary, votesData] = await Promise.all([
+        getRoundVoteSummary(roundId),
+        getVotes(roundId)
+      ]);
+      setVoteCounts(summary.counts || {});
+      setTypeSummary(summary.summary);
       setVotes(votesData);
       
-      // Hole Kommentare
+      // Freitext-Antworten gibt es erst nach dem Schließen – gemischt und ohne Namen
+      if (statementTypeOf(roundData) === "free_text") {
+        setAnswers(await getRoundAnswers(roundId));
+      } else if (isMemberVote(statementTypeOf(roundData))) {
+        // Begründungen ebenfalls erst nach dem Schließen, pro gewähltem Mitglied und ohne Absender
+        const [rsns, preds] = await Promise.all([getRoundReasons(roundId), getRoundPredictions(roundId)]);
+        setReasons(rsns);
+        setPredictions(preds);
+      }
+      
+      // Hole Kommentare – damit gilt die Diskussion als gelesen
       const cmts = await listComments(roundId);
       setComments(cmts);
+      markCommentsRead(roundId).catch(e => console.error("Error marking comments read:", e));
       
     } catch (e) {
       console.error("Error loading round:", e);
@@ -1831,30 +3206,33 @@ function RoundDetail({ roundId, groupId, user, setView }) {
   if (loading) return <div className="text-center py-8">Loading round details...</div>;
   if (!round) return <div className="text-center py-8">Round not found</div>;
 
-  // Berechne Voting-Statistiken
-  const voteCounts = {};
-  group?.group_members?.forEach(member => {
-    voteCounts[member.profiles.id] = {
+  // Berechne Voting-Statistiken – Scores laut Scoring der Runde, bei Gleichstand zählen erste Wahlen
+  const type = statementTypeOf(round);
+  const isMultiPick = (round.pick_count || 1) > 1;
+  const firstChoices = Object.fromEntries(
+    (round.round_results?.[0]?.ranking || []).map(r => [r.user_id, r.first_choices])
+  );
+  const sortedResults = (group?.group_members || [])
+    .filter(member => type !== "this_or_that" || eligibleTargets(round, [member.profiles.id]).length > 0)
+    .map(member => ({
       profile: member.profiles,
-      receivedVotes: [],
-      givenVote: null
-    };
-  });
+      votes: voteCounts[member.profiles.id] || 0,
+      firstChoices: firstChoices[member.profiles.id] || 0
+    }))
+    .sort((a, b) => b.votes - a.votes || b.firstChoices - a.firstChoices);
+  const memberProfile = (id) => group?.group_members?.find(m => m.profiles.id === id)?.profiles;
   
-  votes?.forEach(v => {
-    if (v.target && voteCounts[v.target]) {
-      voteCounts[v.target].receivedVotes.push(v.voter);
-    }
-    if (voteCounts[v.voter]) {
-      voteCounts[v.voter].givenVote = v.target;
-    }
-  });
-
-  const sortedResults = Object.values(voteCounts)
-    .sort((a, b) => b.receivedVotes.length - a.receivedVotes.length);
+  const displayName = (p) => `${p?.first_name || ""} ${p?.last_name || ""}`.trim() || p?.email || "Someone";
+  const privacy = group?.vote_privacy || "anonymous";
   
-  const winner = round.round_results?.[0]?.winner;
-  const winnerProfile = group?.group_members?.find(m => m.profiles.id === winner)?.profiles;
+  const result = round.round_results?.[0];
+  // Same rule as RLS (can_see_vote_targets): other members' votes only when the privacy allows, your own always
+  const othersVisible = privacy === "open" || (privacy === "reveal_after_close" && !!result);
+  const visibleVotes = othersVisible ? votes : votes.filter(v => v.voter === user.id);
+  const winner = result?.winner;
+  const winnerProfiles = (result?.winners?.length ? result.winners : (winner ? [winner] : []))
+    .map(id => group?.group_members?.find(m => m.profiles.id === id)?.profiles)
+    .filter(Boolean);
 
   return (
     <section className="space-y-4">
@@ -1879,26 +3257,55 @@ function RoundDetail({ roundId, groupId, user, setView }) {
       </div>
 
       {/* Winner */}
-      {winnerProfile && (
+      {winnerProfiles.length > 0 && (
         <div className="p-3 border-4 border-black" style={{ backgroundColor: '#fed89e' }}>
-          <div className="font-bold mb-1">🏆 Winner</div>
-          <div className="text-lg font-bold">
-            {`${winnerProfile.first_name || ""} ${winnerProfile.last_name || ""}`.trim() || winnerProfile.email}
-          </div>
+          <div className="font-bold mb-1">🏆 {winnerProfiles.length > 1 ? "Shared win" : "Winner"}</div>
+          {winnerProfiles.map(p => (
+            <div key={p.id} className="text-lg font-bold">
+              {`${p.first_name || ""} ${p.last_name || ""}`.trim() || p.email}
+            </div>
+          ))}
           <div className="text-sm opacity-70">
-            With {round.round_results?.[0]?.votes_count || 0} votes
+            With {scoreLabel(result?.votes_count || 0, round.scoring)}
+            {result?.tie_resolution === "random" && " – tie settled by a random draw"}
+            {result?.tie_resolution === "shared" && " each – the point is split"}
+          </div>
+        </div>
+      )}
+      {winnerProfiles.length === 0 && result?.tie_resolution === "runoff" && (
+        <div className="p-3 border-4 border-black" style={{ backgroundColor: '#ffe4cc' }}>
+          <div className="font-bold">⚖️ Tie – the winner is decided in a runoff round.</div>
+        </div>
+      )}
+
+      {!isMemberVote(type) && (
+        <div className="p-3 border-4 border-black">
+          <div className="font-bold mb-2">
+            Results <span className="ml-2 text-xs font-normal opacity-70">{STATEMENT_TYPE_LABELS[type]}</span>
           </div>
+          <StatementTypeResults
+            type={type}
+            summary={result?.summary || typeSummary || {}}
+            answers={answers}
+          />
         </div>
       )}
 
       {/* Detailed Voting Results */}
+{isMemberVote(type) && (
 <div className="p-3 border-4 border-black">
-  <div className="font-bold mb-2">Voting Breakdown</div>
+  <div className="font-bold mb-2">
+    Voting Breakdown
+    {isMultiPick && (
+      <span className="ml-2 text-xs font-normal opacity-70">
+        {SCORING_LABELS[round.scoring]}, top {round.pick_count}
+      </span>
+    )}
+  </div>
   <div className="space-y-2">
     {sortedResults.map((result, idx) => {
-      const isWinner = result.profile.id === winner && result.receivedVotes.length > 0;
-      const maxVotes = Math.max(...sortedResults.map(r => r.receivedVotes.length));
-      const hasMaxVotes = result.receivedVotes.length === maxVotes && maxVotes > 0;
+      const maxVotes = Math.max(...sortedResults.map(r => r.votes));
+      const hasMaxVotes = result.votes === maxVotes && maxVotes > 0;
       
       return (
         <div 
@@ -1918,8 +3325,11 @@ function RoundDetail({ roundId, groupId, user, setView }) {
               </span>
               {hasMaxVotes && <span>👑</span>}
             </div>
-            <div className="text-sm">
-              {result.receivedVotes.length} vote{result.receivedVotes.length !== 1 ? 's' : ''}
+            <div className="text-sm text-right">
+              {scoreLabel(result.votes, round.scoring)}
+              {isMultiPick && result.firstChoices > 0 && (
+                <div className="text-xs opacity-70">{result.firstChoices}× first choice</div>
+              )}
             </div>
           </div>
         </div>
@@ -1927,26 +3337,103 @@ function RoundDetail({ roundId, groupId, user, setView }) {
     })}
   </div>
 </div>
+)}
 
-      {/* Comments */}
-      <div className="p-3 border-4 border-black">
-        <div className="font-bold mb-2">Discussion ({comments.length})</div>
-        <div className="space-y-2">
-          {comments.map(c => (
-            <div key={c.id} className="p-2 border border-gray-300">
-              <div className="text-xs opacity-70">
-                {new Date(c.created_at).toLocaleString()}
+      {/* Self-image vs. group view – predictions are revealed with the result, other
+          members' only by name where the group's vote privacy shows the votes */}
+      {predictions.length > 0 && (
+        <div className="p-3 border-4 border-black">
+          <div className="font-bold mb-2">🔮 Predictions</div>
+          <div className="text-sm mb-2">
+            {predictions.filter(p => p.correct).length} of {predictions.length} prediction{predictions.length !== 1 ? "s" : ""} were right.
+          </div>
+          <div className="space-y-1">
+            {predictions.filter(p => p.user_id).map(p => (
+              <div key={p.user_id} className="text-sm flex items-start gap-2">
+                <span>{p.correct ? "✅" : "❌"}</span>
+                <span className="flex-1">
+                  <b>{p.user_id === user.id ? "You" : displayName(memberProfile(p.user_id))}</b>
+                  {p.lands_on_me != null && (
+                    <>
+                      {p.lands_on_me ? " expected to be the pick" : " didn't expect to be the pick"}
+                      {p.won ? " and won" : " and didn't win"}
+                      {` (${scoreLabel(voteCounts[p.user_id] || 0, round.scoring)})`}
+                    </>
+                  )}
+                  {p.lands_on_me != null && p.predicted_winner && ";"}
+                  {p.predicted_winner && ` bet on ${displayName(memberProfile(p.predicted_winner))}`}
+                </span>
               </div>
-              <div className="font-bold text-sm">
-                {`${c.profiles.first_name || ""} ${c.profiles.last_name || ""}`.trim() || c.profiles.email}:
+            ))}
+          </div>
+        </div>
+      )}
+
+      {group?.owner === user.id && (
+        <VoteChurn roundId={roundId} refresh={votes.length} />
+      )}
+
+      {/* Anonymous reasons – grouped by the member they were given for */}
+      {Object.keys(reasons).length > 0 && (
+        <div className="p-3 border-4 border-black">
+          <div className="font-bold mb-2">Why people voted</div>
+          <div className="space-y-3">
+            {sortedResults.filter(r => reasons[r.profile.id]).map(r => (
+              <div key={r.profile.id}>
+                <div className="text-sm font-bold">For {displayName(r.profile)}</div>
+                {reasons[r.profile.id].map((reason, idx) => (
+                  <div key={idx} className="mt-1 p-2 border-2 border-black text-sm">“{reason}”</div>
+                ))}
               </div>
-              <div>{c.text}</div>
-            </div>
-          ))}
-          {comments.length === 0 && (
-            <div className="text-sm opacity-70">No comments yet. Be the first!</div>
-          )}
+            ))}
+          </div>
         </div>
+      )}
+
+      {/* Who voted for whom – only what the group's privacy setting lets through (never for free text) */}
+      {type !== "free_text" && (
+      <div className="p-3 border-4 border-black">
+        <div className="font-bold mb-2">Who voted for whom</div>
+        {visibleVotes.length > 0 && (
+          <div className="space-y-1">
+            {visibleVotes.map(v => (
+              <div key={v.voter} className="text-sm">
+                <b>{v.voter === user.id ? "You" : displayName(v.voter_profile)}</b>
+                {" → "}
+                {type === "scale"
+                  ? (SCALE_LABELS[v.scale_value] || <span className="opacity-70">abstained</span>)
+                  : ballotOf(v).length > 1
+                  ? ballotOf(v).map((id, idx) => `${idx + 1}. ${displayName(memberProfile(id))}`).join(", ")
+                  : v.target ? displayName(v.target_profile) : <span className="opacity-70">abstained</span>}
+              </div>
+            ))}
+          </div>
+        )}
+        {!othersVisible ? (
+          <div className="text-sm opacity-70 mt-1">
+            {privacy === "anonymous"
+              ? "Votes in this group are anonymous – only the counts are shown."
+              : "Other members' votes are revealed once the round is closed."}
+          </div>
+        ) : visibleVotes.length === 0 && (
+          <div className="text-sm opacity-70">No votes yet.</div>
+        )}
+      </div>
+      )}
+
+      {/* Comments */}
+      <div className="p-3 border-4 border-black">
+        <div className="font-bold mb-2">Discussion ({comments.length})</div>
+        <CommentList
+          comments={comments}
+          roundId={roundId}
+          user={user}
+          ownerId={group?.owner}
+          onChanged={() => listComments(roundId).then(setComments)}
+        />
+        {comments.length === 0 && (
+          <div className="text-sm opacity-70">No comments yet. Be the first!</div>
+        )}
         
         <div className="mt-3 flex gap-2">
           <input 
@@ -1971,90 +3458,448 @@ function RoundDetail({ roundId, groupId, user, setView }) {
 
 function VotePanel({ round, group, user, onVoted }) {
   const userVote = round.votes?.find(v => v.voter === user.id);
+  const ownReason = round.vote_reasons?.find(r => r.voter === user.id)?.reason;
   const [selected, setSelected] = useState("");
+  const [picks, setPicks] = useState([]); // ranked / multi-pick rounds
   const [submitting, setSubmitting] = useState(false);
+  const [voteError, setVoteError] = useState("");
+  const [changing, setChanging] = useState(false);
+  const [scaleValue, setScaleValue] = useState(""); // scale statements
+  const [answer, setAnswer] = useState(""); // free-text statements
+  const [reason, setReason] = useState(""); // optional anonymous "why"
+
+  const type = statementTypeOf(round);
+  const { scoring, pickCount } = votingModeOf(round);
+  const isMultiPick = pickCount > 1;
+  const canAbstain = group.allow_abstain !== false;
+  // Same definition as the early close: votes by members eligible when the round was issued
+  const remainingVotes = votesMissing(round, round.votes_counted || 0, group.group_members?.length || 0);
+  const targetIds = eligibleTargets(round, group.group_members?.map(m => m.profiles.id) || [])
+    .filter(id => type !== "member" || group.allow_self_vote !== false || id !== user.id);
+  const candidates = group.group_members?.filter(m => targetIds.includes(m.profiles.id)) || [];
+  const maxPicks = Math.min(pickCount, candidates.length);
+
+  const nameOf = (userId) => {
+    const p = group.group_members?.find(m => m.profiles.id === userId)?.profiles;
+    return p ? `${p.first_name || ""} ${p.last_name || ""}`.trim() || p.email : "Abstain";
+  };
 
-  const remainingVotes = (group.group_members?.length || 0) - (round.votes?.length || 0);
+  function togglePick(userId) {
+    if (picks.includes(userId)) {
+      setPicks(picks.filter(id => id !== userId));
+    } else if (picks.length < maxPicks) {
+      setPicks([...picks, userId]);
+    }
+  }
 
-  async function handleSubmit() {
-    if (!selected) return alert("Select an option");
+  async function handleSubmitAnswer(abstain = false) {
+    const value = type === "scale"
+      ? (abstain || scaleValue === "abstain" ? null : Number(scaleValue) || null)
+      : (abstain ? null : answer.trim() || null);
+    
+    if (type === "scale" && !abstain && !scaleValue) return setVoteError("Select an option");
+    if (type === "free_text" && !abstain && !answer.trim()) return setVoteError("Write an answer first");
+    if (value == null && !canAbstain) {
+      return setVoteError("Abstaining is not allowed in this group – please answer");
+    }
     
+    setVoteError("");
     setSubmitting(true);
     try {
       await submitVote({
         roundId: round.id,
-        target: selected === "abstain" ? null : selected
+        scaleValue: type === "scale" ? value : null,
+        answer: type === "free_text" ? value : null
+      });
+      setChanging(false);
+      onVoted();
+    } catch (e) {
+      setVoteError(e.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function handleSubmit(abstain = false) {
+    if (!isMemberVote(type)) return handleSubmitAnswer(abstain);
+    if (!isMultiPick && !selected) return setVoteError("Select an option");
+    if (isMultiPick && !abstain && picks.length === 0) return setVoteError("Pick at least one member");
+    
+    const ballot = isMultiPick
+      ? (abstain ? [] : picks)
+      : (selected === "abstain" ? [] : [selected]);
+    const problem = ballotError(ballot, { voterId: user.id, targetIds, pickCount, group, type });
+    if (problem) return setVoteError(problem);
+    
+    setVoteError("");
+    setSubmitting(true);
+    try {
+      await submitVote(isMultiPick ? {
+        roundId: round.id,
+        target: null,
+        ranking: ballot.length ? ballot : null,
+        reason
+      } : {
+        roundId: round.id,
+        target: ballot[0] || null,
+        reason
       });
+      setChanging(false);
+      onVoted();
+    } catch (e) {
+      // The vote trigger rejects forbidden targets with a readable message
+      setVoteError(e.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  function startChange() {
+    const ballot = ballotOf(userVote);
+    setPicks(ballot);
+    setSelected(ballot[0] || "abstain");
+    setScaleValue(userVote.scale_value ? String(userVote.scale_value) : "abstain");
+    setAnswer(userVote.answer || "");
+    setReason(ownReason || "");
+    setVoteError("");
+    setChanging(true);
+  }
+
+  async function handleWithdraw() {
+    if (!confirm("Withdraw your vote? You can vote again until the round closes.")) return;
+    
+    setSubmitting(true);
+    try {
+      await withdrawVote(round.id);
+      setSelected("");
+      setPicks([]);
+      setScaleValue("");
+      setAnswer("");
+      setReason("");
       onVoted();
     } catch (e) {
-      alert("Error submitting vote: " + e.message);
+      setVoteError(e.message);
     } finally {
       setSubmitting(false);
     }
   }
 
-  if (userVote) {
-    const targetMember = group.group_members?.find(m => m.profiles.id === userVote.target);
-    const targetName = targetMember ? 
-      `${targetMember.profiles.first_name || ""} ${targetMember.profiles.last_name || ""}`.trim() || 
-      targetMember.profiles.email : 
-      "Abstain";
+  if (userVote && !changing) {
+    const ballot = ballotOf(userVote);
+    const yourVote = type === "scale"
+      ? SCALE_LABELS[userVote.scale_value] || "Abstain"
+      : type === "free_text"
+        ? (userVote.answer ? `“${userVote.answer}”` : "Abstain")
+        : ballot.length > 0
+          ? ballot.map((id, idx) => (ballot.length > 1 && scoring !== "approval" ? `${idx + 1}. ` : "") + nameOf(id)).join(", ")
+          : "Abstain";
     
     return (
       <div className="mt-2 text-sm">
-        You voted: <b>{targetName}</b>
+        {type === "free_text" ? "Your answer" : "You voted"}: <b>{yourVote}</b>
+        {ownReason && (
+          <div className="text-xs opacity-70 mt-1">Your reason: “{ownReason}”</div>
+        )}
+        <div className="mt-2 flex gap-2">
+          <button
+            className="px-2 py-1 border-2 border-black text-xs hover:opacity-90 transition-opacity"
+            style={{ backgroundColor: '#d8e1fc' }}
+            onClick={startChange}
+            disabled={submitting}
+          >
+            Change vote
+          </button>
+          <button
+            className="px-2 py-1 border-2 border-black text-xs hover:opacity-90 transition-opacity"
+            onClick={handleWithdraw}
+            disabled={submitting}
+          >
+            Withdraw
+          </button>
+        </div>
+        {voteError && (
+          <div className="mt-2 p-2 border-2 border-red-600 text-red-700 text-sm">{voteError}</div>
+        )}
         <div className="text-xs opacity-70 mt-1">
           Waiting on <b>{remainingVotes}</b> vote(s)...
         </div>
+        {isMemberVote(type) && (
+          <PredictionPanel
+            round={round}
+            user={user}
+            memberIds={group.group_members?.map(m => m.profiles.id) || []}
+            nameOf={nameOf}
+            onSaved={onVoted}
+          />
+        )}
       </div>
     );
   }
 
+  const instructions = {
+    borda: `Rank up to ${maxPicks} people this statement fits best – your first pick gets the most points.`,
+    approval: `Pick up to ${maxPicks} people this statement fits.`,
+    fptp: `Rank up to ${maxPicks} people – only your first pick counts towards the result.`
+  };
+
+  const typeInstructions = {
+    scale: "How much do you agree with this statement about your group?",
+    this_or_that: "This or that – which of these two does the statement fit better?",
+    free_text: "Write a short answer. All answers are revealed together, without names, once the round closes."
+  };
+
   return (
     <div>
-      <div className="text-sm opacity-70">
-        Pick the person this statement fits best, or abstain.
-      </div>
+      {round.parent_round_id ? (
+        <div className="text-sm font-bold">
+          ⚖️ Runoff! The last round was a tie – pick one of the tied members, or abstain.
+        </div>
+      ) : (
+        <div className="text-sm opacity-70">
+          {typeInstructions[type] || (isMultiPick
+            ? instructions[scoring]
+            : canAbstain ? "Pick the person this statement fits best, or abstain." : "Pick the person this statement fits best.")}
+        </div>
+      )}
       <div className="mt-2 grid gap-2">
-        {group.group_members?.map(m => (
-          <label key={m.profiles.id} className="flex items-center gap-2 p-2 border-2 border-black">
-            <input 
-              type="radio" 
-              name="vote" 
-              value={m.profiles.id} 
-              checked={selected === m.profiles.id} 
-              onChange={() => setSelected(m.profiles.id)} 
+        {type === "scale" ? (
+          <>
+            {Object.entries(SCALE_LABELS).map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 p-2 border-2 border-black">
+                <input
+                  type="radio"
+                  name="vote"
+                  value={value}
+                  checked={scaleValue === value}
+                  onChange={() => setScaleValue(value)}
+                />
+                <span className="font-bold">{label}</span>
+              </label>
+            ))}
+            {canAbstain && (
+              <label className="flex items-center gap-2 p-2 border-2 border-black">
+                <input
+                  type="radio"
+                  name="vote"
+                  value="abstain"
+                  checked={scaleValue === "abstain"}
+                  onChange={() => setScaleValue("abstain")}
+                />
+                <span className="font-bold">Abstain</span>
+              </label>
+            )}
+          </>
+        ) : type === "free_text" ? (
+          <>
+            <textarea
+              className="p-2 border-2 border-black"
+              rows={3}
+              maxLength={MAX_ANSWER_LENGTH}
+              placeholder="Your anonymous answer…"
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
             />
-            <span className="font-bold">
-              {m.profiles.first_name || m.profiles.last_name ? 
-                `${m.profiles.first_name || ""} ${m.profiles.last_name || ""}`.trim() : 
-                m.profiles.email}
-              {m.profiles.id === user.id && " (You)"}
-            </span>
-          </label>
-        ))}
-        <label className="flex items-center gap-2 p-2 border-2 border-black">
-          <input 
-            type="radio" 
-            name="vote" 
-            value="abstain" 
-            checked={selected === "abstain"} 
-            onChange={() => setSelected("abstain")} 
+            <div className="text-xs opacity-70 text-right">{answer.length}/{MAX_ANSWER_LENGTH}</div>
+          </>
+        ) : isMultiPick ? candidates.map(m => {
+          const position = picks.indexOf(m.profiles.id);
+          return (
+            <button
+              key={m.profiles.id}
+              className="flex items-center gap-2 p-2 border-2 border-black text-left disabled:opacity-50"
+              style={{ backgroundColor: position >= 0 ? '#fed89e' : 'white' }}
+              onClick={() => togglePick(m.profiles.id)}
+              disabled={position < 0 && picks.length >= maxPicks}
+            >
+              <span className="w-6 text-center font-black">
+                {position >= 0 ? (scoring === "approval" ? "✓" : position + 1) : ""}
+              </span>
+              <span className="font-bold">
+                {nameOf(m.profiles.id)}
+                {m.profiles.id === user.id && " (You)"}
+              </span>
+            </button>
+          );
+        }) : (
+          <>
+            {candidates.map(m => (
+              <label key={m.profiles.id} className="flex items-center gap-2 p-2 border-2 border-black">
+                <input 
+                  type="radio" 
+                  name="vote" 
+                  value={m.profiles.id} 
+                  checked={selected === m.profiles.id} 
+                  onChange={() => setSelected(m.profiles.id)} 
+                />
+                <span className="font-bold">
+                  {nameOf(m.profiles.id)}
+                  {m.profiles.id === user.id && " (You)"}
+                </span>
+              </label>
+            ))}
+            {canAbstain && (
+              <label className="flex items-center gap-2 p-2 border-2 border-black">
+                <input 
+                  type="radio" 
+                  name="vote" 
+                  value="abstain" 
+                  checked={selected === "abstain"} 
+                  onChange={() => setSelected("abstain")} 
+                />
+                <span className="font-bold">Abstain</span>
+              </label>
+            )}
+          </>
+        )}
+        {isMemberVote(type) && (isMultiPick ? picks.length > 0 : selected && selected !== "abstain") && (
+          <textarea
+            className="p-2 border-2 border-black text-sm"
+            rows={2}
+            maxLength={MAX_REASON_LENGTH}
+            placeholder="Why? (optional – shown without your name once the round closes)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
           />
-          <span className="font-bold">Abstain</span>
-        </label>
+        )}
         <button 
           className="p-2 border-2 border-black font-bold hover:opacity-90 transition-opacity"
           style={{ backgroundColor: '#d8e1fc' }}
-          onClick={handleSubmit}
+          onClick={() => handleSubmit()}
           disabled={submitting}
         >
-          {submitting ? "Submitting..." : "Submit vote"}
+          {submitting ? "Submitting..." : changing ? "Update vote" : "Submit vote"}
         </button>
+        {changing && (
+          <button
+            className="p-2 border-2 border-black hover:opacity-90 transition-opacity"
+            onClick={() => setChanging(false)}
+            disabled={submitting}
+          >
+            Keep my vote
+          </button>
+        )}
+        {(isMultiPick || type === "free_text") && canAbstain && (
+          <button
+            className="p-2 border-2 border-black hover:opacity-90 transition-opacity"
+            onClick={() => handleSubmit(true)}
+            disabled={submitting}
+          >
+            Abstain
+          </button>
+        )}
+        {voteError && (
+          <div className="p-2 border-2 border-red-600 text-red-700 text-sm">{voteError}</div>
+        )}
         <div className="text-xs opacity-70">
           Waiting on <b>{remainingVotes}</b> vote(s)...
         </div>
       </div>
+      {isMemberVote(type) && (
+        <PredictionPanel
+          round={round}
+          user={user}
+          memberIds={group.group_members?.map(m => m.profiles.id) || []}
+          nameOf={nameOf}
+          onSaved={onVoted}
+        />
+      )}
+    </div>
+  );
+}
+
+// Optional guess about the outcome – only the member sees it until the round closes
+function PredictionPanel({ round, user, memberIds, nameOf, onSaved }) {
+  const own = round.round_predictions?.find(p => p.user_id === user.id);
+  const [landsOnMe, setLandsOnMe] = useState(own?.lands_on_me ?? null);
+  const [predictedWinner, setPredictedWinner] = useState(own?.predicted_winner || "");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [open, setOpen] = useState(false);
+
+  const candidateIds = eligibleTargets(round, memberIds);
+  const canLandOnMe = candidateIds.includes(user.id);
+
+  async function handleSave() {
+    setSaving(true);
+    setError("");
+    try {
+      await savePrediction({
+        roundId: round.id,
+        landsOnMe: canLandOnMe ? landsOnMe : null,
+        predictedWinner: predictedWinner || null
+      });
+      setOpen(false);
+      onSaved();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!open) {
+    return (
+      <div className="mt-3 p-2 border-2 border-dashed border-black text-sm">
+        🔮 {own ? (
+          <>
+            Your prediction:{" "}
+            {own.lands_on_me != null && <b>{own.lands_on_me ? "it lands on you" : "not you"}</b>}
+            {own.lands_on_me != null && own.predicted_winner && " · "}
+            {own.predicted_winner && <>winner <b>{nameOf(own.predicted_winner)}</b></>}
+          </>
+        ) : "Guess the outcome? Revealed when the round closes."}
+        <button className="ml-2 text-xs underline" onClick={() => setOpen(true)}>
+          {own ? "Change" : "Predict"}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 p-2 border-2 border-dashed border-black grid gap-2 text-sm">
+      {canLandOnMe && (
+        <div>
+          <div className="font-bold mb-1">Do you think this statement will land on you?</div>
+          <div className="flex gap-2">
+            {[[true, "Yes"], [false, "No"], [null, "No guess"]].map(([value, label]) => (
+              <button
+                key={label}
+                className={`px-2 py-1 border-2 border-black text-xs ${landsOnMe === value ? "bg-black text-white" : ""}`}
+                onClick={() => setLandsOnMe(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      <div>
+        <div className="font-bold mb-1">Who will win?</div>
+        <select
+          className="w-full p-2 border-2 border-black"
+          value={predictedWinner}
+          onChange={(e) => setPredictedWinner(e.target.value)}
+        >
+          <option value="">No guess</option>
+          {candidateIds.map(id => (
+            <option key={id} value={id}>{nameOf(id)}{id === user.id ? " (You)" : ""}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <button
+          className="flex-1 p-2 border-2 border-black font-bold disabled:opacity-60"
+          style={{ backgroundColor: '#d8e1fc' }}
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? "Saving..." : "Save prediction"}
+        </button>
+        <button className="p-2 border-2 border-black" onClick={() => setOpen(false)} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+      {error && <div className="p-2 border-2 border-red-600 text-red-700">{error}</div>}
     </div>
   );
 }
@@ -2073,6 +3918,7 @@ function RoundHistoryItem({ round, user, group, onComment }) {
     try {
       const cmts = await listComments(round.id);
       setComments(cmts);
+      await markCommentsRead(round.id);
     } catch (e) {
       console.error("Error loading comments:", e);
     }
@@ -2138,17 +3984,14 @@ function RoundHistoryItem({ round, user, group, onComment }) {
           {showComments && (
             <div className="mt-2 border-t-2 border-black pt-2">
               <div className="text-xs font-bold mb-1">Discussion</div>
-              <div className="grid gap-1">
-                {comments.map(c => (
-                  <div key={c.id} className="text-sm">
-                    <b>
-                      {c.profiles.first_name || c.profiles.last_name ? 
-                        `${c.profiles.first_name || ""} ${c.profiles.last_name || ""}`.trim() : 
-                        c.profiles.email}:
-                    </b> {c.text}
-                  </div>
-                ))}
-              </div>
+              <CommentList
+                comments={comments}
+                roundId={round.id}
+                user={user}
+                ownerId={group?.owner}
+                onChanged={loadComments}
+                compact
+              />
               <div className="mt-2 flex gap-2">
                 <input 
                   className="flex-1 p-2 border-2 border-black" 
@@ -2172,6 +4015,200 @@ function RoundHistoryItem({ round, user, group, onComment }) {
   );
 }
 
+// Comments with one level of replies and emoji reactions (RoundDetail and the round history).
+// Authors edit and delete their own comments, the owner hides them, everyone else can report.
+function CommentList({ comments, roundId, user, ownerId, onChanged, compact = false }) {
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [replyText, setReplyText] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [pickerFor, setPickerFor] = useState(null); // compact: reactions nobody used yet are behind a button
+
+  // Replies to a comment hidden by the owner are shown on their own
+  const threads = comments
+    .filter(c => !c.parent_id || !comments.some(p => p.id === c.parent_id))
+    .map(c => ({ ...c, replies: comments.filter(r => r.parent_id === c.id) }));
+
+  const authorName = (p) => p?.first_name || p?.last_name ?
+    `${p.first_name || ""} ${p.last_name || ""}`.trim() :
+    p?.email;
+
+  async function handleReact(comment, emoji) {
+    const mine = comment.comment_reactions?.some(r => r.user_id === user.id && r.emoji === emoji);
+    try {
+      await toggleReaction(comment.id, emoji, !mine);
+      await onChanged();
+    } catch (e) {
+      alert("Error reacting: " + e.message);
+    }
+  }
+
+  async function run(action, errorLabel) {
+    setBusy(true);
+    try {
+      await action();
+      await onChanged();
+    } catch (e) {
+      alert(`Error ${errorLabel}: ` + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleEdit(c) {
+    if (!editText.trim()) return;
+    run(async () => {
+      await updateComment(c.id, editText);
+      setEditingId(null);
+    }, "editing comment");
+  }
+
+  function handleDelete(c) {
+    const replies = comments.filter(r => r.parent_id === c.id).length;
+    if (!confirm(replies > 0 ? `Delete your comment and its ${replies} repl${replies !== 1 ? "ies" : "y"}?` : "Delete your comment?")) return;
+    run(() => deleteComment(c.id), "deleting comment");
+  }
+
+  function handleReport(c) {
+    const reason = prompt("Report this comment to the group owner. Why? (optional)");
+    if (reason === null) return;
+    run(async () => {
+      await reportComment(c.id, reason);
+      alert("Thanks – the group owner has been notified.");
+    }, "reporting comment");
+  }
+
+  async function handleReply(parentId) {
+    if (!replyText.trim()) return;
+    
+    setBusy(true);
+    try {
+      await createComment({ roundId, text: replyText.trim(), parentId });
+      setReplyText("");
+      setReplyTo(null);
+      await onChanged();
+    } catch (e) {
+      alert("Error posting reply: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function renderComment(c, isReply) {
+    const counts = {};
+    for (const r of c.comment_reactions || []) counts[r.emoji] = (counts[r.emoji] || 0) + 1;
+    const mine = (emoji) => c.comment_reactions?.some(r => r.user_id === user.id && r.emoji === emoji);
+    const isAuthor = c.author === user.id;
+    const edited = c.edited_at && <span className="text-xs opacity-60"> (edited)</span>;
+    
+    return (
+      <div className={`${compact ? "text-sm" : "p-2 border border-gray-300"} ${c.hidden_at ? "opacity-60" : ""}`}>
+        {c.hidden_at && (
+          <div className="text-xs font-bold">🚫 Hidden by the group owner – only you{isAuthor ? " and the owner" : " and the author"} can see this</div>
+        )}
+        {!compact && (
+          <div className="text-xs opacity-70">
+            {new Date(c.created_at).toLocaleString()}
+          </div>
+        )}
+        {editingId === c.id ? (
+          <div className="flex gap-2">
+            <input
+              className="flex-1 p-1 border-2 border-black text-sm"
+              value={editText}
+              onChange={(e) => setEditText(e.target.value)}
+            />
+            <button className="px-2 border-2 border-black text-sm disabled:opacity-60" onClick={() => handleEdit(c)} disabled={busy}>
+              Save
+            </button>
+            <button className="px-2 border-2 border-black text-sm" onClick={() => setEditingId(null)} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        ) : compact ? (
+          <div><b>{authorName(c.profiles)}:</b> {c.text}{edited}</div>
+        ) : (
+          <>
+            <div className="font-bold text-sm">{authorName(c.profiles)}:</div>
+            <div>{c.text}{edited}</div>
+          </>
+        )}
+        <div className="mt-1 flex flex-wrap items-center gap-1 text-xs">
+          {COMMENT_REACTIONS.filter(emoji => counts[emoji] || !compact || pickerFor === c.id).map(emoji => (
+            <button
+              key={emoji}
+              className={`px-1 border border-black ${mine(emoji) ? "bg-black text-white" : ""} ${counts[emoji] ? "" : "opacity-40"}`}
+              onClick={() => handleReact(c, emoji)}
+            >
+              {emoji}{counts[emoji] ? ` ${counts[emoji]}` : ""}
+            </button>
+          ))}
+          {compact && pickerFor !== c.id && (
+            <button className="px-1 border border-black opacity-60" onClick={() => setPickerFor(c.id)}>+</button>
+          )}
+          {!isReply && (
+            <button className="ml-1 underline" onClick={() => setReplyTo(replyTo === c.id ? null : c.id)}>
+              Reply
+            </button>
+          )}
+          {isAuthor ? (
+            <>
+              <button className="ml-1 underline" onClick={() => { setEditingId(c.id); setEditText(c.text); }}>Edit</button>
+              <button className="ml-1 underline" onClick={() => handleDelete(c)} disabled={busy}>Delete</button>
+            </>
+          ) : (
+            <button className="ml-1 underline opacity-70" onClick={() => handleReport(c)} disabled={busy}>Report</button>
+          )}
+          {ownerId === user.id && (
+            <button
+              className="ml-1 underline"
+              onClick={() => run(() => setCommentHidden(c.id, !c.hidden_at), "moderating comment")}
+              disabled={busy}
+            >
+              {c.hidden_at ? "Unhide" : "Hide"}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={compact ? "grid gap-1" : "space-y-2"}>
+      {threads.map(c => (
+        <div key={c.id}>
+          {renderComment(c, !!c.parent_id)}
+          {(c.replies.length > 0 || replyTo === c.id) && (
+            <div className={`ml-4 mt-1 pl-2 border-l-2 border-black ${compact ? "grid gap-1" : "space-y-1"}`}>
+              {c.replies.map(r => (
+                <div key={r.id}>{renderComment(r, true)}</div>
+              ))}
+              {replyTo === c.id && (
+                <div className="flex gap-2">
+                  <input
+                    className="flex-1 p-1 border-2 border-black text-sm"
+                    placeholder={`Reply to ${authorName(c.profiles)}...`}
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                  />
+                  <button
+                    className="px-2 border-2 border-black text-sm disabled:opacity-60"
+                    onClick={() => handleReply(c.id)}
+                    disabled={busy}
+                  >
+                    {busy ? "..." : "Reply"}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // Homepage for non-logged in users
 function HomeView({ onGetStarted }) {
   return (
@@ -2727,7 +4764,7 @@ function AdminEditionsTab({ editions, loading, error, isAdmin, onReload }) {
       ) : (
         <div className="grid gap-2">
           {editions.map(ed => (
-            <EditionRow key={ed.id} ed={ed} isAdmin={isAdmin} onChanged={onReload} />
+            <EditionRow key={ed.id} ed={ed} editions={editions} isAdmin={isAdmin} onChanged={onReload} />
           ))}
           {editions.length === 0 && <div className="opacity-70">No editions found.</div>}
         </div>
@@ -2768,10 +4805,13 @@ function AdminEditionsTab({ editions, loading, error, isAdmin, onReload }) {
   );
 }
 
-function EditionRow({ ed, isAdmin, onChanged }) {
+function EditionRow({ ed, editions, isAdmin, onChanged }) {
   const [name, setName] = useState(ed.name);
   const [slug, setSlug] = useState(ed.slug);
   const [active, setActive] = useState(!!ed.active);
+  const [nextEditionId, setNextEditionId] = useState(ed.next_edition_id || "");
+  const [pickCount, setPickCount] = useState(ed.pick_count || 1);
+  const [scoring, setScoring] = useState(ed.scoring || "fptp");
   
   return (
     <div className="p-2 border-2 border-black">
@@ -2788,6 +4828,41 @@ function EditionRow({ ed, isAdmin, onChanged }) {
           onChange={(e) => setSlug(e.target.value)} 
         />
       </div>
+      <div className="mt-2 flex items-center gap-2 text-sm">
+        <label className="font-bold">Follow-up</label>
+        <select
+          className="flex-1 p-1 border-2 border-black"
+          value={nextEditionId}
+          onChange={(e) => setNextEditionId(e.target.value)}
+        >
+          <option value="">None</option>
+          {editions.filter(other => other.id !== ed.id).map(other => (
+            <option key={other.id} value={other.id}>{other.name}</option>
+          ))}
+        </select>
+      </div>
+      <div className="mt-2 flex items-center gap-2 text-sm">
+        <label className="font-bold">Voting</label>
+        <select
+          className="p-1 border-2 border-black"
+          value={pickCount}
+          onChange={(e) => setPickCount(Number(e.target.value))}
+        >
+          <option value={1}>Single pick</option>
+          {[2, 3, 4, 5].map(n => (
+            <option key={n} value={n}>Top {n}</option>
+          ))}
+        </select>
+        <select
+          className="flex-1 p-1 border-2 border-black"
+          value={scoring}
+          onChange={(e) => setScoring(e.target.value)}
+        >
+          {Object.entries(SCORING_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
       <div className="mt-2 flex items-center gap-2">
         <label className="flex items-center gap-2 text-sm">
           <input 
@@ -2806,6 +4881,8 @@ function EditionRow({ ed, isAdmin, onChanged }) {
               await renameEdition(ed.id, name.trim());
               await changeEditionSlug(ed.id, slug.trim());
               await toggleEditionActive(ed.id, active);
+              await setNextEdition(ed.id, nextEditionId);
+              await setEditionVotingMode(ed.id, { pickCount, scoring });
               await onChanged();
             }}
           >
@@ -2831,6 +4908,10 @@ function EditionRow({ ed, isAdmin, onChanged }) {
 
 function AdminStatementsTab({ editions, selectedEditionId, onSelectEdition, statements, loading, error, isAdmin, onReload }) {
   const [text, setText] = useState("");
+  const [type, setType] = useState("member");
+  const [category, setCategory] = useState("");
+  const [rating, setRating] = useState("");
+  const [tags, setTags] = useState("");
 
   return (
     <div className="space-y-4">
@@ -2873,14 +4954,35 @@ function AdminStatementsTab({ editions, selectedEditionId, onSelectEdition, stat
             value={text} 
             onChange={(e) => setText(e.target.value)} 
           />
+          <StatementMetaFields
+            type={type}
+            category={category}
+            rating={rating}
+            tags={tags}
+            onTypeChange={setType}
+            onCategoryChange={setCategory}
+            onRatingChange={setRating}
+            onTagsChange={setTags}
+          />
           <button 
             className="p-2 border-2 border-black font-bold disabled:opacity-50" 
             disabled={!isAdmin || !selectedEditionId} 
             onClick={async () => {
               if (!isAdmin) return alert("Admin only");
               if (!text.trim()) return alert("Enter text");
-              await createStatement({ text: text.trim(), editionId: selectedEditionId });
+              await createStatement({
+                text: text.trim(),
+                editionId: selectedEditionId,
+                type,
+                category: category.trim() || null,
+                rating: rating ? Number(rating) : null,
+                tags: parseTags(tags)
+              });
               setText("");
+              setType("member");
+              setCategory("");
+              setRating("");
+              setTags("");
               await onReload();
             }}
           >
@@ -2892,8 +4994,61 @@ function AdminStatementsTab({ editions, selectedEditionId, onSelectEdition, stat
   );
 }
 
+// "Funny, reliable " -> ["funny", "reliable"]
+function parseTags(text) {
+  return [...new Set(text.split(",").map(t => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Statement type, category and rating used by the statement selection strategies,
+// plus trait tags for the personal mirror page
+function StatementMetaFields({ type, category, rating, tags, onTypeChange, onCategoryChange, onRatingChange, onTagsChange, disabled }) {
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <select
+        className="col-span-2 p-2 border-2 border-black"
+        value={type}
+        onChange={(e) => onTypeChange(e.target.value)}
+        disabled={disabled}
+      >
+        {Object.entries(STATEMENT_TYPE_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <input
+        className="p-2 border-2 border-black"
+        placeholder="Category (optional)"
+        value={category}
+        onChange={(e) => onCategoryChange(e.target.value)}
+        disabled={disabled}
+      />
+      <select
+        className="p-2 border-2 border-black"
+        value={rating}
+        onChange={(e) => onRatingChange(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="">No rating</option>
+        {[1, 2, 3, 4, 5].map(n => (
+          <option key={n} value={n}>{"★".repeat(n)}</option>
+        ))}
+      </select>
+      <input
+        className="col-span-2 p-2 border-2 border-black"
+        placeholder="Traits, comma separated (optional)"
+        value={tags}
+        onChange={(e) => onTagsChange(e.target.value)}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
+
 function StatementRow({ st, isAdmin, onChanged }) {
   const [text, setText] = useState(st.text || "");
+  const [type, setType] = useState(st.type || "member");
+  const [category, setCategory] = useState(st.category || "");
+  const [rating, setRating] = useState(st.rating ? String(st.rating) : "");
+  const [tags, setTags] = useState((st.tags || []).join(", "));
   const isDeleted = st.deleted;
   
   return (
@@ -2909,6 +5064,19 @@ function StatementRow({ st, isAdmin, onChanged }) {
         onChange={(e) => setText(e.target.value)}
         disabled={isDeleted}
       />
+      <div className="mt-2">
+        <StatementMetaFields
+          type={type}
+          category={category}
+          rating={rating}
+          tags={tags}
+          onTypeChange={setType}
+          onCategoryChange={setCategory}
+          onRatingChange={setRating}
+          onTagsChange={setTags}
+          disabled={isDeleted}
+        />
+      </div>
       <div className="mt-2 flex gap-2 justify-end">
         {!isDeleted ? (
           <>
@@ -2918,6 +5086,12 @@ function StatementRow({ st, isAdmin, onChanged }) {
               onClick={async () => {
                 if (!isAdmin) return;
                 await updateStatementText(st.id, text.trim());
+                await updateStatementMeta(st.id, {
+                  type,
+                  category: category.trim(),
+                  rating: rating ? Number(rating) : null,
+                  tags: parseTags(tags)
+                });
                 await onChanged();
               }}
             >
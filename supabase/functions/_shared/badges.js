@@ -0,0 +1,46 @@
+// supabase/functions/_shared/badges.js
+// Badge catalog shared by the web app and the result email. Badges are awarded by
+// public.award_badges() in the database whenever a round closes (see the migration).
+
+export const BADGES = {
+  first_win: {
+    emoji: "🥇",
+    name: "First win",
+    description: "Won a round for the first time"
+  },
+  hat_trick: {
+    emoji: "🎩",
+    name: "Hat trick",
+    description: "Won three rounds in a row"
+  },
+  statement_of_month: {
+    emoji: "📅",
+    name: "Statement of the month",
+    description: "Got the most first-choice votes in a single round of the month"
+  },
+  perfect_attendance: {
+    emoji: "🗳️",
+    name: "Never missed a vote",
+    description: "Voted in 10 rounds in a row"
+  },
+  // One per statement category – not shown until earned
+  mirror: {
+    emoji: "🪞",
+    name: "Mirror",
+    description: "Won a round in a category",
+    hidden: true
+  }
+};
+
+// member_badges.period is the month (statement_of_month) or the category (mirror)
+export function badgeLabel(badge) {
+  const def = BADGES[badge.badge];
+  if (!def) return badge.badge;
+  if (badge.badge === "mirror" && badge.period) return `${def.name}: ${badge.period}`;
+  if (badge.badge === "statement_of_month" && badge.period) return `${def.name} (${badge.period})`;
+  return def.name;
+}
+
+export function badgeEmoji(badge) {
+  return BADGES[badge.badge]?.emoji || "🏅";
+}
@@ -0,0 +1,164 @@
+// supabase/functions/_shared/roundEngine.js
+// Round lifecycle shared by the web app (src/) and the edge functions.
+// Everything time-dependent takes `now` as a parameter so it can be driven by a fake clock.
+
+/** ===================== Tally ===================== **/
+// fptp: only the first pick counts · borda: pick i of N scores N - i + 1 · approval: every pick scores 1
+// Mirrors public.round_scores() in the database.
+export const SCORING_RULES = ["fptp", "borda", "approval"];
+
+// Ordered picks of a vote – single votes only have a target
+export function ballotOf(vote) {
+  if (vote?.ranking?.length) return vote.ranking;
+  return vote?.target ? [vote.target] : [];
+}
+
+function pickScore(position, { scoring, pickCount }) {
+  if (scoring === "borda") return pickCount - position;
+  if (scoring === "approval") return 1;
+  return position === 0 ? 1 : 0;
+}
+
+export function tallyVotes(votes = [], { scoring = "fptp", pickCount = 1 } = {}) {
+  const counts = {};
+  for (const v of votes) {
+    ballotOf(v).forEach((target, position) => {
+      const score = pickScore(position, { scoring, pickCount });
+      if (score > 0) counts[target] = (counts[target] || 0) + score;
+    });
+  }
+  return counts;
+}
+
+/** ===================== Statement types ===================== **/
+// member: who fits best · scale: agree/disagree 1–5 · this_or_that: one of two drawn members
+// free_text: short anonymous answers. Mirrors public.round_type_summary() in the database.
+export const STATEMENT_TYPES = ["member", "scale", "this_or_that", "free_text"];
+export const MAX_ANSWER_LENGTH = 280;
+export const MAX_REASON_LENGTH = 280; // optional "why" on member votes
+
+export const SCALE_LABELS = {
+  1: "Strongly disagree",
+  2: "Disagree",
+  3: "Neutral",
+  4: "Agree",
+  5: "Strongly agree"
+};
+
+export function statementTypeOf(round) {
+  return round?.statement_type || "member";
+}
+
+// Types where votes go to members and a winner is scored
+export function isMemberVote(type) {
+  return type === "member" || type === "this_or_that";
+}
+
+export function summarizeScale(votes = []) {
+  const values = votes.map(v => v.scale_value).filter(v => v != null);
+  const distribution = Object.fromEntries([1, 2, 3, 4, 5].map(n => [n, values.filter(v => v === n).length]));
+  const average = values.length
+    ? Math.round(100 * values.reduce((sum, v) => sum + v, 0) / values.length) / 100
+    : null;
+  return { responses: values.length, average, distribution };
+}
+
+// Voting mode of a round (columns default to a classic single vote)
+export function votingModeOf(round) {
+  return {
+    scoring: round?.scoring || "fptp",
+    pickCount: round?.pick_count || 1
+  };
+}
+
+// Members that can be voted for – runoff rounds restrict this to the tied members
+export function eligibleTargets(round, memberIds = []) {
+  if (!round?.eligible_targets) return memberIds;
+  return memberIds.filter(id => round.eligible_targets.includes(id));
+}
+
+// Same rules (and messages) as the check_vote_target trigger – null if the ballot is fine.
+// targetIds are the members that can be voted for (see eligibleTargets).
+export function ballotError(ballot = [], { voterId, targetIds = [], pickCount = 1, group = {}, type = "member" }) {
+  if (ballot.length === 0) {
+    return group.allow_abstain === false ? "Abstaining is not allowed in this group – please pick someone" : null;
+  }
+  if (ballot.length > pickCount) return `You can pick at most ${pickCount} members`;
+  if (new Set(ballot).size !== ballot.length) return "Each member can only be picked once";
+  // In this-or-that the two members are drawn for you, so picking yourself is fine
+  if (group.allow_self_vote === false && type === "member" && ballot.includes(voterId)) {
+    return "You cannot vote for yourself in this group";
+  }
+  if (ballot.some(id => !targetIds.includes(id))) return "You can only vote for members of this group";
+  return null;
+}
+
+// Sorted results for display, including members without votes
+export function rankResults(counts = {}, memberIds = []) {
+  const all = { ...Object.fromEntries(memberIds.map(id => [id, 0])), ...counts };
+  const results = Object.entries(all)
+    .map(([userId, votes]) => ({ userId, votes }))
+    .sort((a, b) => b.votes - a.votes);
+  const maxVotes = Math.max(0, ...results.map(r => r.votes));
+  return { results, maxVotes };
+}
+
+/** ===================== Lifecycle ===================== **/
+export function isRoundClosed(round) {
+  return !!round?.round_results && round.round_results.length > 0;
+}
+
+export function isRoundCancelled(round) {
+  return !!round?.cancelled_at;
+}
+
+export function isRoundExpired(round, now = new Date()) {
+  return now.getTime() > new Date(round.expires_at).getTime();
+}
+
+// Takes the number of votes cast – with anonymous groups the client only gets the count
+export function allVotesIn(votesCast = 0, memberCount = 0) {
+  return memberCount > 0 && votesCast >= memberCount;
+}
+
+/** ===================== Quorum ===================== **/
+// Who has to vote is frozen when the round is issued (rounds.eligible_voters / votes_needed).
+// Rounds from before that fall back to all votes and the current member count.
+// Mirrors public.round_quorum() in the database.
+export const QUORUM_MODES = ["percent", "active"];
+
+export function countedVotes(round, voterIds = []) {
+  if (!round?.eligible_voters) return voterIds.length;
+  return voterIds.filter(id => round.eligible_voters.includes(id)).length;
+}
+
+export function votesNeeded(round, memberCount = 0) {
+  return round?.votes_needed ?? memberCount;
+}
+
+// votesCounted: votes by eligible voters (see countedVotes).
+// A reopened round kept its votes, so it only closes on expiry.
+export function quorumReached(round, votesCounted = 0, memberCount = 0) {
+  if (round?.reopened_at) return false;
+  return allVotesIn(votesCounted, votesNeeded(round, memberCount));
+}
+
+export function votesMissing(round, votesCounted = 0, memberCount = 0) {
+  return Math.max(0, votesNeeded(round, memberCount) - votesCounted);
+}
+
+export function shouldCloseRound({ round, votesCast = 0, memberCount = 0, now = new Date() }) {
+  if (!round || isRoundClosed(round) || isRoundCancelled(round)) return false;
+  return isRoundExpired(round, now) || quorumReached(round, votesCast, memberCount);
+}
+
+/** ===================== Persistence ===================== **/
+// Closing goes through the close_round RPC: tally, round_results and points
+// are written in one transaction, so concurrent closers cannot double-score.
+// Works with any supabase-js client (anon key in the browser, service role in the cron).
+// Returns { result, created } – created is false if the round was already closed.
+export async function closeRoundWith(supabase, roundId) {
+  const { data, error } = await supabase.rpc("close_round", { p_round_id: roundId });
+  if (error) throw error;
+  return { result: data.result, created: data.created };
+}
@@ -0,0 +1,47 @@
+// supabase/functions/_shared/roundEngine.test.js
+// Run with `npm test` (node:test). Every case passes its own `now`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { shouldCloseRound, quorumReached, countedVotes } from "./roundEngine.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const open = { expires_at: "2026-10-19T18:00:00Z" };
+
+test("shouldCloseRound: stays open before expiry without quorum", () => {
+  assert.equal(shouldCloseRound({ round: open, votesCast: 2, memberCount: 4, now }), false);
+});
+
+test("shouldCloseRound: closes once expired", () => {
+  const later = new Date("2026-10-19T18:00:01Z");
+  assert.equal(shouldCloseRound({ round: open, votesCast: 0, memberCount: 4, now: later }), true);
+});
+
+test("shouldCloseRound: closes early when every member voted", () => {
+  assert.equal(shouldCloseRound({ round: open, votesCast: 4, memberCount: 4, now }), true);
+});
+
+test("shouldCloseRound: uses the quorum frozen at issue time", () => {
+  const round = { ...open, votes_needed: 3, eligible_voters: ["a", "b", "c", "d"] };
+  assert.equal(shouldCloseRound({ round, votesCast: 2, memberCount: 10, now }), false);
+  assert.equal(shouldCloseRound({ round, votesCast: 3, memberCount: 10, now }), true);
+});
+
+test("shouldCloseRound: never for closed or cancelled rounds", () => {
+  const closed = { ...open, round_results: [{ closed_at: "2026-10-19T11:00:00Z" }] };
+  const cancelled = { ...open, cancelled_at: "2026-10-19T11:00:00Z" };
+  assert.equal(shouldCloseRound({ round: closed, votesCast: 4, memberCount: 4, now }), false);
+  assert.equal(shouldCloseRound({ round: cancelled, votesCast: 4, memberCount: 4, now }), false);
+  assert.equal(shouldCloseRound({ round: null, now }), false);
+});
+
+test("shouldCloseRound: a reopened round only closes on expiry", () => {
+  const reopened = { ...open, reopened_at: "2026-10-19T11:00:00Z" };
+  assert.equal(quorumReached(reopened, 4, 4), false);
+  assert.equal(shouldCloseRound({ round: reopened, votesCast: 4, memberCount: 4, now }), false);
+  assert.equal(shouldCloseRound({ round: reopened, votesCast: 4, memberCount: 4, now: new Date("2026-10-19T19:00:00Z") }), true);
+});
+
+test("countedVotes: only voters eligible when the round was issued", () => {
+  assert.equal(countedVotes({ eligible_voters: ["a", "b"] }, ["a", "c"]), 1);
+  assert.equal(countedVotes({}, ["a", "c"]), 2);
+});
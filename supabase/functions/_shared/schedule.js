@@ -0,0 +1,165 @@
+// supabase/functions/_shared/schedule.js
+// Per-group drop schedule shared by the web app (countdowns, owner start) and the cron.
+// Times of day are interpreted in the group's IANA timezone; `now` is always passed in.
+
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_SCHEDULE = {
+  intervalHours: 48,
+  votingHours: 24,
+  dropTime: null,
+  quietStart: null,
+  quietEnd: null,
+  timezone: "UTC"
+};
+
+// "18:30" or "18:30:00" -> minutes since midnight
+export function parseTimeOfDay(value) {
+  if (!value) return null;
+  const [h, m] = String(value).split(":").map(Number);
+  if (Number.isNaN(h) || Number.isNaN(m)) return null;
+  return h * 60 + m;
+}
+
+export function scheduleOf(group) {
+  return {
+    intervalHours: group?.drop_interval_hours || DEFAULT_SCHEDULE.intervalHours,
+    votingHours: group?.voting_hours || DEFAULT_SCHEDULE.votingHours,
+    dropTime: parseTimeOfDay(group?.drop_time),
+    quietStart: parseTimeOfDay(group?.quiet_hours_start),
+    quietEnd: parseTimeOfDay(group?.quiet_hours_end),
+    timezone: group?.timezone || DEFAULT_SCHEDULE.timezone
+  };
+}
+
+/** ===================== Timezones ===================== **/
+export function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second")
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Wall-clock time in `timeZone` -> Date (second pass settles DST transitions)
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetMs(new Date(guess), timeZone);
+  return new Date(guess - offsetMs(new Date(first), timeZone));
+}
+
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// First moment at or after `after` where the local clock shows `minutes`
+function nextLocalTime(after, minutes, timeZone) {
+  const p = zonedParts(after, timeZone);
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+
+  const sameDay = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour, minute }, timeZone);
+  if (sameDay.getTime() >= after.getTime()) return sameDay;
+
+  const next = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+  return zonedTimeToUtc({
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate(),
+    hour,
+    minute
+  }, timeZone);
+}
+
+/** ===================== Quiet hours ===================== **/
+export function isInQuietHours(date, schedule) {
+  const { quietStart, quietEnd, timezone } = schedule;
+  if (quietStart == null || quietEnd == null || quietStart === quietEnd) return false;
+
+  const p = zonedParts(date, timezone);
+  const m = p.hour * 60 + p.minute;
+  return quietStart < quietEnd
+    ? m >= quietStart && m < quietEnd
+    : m >= quietStart || m < quietEnd; // window across midnight, e.g. 22:00–07:00
+}
+
+export function skipQuietHours(date, schedule) {
+  if (!isInQuietHours(date, schedule)) return date;
+  return nextLocalTime(date, schedule.quietEnd, schedule.timezone);
+}
+
+/** ===================== Drops ===================== **/
+// When the next statement should drop. `lastRound` is the latest regular (non-runoff) round.
+export function nextDropAt(group, lastRound, now = new Date()) {
+  const schedule = scheduleOf(group);
+  let at = lastRound
+    ? new Date(new Date(lastRound.issued_at).getTime() + schedule.intervalHours * HOUR)
+    : new Date(now.getTime());
+
+  if (schedule.dropTime != null) {
+    // Snap to the preferred time of day without drifting when a drop went out late
+    const slack = lastRound ? Math.min(12, schedule.intervalHours / 2) * HOUR : 0;
+    at = nextLocalTime(new Date(at.getTime() - slack), schedule.dropTime, schedule.timezone);
+  }
+
+  return skipQuietHours(at, schedule);
+}
+
+export function isDropDue(group, lastRound, now = new Date()) {
+  return now.getTime() >= nextDropAt(group, lastRound, now).getTime();
+}
+
+// Voting deadline for a round issued at `issuedAt` – never ends inside quiet hours
+export function roundExpiresAt(group, issuedAt = new Date()) {
+  const schedule = scheduleOf(group);
+  return skipQuietHours(new Date(issuedAt.getTime() + schedule.votingHours * HOUR), schedule);
+}
+
+export function formatInTimezone(date, timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZoneName: "short"
+  }).format(date);
+}
+
+/** ===================== Seasons ===================== **/
+// End of the open season, or null when seasons are ended manually by the owner
+export function seasonEndsAt(group, season) {
+  if (!group?.season_length_days || !season) return null;
+  return new Date(new Date(season.started_at).getTime() + group.season_length_days * 24 * HOUR);
+}
+
+export function isSeasonOver(group, season, now = new Date()) {
+  const endsAt = seasonEndsAt(group, season);
+  return !!endsAt && now.getTime() >= endsAt.getTime();
+}
@@ -0,0 +1,52 @@
+// supabase/functions/_shared/schedule.test.js
+// Run with `npm test` (node:test). Every case passes its own `now`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nextDropAt, roundExpiresAt, isDropDue } from "./schedule.js";
+
+const at = (iso) => new Date(iso);
+
+test("nextDropAt: first round drops right away", () => {
+  const now = at("2026-10-19T09:15:00Z");
+  assert.deepEqual(nextDropAt({}, null, now), now);
+});
+
+test("nextDropAt: interval after the last round", () => {
+  const group = { drop_interval_hours: 48 };
+  const last = { issued_at: "2026-10-17T10:00:00Z" };
+  assert.deepEqual(nextDropAt(group, last, at("2026-10-18T00:00:00Z")), at("2026-10-19T10:00:00Z"));
+});
+
+test("nextDropAt: snaps to the drop time in the group's timezone without drifting", () => {
+  const group = { drop_interval_hours: 48, drop_time: "18:00", timezone: "Europe/Berlin" };
+  // 18:00 in Berlin is 16:00 UTC in summer time; a late drop still snaps back to 18:00
+  const onTime = { issued_at: "2026-10-17T16:00:00Z" };
+  const late = { issued_at: "2026-10-17T16:40:00Z" };
+  assert.deepEqual(nextDropAt(group, onTime), at("2026-10-19T16:00:00Z"));
+  assert.deepEqual(nextDropAt(group, late), at("2026-10-19T16:00:00Z"));
+});
+
+test("nextDropAt: keeps the local drop time across the DST change", () => {
+  const group = { drop_interval_hours: 48, drop_time: "18:00", timezone: "Europe/Berlin" };
+  const last = { issued_at: "2026-10-24T16:00:00Z" }; // 18:00 CEST, clocks go back on the 25th
+  assert.deepEqual(nextDropAt(group, last), at("2026-10-26T17:00:00Z")); // 18:00 CET
+});
+
+test("nextDropAt: moves drops out of quiet hours across midnight", () => {
+  const group = { drop_interval_hours: 24, quiet_hours_start: "22:00", quiet_hours_end: "07:00", timezone: "UTC" };
+  const last = { issued_at: "2026-10-18T22:30:00Z" };
+  assert.deepEqual(nextDropAt(group, last), at("2026-10-20T07:00:00Z"));
+});
+
+test("isDropDue: only once the next drop time has passed", () => {
+  const group = { drop_interval_hours: 24 };
+  const last = { issued_at: "2026-10-18T12:00:00Z" };
+  assert.equal(isDropDue(group, last, at("2026-10-19T11:59:00Z")), false);
+  assert.equal(isDropDue(group, last, at("2026-10-19T12:00:00Z")), true);
+});
+
+test("roundExpiresAt: voting never ends inside quiet hours", () => {
+  const group = { voting_hours: 12, quiet_hours_start: "23:00", quiet_hours_end: "08:00", timezone: "UTC" };
+  assert.deepEqual(roundExpiresAt(group, at("2026-10-19T14:00:00Z")), at("2026-10-20T08:00:00Z"));
+  assert.deepEqual(roundExpiresAt(group, at("2026-10-19T09:00:00Z")), at("2026-10-19T21:00:00Z"));
+});
@@ -0,0 +1,270 @@
+// supabase/functions/_shared/statementSelection.js
+// Picks the next statement for a group – used by the owner's "Start new round" and by the cron.
+// Works with any supabase-js client (anon key in the browser, service role in the cron).
+
+export const EXHAUSTION_POLICIES = ["recycle", "next_edition", "notify"];
+export const SELECTION_STRATEGIES = ["uniform", "least_recent", "rating", "category_rotation"];
+
+// How far the cron follows editions.next_edition_id looking for fresh statements
+const MAX_FOLLOW_UPS = 5;
+
+/** ===================== Pool ===================== **/
+export async function loadStatementPool(supabase, group) {
+  const { data: links, error: linksError } = await supabase
+    .from("group_editions")
+    .select("edition_id, weight")
+    .eq("group_id", group.id);
+  if (linksError) throw linksError;
+
+  const editionIds = links?.length
+    ? links.map(l => l.edition_id)
+    : [group.edition_id].filter(Boolean);
+  const weights = Object.fromEntries((links || []).map(l => [l.edition_id, l.weight || 1]));
+
+  const { data: statements, error: statementsError } = await supabase
+    .from("statements")
+    .select("*")
+    .in("edition_id", editionIds)
+    .eq("deleted", false);
+  if (statementsError) throw statementsError;
+
+  const { data: used, error: usedError } = await supabase
+    .from("group_used_statements")
+    .select("statement_id, used_at")
+    .eq("group_id", group.id);
+  if (usedError) throw usedError;
+
+  return {
+    editionIds,
+    weights,
+    statements: statements || [],
+    usedAt: Object.fromEntries((used || []).map(u => [u.statement_id, u.used_at]))
+  };
+}
+
+export function freshStatements(pool) {
+  return pool.statements.filter(s => !(s.id in pool.usedAt));
+}
+
+// The least recently used quarter of the pool
+export function recyclableStatements(pool) {
+  const sorted = [...pool.statements].sort(
+    (a, b) => new Date(pool.usedAt[a.id] || 0).getTime() - new Date(pool.usedAt[b.id] || 0).getTime()
+  );
+  return sorted.slice(0, Math.max(1, Math.ceil(sorted.length / 4)));
+}
+
+/** ===================== Randomness ===================== **/
+// 32-bit FNV-1a, so string seeds like "2026-10-19:<group id>" work too
+function hashSeed(seed) {
+  if (typeof seed === "number") return seed >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Deterministic replacement for Math.random (mulberry32) – same seed, same picks
+export function seededRandom(seed) {
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function pickRandom(list, random = Math.random) {
+  if (!list.length) return null;
+  return list[Math.floor(random() * list.length)];
+}
+
+export function pickWeighted(list, weightOf, random = Math.random) {
+  if (!list.length) return null;
+  const total = list.reduce((sum, item) => sum + weightOf(item), 0);
+  let r = random() * total;
+  for (const item of list) {
+    r -= weightOf(item);
+    if (r < 0) return item;
+  }
+  return list[list.length - 1];
+}
+
+function groupBy(list, keyOf) {
+  const groups = {};
+  for (const item of list) {
+    const key = keyOf(item);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(item);
+  }
+  return groups;
+}
+
+function usedTime(pool, statement) {
+  return pool.usedAt[statement.id] ? new Date(pool.usedAt[statement.id]).getTime() : 0;
+}
+
+// Keys whose most recent use is the oldest (never used counts as oldest)
+function leastRecentKeys(pool, keyOf, keys) {
+  const lastSeen = Object.fromEntries(keys.map(k => [k, 0]));
+  for (const s of pool.statements) {
+    const key = keyOf(s);
+    if (key in lastSeen) lastSeen[key] = Math.max(lastSeen[key], usedTime(pool, s));
+  }
+  const oldest = Math.min(...keys.map(k => lastSeen[k]));
+  return keys.filter(k => lastSeen[k] === oldest);
+}
+
+// Draws an edition by weight, then a statement from it. Only editions that still
+// have candidates take part, so their weights are renormalised as decks run dry.
+export function pickFromDeck(candidates, weights = {}, random = Math.random, weightOf = null) {
+  const byEdition = groupBy(candidates, s => s.edition_id);
+  const editionId = pickWeighted(Object.keys(byEdition), id => weights[id] || 1, random);
+  if (!editionId) return null;
+  return weightOf
+    ? pickWeighted(byEdition[editionId], weightOf, random)
+    : pickRandom(byEdition[editionId], random);
+}
+
+/** ===================== Strategies ===================== **/
+// Each strategy picks one of `candidates` (never empty) – fresh statements, or the
+// recyclable ones once the deck is used up. Deck weights apply unless noted.
+const STRATEGIES = {
+  uniform: (candidates, { pool, random }) => pickFromDeck(candidates, pool.weights, random),
+
+  // Rotates through the group's editions: the one seen longest ago goes next (ignores weights)
+  least_recent: (candidates, { pool, random }) => {
+    const byEdition = groupBy(candidates, s => s.edition_id);
+    const editionIds = leastRecentKeys(pool, s => s.edition_id, Object.keys(byEdition));
+    const editionId = pickWeighted(editionIds, id => pool.weights[id] || 1, random);
+    const inEdition = byEdition[editionId];
+    const oldest = Math.min(...inEdition.map(s => usedTime(pool, s)));
+    return pickRandom(inEdition.filter(s => usedTime(pool, s) === oldest), random);
+  },
+
+  // Statements rated higher (1–5, unrated counts as 3) come up more often
+  rating: (candidates, { pool, random }) =>
+    pickFromDeck(candidates, pool.weights, random, s => s.rating || 3),
+
+  // Avoids the same category twice in a row: the category seen longest ago goes next
+  category_rotation: (candidates, { pool, random }) => {
+    const categoryOf = s => s.category || "";
+    const byCategory = groupBy(candidates, categoryOf);
+    const categories = leastRecentKeys(pool, categoryOf, Object.keys(byCategory));
+    const category = pickRandom(categories, random);
+    return pickFromDeck(byCategory[category], pool.weights, random);
+  }
+};
+
+export function pickStatement(candidates, pool, { strategy = "uniform", random = Math.random } = {}) {
+  if (!candidates.length) return null;
+  const pick = STRATEGIES[strategy] || STRATEGIES.uniform;
+  return pick(candidates, { pool, random });
+}
+
+/** ===================== Exhaustion ===================== **/
+// First active follow-up edition (editions.next_edition_id) that still has fresh statements
+async function findFollowUpEdition(supabase, pool) {
+  const seen = new Set(pool.editionIds);
+  let frontier = [...pool.editionIds];
+
+  for (let hop = 0; hop < MAX_FOLLOW_UPS && frontier.length > 0; hop++) {
+    const { data: editions, error } = await supabase
+      .from("editions")
+      .select("id, next_edition_id")
+      .in("id", frontier);
+    if (error) throw error;
+
+    const candidates = (editions || [])
+      .map(e => e.next_edition_id)
+      .filter(id => id && !seen.has(id));
+    candidates.forEach(id => seen.add(id));
+
+    for (const editionId of candidates) {
+      const { data: edition } = await supabase
+        .from("editions")
+        .select("id, active")
+        .eq("id", editionId)
+        .maybeSingle();
+      if (!edition?.active) continue;
+
+      const { data: statements, error: statementsError } = await supabase
+        .from("statements")
+        .select("*")
+        .eq("edition_id", editionId)
+        .eq("deleted", false);
+      if (statementsError) throw statementsError;
+
+      const fresh = (statements || []).filter(s => !(s.id in pool.usedAt));
+      if (fresh.length > 0) return { editionId, fresh };
+    }
+
+    frontier = candidates;
+  }
+
+  return null;
+}
+
+// Resolves the next statement with the group's selection strategy and applies its
+// exhaustion policy when nothing fresh is left. Pass `seed` for reproducible picks.
+// Returns { statement, source: "fresh" | "next_edition" | "recycled" | null, addedEditionId, exhausted }
+// With dryRun nothing is written (the follow-up edition is not added to the group).
+export async function selectNextStatement(supabase, group, { seed = null, random = null, dryRun = false } = {}) {
+  const options = {
+    strategy: group.selection_strategy || "uniform",
+    random: random || (seed != null ? seededRandom(seed) : Math.random)
+  };
+  const pool = await loadStatementPool(supabase, group);
+  const fresh = freshStatements(pool);
+
+  if (fresh.length > 0) {
+    return { statement: pickStatement(fresh, pool, options), source: "fresh", addedEditionId: null, exhausted: false };
+  }
+
+  const policy = group.exhaustion_policy || "notify";
+
+  if (policy === "next_edition") {
+    const followUp = await findFollowUpEdition(supabase, pool);
+    if (followUp) {
+      if (!dryRun) {
+        const { error } = await supabase
+          .from("group_editions")
+          .insert({ group_id: group.id, edition_id: followUp.editionId });
+        if (error && error.code !== "23505") throw error; // Ignore duplicate
+      }
+      return {
+        statement: pickStatement(followUp.fresh, pool, options),
+        source: "next_edition",
+        addedEditionId: followUp.editionId,
+        exhausted: false
+      };
+    }
+  }
+
+  if (policy === "recycle" && pool.statements.length > 0) {
+    return {
+      statement: pickStatement(recyclableStatements(pool), pool, options),
+      source: "recycled",
+      addedEditionId: null,
+      exhausted: false
+    };
+  }
+
+  return { statement: null, source: null, addedEditionId: null, exhausted: true };
+}
+
+// Upsert so that recycled statements just move to the back of the queue
+export async function markStatementUsedWith(supabase, groupId, statementId, now = new Date()) {
+  const { error } = await supabase
+    .from("group_used_statements")
+    .upsert(
+      { group_id: groupId, statement_id: statementId, used_at: now.toISOString() },
+      { onConflict: "group_id,statement_id" }
+    );
+  if (error) throw error;
+  return true;
+}
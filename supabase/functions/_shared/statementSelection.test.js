@@ -0,0 +1,121 @@
+// supabase/functions/_shared/statementSelection.test.js
+// Run with `npm test` (node:test). A small in-memory stand-in for the supabase-js
+// query builder covers the calls the selection module makes.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { selectNextStatement, pickWeighted } from "./statementSelection.js";
+
+function fakeSupabase(tables) {
+  const inserts = [];
+  return {
+    inserts,
+    from(table) {
+      let rows = [...(tables[table] || [])];
+      const query = {
+        select: () => query,
+        eq: (column, value) => { rows = rows.filter(r => r[column] === value); return query; },
+        in: (column, values) => { rows = rows.filter(r => values.includes(r[column])); return query; },
+        maybeSingle: async () => ({ data: rows[0] ?? null, error: null }),
+        insert: async (row) => { inserts.push({ table, row }); return { error: null }; },
+        then: (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+const statement = (id, edition_id, extra = {}) => ({ id, edition_id, deleted: false, ...extra });
+
+test("selectNextStatement: picks a fresh statement from the group's deck", async () => {
+  const supabase = fakeSupabase({
+    group_editions: [{ group_id: "g", edition_id: "e1", weight: 1 }],
+    statements: [statement("s1", "e1"), statement("s2", "e1"), statement("s3", "other")],
+    group_used_statements: [{ group_id: "g", statement_id: "s1", used_at: "2026-10-01T00:00:00Z" }]
+  });
+  const { statement: picked, source, exhausted } = await selectNextStatement(supabase, { id: "g" }, { seed: 1 });
+  assert.equal(picked.id, "s2");
+  assert.equal(source, "fresh");
+  assert.equal(exhausted, false);
+});
+
+test("selectNextStatement: falls back to groups.edition_id without a deck", async () => {
+  const supabase = fakeSupabase({
+    statements: [statement("s1", "e1"), statement("s2", "e2")]
+  });
+  const { statement: picked } = await selectNextStatement(supabase, { id: "g", edition_id: "e2" });
+  assert.equal(picked.id, "s2");
+});
+
+test("selectNextStatement: the same seed gives the same pick", async () => {
+  const supabase = fakeSupabase({
+    group_editions: [{ group_id: "g", edition_id: "e1", weight: 1 }],
+    statements: Array.from({ length: 20 }, (_, i) => statement(`s${i}`, "e1"))
+  });
+  const group = { id: "g" };
+  const first = await selectNextStatement(supabase, group, { seed: "2026-10-19:g" });
+  const second = await selectNextStatement(supabase, group, { seed: "2026-10-19:g" });
+  assert.equal(first.statement.id, second.statement.id);
+});
+
+test("selectNextStatement: notify reports an exhausted deck", async () => {
+  const supabase = fakeSupabase({
+    statements: [statement("s1", "e1")],
+    group_used_statements: [{ group_id: "g", statement_id: "s1", used_at: "2026-10-01T00:00:00Z" }]
+  });
+  const result = await selectNextStatement(supabase, { id: "g", edition_id: "e1", exhaustion_policy: "notify" });
+  assert.deepEqual(result, { statement: null, source: null, addedEditionId: null, exhausted: true });
+});
+
+test("selectNextStatement: recycle reuses the least recently used statements", async () => {
+  const supabase = fakeSupabase({
+    statements: [statement("s1", "e1"), statement("s2", "e1"), statement("s3", "e1"), statement("s4", "e1")],
+    group_used_statements: [
+      { group_id: "g", statement_id: "s1", used_at: "2026-10-04T00:00:00Z" },
+      { group_id: "g", statement_id: "s2", used_at: "2026-10-01T00:00:00Z" },
+      { group_id: "g", statement_id: "s3", used_at: "2026-10-03T00:00:00Z" },
+      { group_id: "g", statement_id: "s4", used_at: "2026-10-02T00:00:00Z" }
+    ]
+  });
+  const { statement: picked, source } = await selectNextStatement(supabase, { id: "g", edition_id: "e1", exhaustion_policy: "recycle" });
+  assert.equal(picked.id, "s2");
+  assert.equal(source, "recycled");
+});
+
+test("selectNextStatement: next_edition adds the follow-up edition unless dryRun", async () => {
+  const tables = {
+    editions: [{ id: "e1", next_edition_id: "e2", active: true }, { id: "e2", next_edition_id: null, active: true }],
+    statements: [statement("s1", "e1"), statement("s2", "e2")],
+    group_used_statements: [{ group_id: "g", statement_id: "s1", used_at: "2026-10-01T00:00:00Z" }]
+  };
+  const group = { id: "g", edition_id: "e1", exhaustion_policy: "next_edition" };
+
+  const dry = fakeSupabase(tables);
+  const preview = await selectNextStatement(dry, group, { dryRun: true });
+  assert.equal(preview.statement.id, "s2");
+  assert.equal(preview.addedEditionId, "e2");
+  assert.deepEqual(dry.inserts, []);
+
+  const live = fakeSupabase(tables);
+  await selectNextStatement(live, group);
+  assert.deepEqual(live.inserts, [{ table: "group_editions", row: { group_id: "g", edition_id: "e2" } }]);
+});
+
+test("selectNextStatement: category_rotation skips the category used last", async () => {
+  const supabase = fakeSupabase({
+    statements: [
+      statement("s1", "e1", { category: "deep" }),
+      statement("s2", "e1", { category: "deep" }),
+      statement("s3", "e1", { category: "fun" })
+    ],
+    group_used_statements: [{ group_id: "g", statement_id: "s1", used_at: "2026-10-01T00:00:00Z" }]
+  });
+  const group = { id: "g", edition_id: "e1", selection_strategy: "category_rotation" };
+  const { statement: picked } = await selectNextStatement(supabase, group, { seed: 7 });
+  assert.equal(picked.id, "s3");
+});
+
+test("pickWeighted: draws by relative weight", () => {
+  const weights = { a: 3, b: 1 };
+  assert.equal(pickWeighted(["a", "b"], id => weights[id], () => 0.5), "a");
+  assert.equal(pickWeighted(["a", "b"], id => weights[id], () => 0.9), "b");
+});
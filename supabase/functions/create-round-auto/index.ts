@@ -1,20 +1,120 @@
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { closeRoundWith, countedVotes, quorumReached, votesNeeded } from '../_shared/roundEngine.js'
+import { isDropDue, isSeasonOver, nextDropAt, roundExpiresAt, seasonEndsAt } from '../_shared/schedule.js'
+import { markStatementUsedWith, selectNextStatement } from '../_shared/statementSelection.js'
 
 const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
 const SUPABASE_SERVICE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+const JOB_NAME = 'create-round-auto'
+
+type Decision = {
+  step: 'close' | 'close_early' | 'season' | 'create'
+  action: string
+  group_id?: string
+  group?: string
+  round_id?: string
+  statement_id?: string
+  reason?: string
+}
+
+type RunError = {
+  step: string
+  group_id?: string
+  round_id?: string
+  message: string
+}
+
+// Schließt eine Round über die gemeinsame Round-Engine und verschickt die Result-Email
+async function closeAndNotify(supabase: ReturnType<typeof createClient>, round: { id: string }) {
+  let created = false;
+  let emailSent = false;
+  let error: string | null = null;
+  
+  try {
+    const closed = await closeRoundWith(supabase, round.id);
+    created = closed.created;
+    
+    if (!created) {
+      console.log(`Round ${round.id} already closed, skipping`);
+      return { created, emailSent, error };
+    }
+    
+    console.log(`Closed round ${round.id}, winner: ${closed.result.winner || 'None'} with ${closed.result.votes_count} votes`);
+    
+    const { error: emailError } = await supabase.functions.invoke(
+      'send-result-email',
+      { body: { record: closed.result } }
+    );
+    
+    if (emailError) {
+      console.error('Error sending result email:', emailError);
+      error = `Result email: ${emailError.message}`;
+    } else {
+      console.log('Result email sent successfully');
+      emailSent = true;
+    }
+    
+    // Gleichstand mit Tie-Policy "runoff": Stichrunde ankündigen
+    if (closed.result.runoff_round_id) {
+      console.log(`Tie in round ${round.id}, runoff round ${closed.result.runoff_round_id} created`);
+      const { error: runoffEmailError } = await supabase.functions.invoke(
+        'send-round-email',
+        { body: { record: { id: closed.result.runoff_round_id } } }
+      );
+      if (runoffEmailError) {
+        console.error('Error sending runoff email:', runoffEmailError);
+        error = `Runoff email: ${runoffEmailError.message}`;
+      }
+    }
+  } catch (e) {
+    console.error(`Error closing round ${round.id}:`, e);
+    error = e.message;
+  }
+  
+  return { created, emailSent, error };
+}
 
 serve(async (req) => {
+  // ?dryRun=1 berichtet nur, was geschlossen/erstellt würde – ohne zu schreiben
+  const dryRunParam = new URL(req.url).searchParams.get('dryRun');
+  const dryRun = dryRunParam === '1' || dryRunParam === 'true';
+  // ?seed=… macht die Statement-Auswahl reproduzierbar (z.B. zusammen mit dryRun)
+  const seed = new URL(req.url).searchParams.get('seed');
+  
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  
+  let runId: string | null = null;
+  let roundsClosed = 0;
+  let roundsCreated = 0;
+  let emailsSent = 0;
+  const decisions: Decision[] = [];
+  const errors: RunError[] = [];
+  
   try {
     console.log('========================================');
-    console.log('Auto-process rounds cron job started at', new Date().toISOString());
+    console.log(`Auto-process rounds cron job started at ${new Date().toISOString()}${dryRun ? ' (DRY RUN)' : ''}`);
     console.log('========================================');
     
-    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
-    
-    let roundsClosed = 0;
-    let roundsCreated = 0;
-    let emailsSent = 0;
+    // Lock: nur ein Lauf gleichzeitig, sonst doppelte Rounds und Emails
+    if (!dryRun) {
+      const { data: newRunId, error: lockError } = await supabase.rpc('begin_cron_run', { p_job: JOB_NAME });
+      if (lockError) throw lockError;
+      
+      if (!newRunId) {
+        console.log('Another run is in progress, skipping');
+        return new Response(
+          JSON.stringify({
+            success: true,
+            skipped: true,
+            reason: 'Another run is in progress',
+            timestamp: new Date().toISOString()
+          }),
+          { headers: { 'Content-Type': 'application/json' } }
+        )
+      }
+      runId = newRunId;
+    }
     
     // ========================================
     // TEIL 1: Schließe abgelaufene Rounds & sende Result-Emails
@@ -25,140 +125,57 @@ serve(async (req) => {
     const { data: expiredRounds, error: expiredError } = await supabase
       .from('rounds')
       .select(`
-        id, 
+        id,
         group_id,
         statement_id,
         expires_at,
         groups!inner(name),
-        statements!inner(text)
+        statements!inner(text),
+        round_results(id)
       `)
+      .is('cancelled_at', null)
       .lt('expires_at', new Date().toISOString());
     
     if (expiredError) {
       console.error('Error fetching expired rounds:', expiredError);
+      errors.push({ step: 'close', message: expiredError.message });
     } else {
-      console.log(`Found ${expiredRounds?.length || 0} potentially expired rounds`);
+      const openExpired = (expiredRounds || []).filter(r => !r.round_results?.length);
+      console.log(`Found ${openExpired.length} expired rounds to close`);
       
-      for (const round of expiredRounds || []) {
-        // Prüfe ob bereits ein round_result existiert
-        const { data: existingResult } = await supabase
-          .from('round_results')
-          .select('id')
-          .eq('round_id', round.id)
-          .single();
-        
-        if (existingResult) {
-          console.log(`Round ${round.id} already closed, skipping`);
-          continue;
-        }
-        
-        // Hole alle Votes für diese Round
-        const { data: votes } = await supabase
-          .from('votes')
-          .select('voter, target')
-          .eq('round_id', round.id);
-        
-        // Zähle Votes
-        const voteCounts: Record<string, number> = {};
-        votes?.forEach((v) => {
-          if (v.target) {
-            voteCounts[v.target] = (voteCounts[v.target] || 0) + 1;
-          }
-        });
-        
-        // Bestimme Gewinner
-        const maxVotes = Math.max(0, ...Object.values(voteCounts));
-        const winners = Object.entries(voteCounts)
-          .filter(([, count]) => count === maxVotes)
-          .map(([userId]) => userId);
-        
-        const winner = winners.length === 1 ? winners[0] : null;
-        
+      for (const round of openExpired) {
         console.log(`Closing round ${round.id} for group "${round.groups.name}"`);
-        console.log(`Statement: "${round.statements.text}"`);
-        console.log(`Winner: ${winner || 'None'} with ${maxVotes} votes`);
-        
-        // Schließe Round
-        const { data: newResult, error: closeError } = await supabase
-          .from('round_results')
-          .insert({
-            round_id: round.id,
-            winner: winner,
-            votes_count: maxVotes,
-            closed_at: new Date().toISOString()
-          })
-          .select()
-          .single();
         
-        if (closeError) {
-          console.error(`Error closing round ${round.id}:`, closeError);
+        if (dryRun) {
+          decisions.push({ step: 'close', action: 'would_close', group_id: round.group_id, group: round.groups.name, round_id: round.id, reason: 'expired' });
           continue;
         }
         
-        roundsClosed++;
-        
-        // Update points wenn es einen Gewinner gibt
-        if (winner) {
-          // Prüfe ob points record existiert
-          const { data: existingPoints } = await supabase
-            .from('points')
-            .select('points')
-            .eq('user_id', winner)
-            .eq('group_id', round.group_id)
-            .single();
-          
-          if (existingPoints) {
-            await supabase
-              .from('points')
-              .update({ points: existingPoints.points + 1 })
-              .eq('user_id', winner)
-              .eq('group_id', round.group_id);
-          } else {
-            await supabase
-              .from('points')
-              .insert({ 
-                user_id: winner, 
-                group_id: round.group_id, 
-                points: 1 
-              });
-          }
-        }
-        
-        // Sende Result-Email
-        try {
-          console.log('Sending result email...');
-          const { data: emailResult, error: emailError } = await supabase.functions.invoke(
-            'send-result-email',
-            {
-              body: { record: newResult }
-            }
-          );
-          
-          if (emailError) {
-            console.error('Error sending result email:', emailError);
-          } else {
-            console.log('Result email sent successfully');
-            emailsSent++;
-          }
-        } catch (e) {
-          console.error('Exception sending result email:', e);
-        }
+        const closed = await closeAndNotify(supabase, round);
+        if (closed.created) roundsClosed++;
+        if (closed.emailSent) emailsSent++;
+        decisions.push({ step: 'close', action: closed.created ? 'closed' : 'already_closed', group_id: round.group_id, group: round.groups.name, round_id: round.id, reason: 'expired' });
+        if (closed.error) errors.push({ step: 'close', group_id: round.group_id, round_id: round.id, message: closed.error });
       }
     }
     
     // ========================================
     // TEIL 2: Prüfe ob alle gevoted haben (vorzeitiges Schließen)
     // ========================================
-    console.log('\n🗳️ STEP 2: Checking for rounds where everyone voted...');
+    console.log('\n🗳️ STEP 2: Checking for rounds that reached their quorum...');
     
     const { data: activeRounds } = await supabase
       .from('rounds')
       .select(`
         id,
         group_id,
+        eligible_voters,
+        votes_needed,
+        reopened_at,
         groups!inner(name),
         statements!inner(text)
       `)
+      .is('cancelled_at', null)
       .gt('expires_at', new Date().toISOString());
     
     for (const round of activeRounds || []) {
@@ -167,113 +184,122 @@ serve(async (req) => {
         .from('round_results')
         .select('id')
         .eq('round_id', round.id)
-        .single();
+        .maybeSingle();
       
       if (existingResult) continue;
       
-      // Hole Anzahl Mitglieder
+      // Hole Anzahl Mitglieder (nur für Rounds ohne eingefrorene Wählerliste)
       const { count: memberCount } = await supabase
         .from('group_members')
         .select('*', { count: 'exact', head: true })
         .eq('group_id', round.group_id);
       
-      // Hole Anzahl Votes
-      const { count: voteCount } = await supabase
+      // Zähle Votes – nur die der bei Rundenstart wahlberechtigten Mitglieder
+      const { data: roundVotes } = await supabase
         .from('votes')
-        .select('*', { count: 'exact', head: true })
+        .select('voter')
         .eq('round_id', round.id);
+      const votesCounted = countedVotes(round, (roundVotes || []).map(v => v.voter));
       
-      if (memberCount && voteCount && voteCount >= memberCount) {
-        console.log(`All ${memberCount} members voted for round ${round.id}, closing early`);
+      if (quorumReached(round, votesCounted, memberCount || 0)) {
+        console.log(`Quorum reached for round ${round.id} (${votesCounted}/${votesNeeded(round, memberCount || 0)} votes), closing early`);
         
-        // Hole Votes und schließe Round
-        const { data: votes } = await supabase
-          .from('votes')
-          .select('voter, target')
-          .eq('round_id', round.id);
+        if (dryRun) {
+          decisions.push({ step: 'close_early', action: 'would_close', group_id: round.group_id, group: round.groups.name, round_id: round.id, reason: 'quorum reached' });
+          continue;
+        }
         
-        const voteCounts: Record<string, number> = {};
-        votes?.forEach((v) => {
-          if (v.target) {
-            voteCounts[v.target] = (voteCounts[v.target] || 0) + 1;
-          }
-        });
+        const closed = await closeAndNotify(supabase, round);
+        if (closed.created) roundsClosed++;
+        if (closed.emailSent) emailsSent++;
+        decisions.push({ step: 'close_early', action: closed.created ? 'closed' : 'already_closed', group_id: round.group_id, group: round.groups.name, round_id: round.id, reason: 'quorum reached' });
+        if (closed.error) errors.push({ step: 'close_early', group_id: round.group_id, round_id: round.id, message: closed.error });
+      }
+    }
+    
+    // ========================================
+    // TEIL 3: Beende abgelaufene Seasons & sende Season-Emails
+    // ========================================
+    console.log('\n🏁 STEP 3: Checking for seasons that are over...');
+    
+    const { data: openSeasons, error: seasonsError } = await supabase
+      .from('seasons')
+      .select('id, group_id, number, started_at, groups!inner(name, season_length_days)')
+      .is('ended_at', null)
+      .not('groups.season_length_days', 'is', null);
+    
+    if (seasonsError) {
+      console.error('Error fetching seasons:', seasonsError);
+      errors.push({ step: 'season', message: seasonsError.message });
+    } else {
+      for (const season of openSeasons || []) {
+        if (!isSeasonOver(season.groups, season, new Date())) continue;
         
-        const maxVotes = Math.max(0, ...Object.values(voteCounts));
-        const winners = Object.entries(voteCounts)
-          .filter(([, count]) => count === maxVotes)
-          .map(([userId]) => userId);
-        const winner = winners.length === 1 ? winners[0] : null;
+        // Erst die laufende Round abwarten, damit ihre Punkte noch in diese Season zählen
+        const { data: openRounds } = await supabase
+          .from('rounds')
+          .select('id, round_results(id)')
+          .eq('group_id', season.group_id)
+          .is('cancelled_at', null)
+          .gt('expires_at', new Date().toISOString());
         
-        const { data: newResult, error: closeError } = await supabase
-          .from('round_results')
-          .insert({
-            round_id: round.id,
-            winner: winner,
-            votes_count: maxVotes,
-            closed_at: new Date().toISOString()
-          })
-          .select()
-          .single();
+        if ((openRounds || []).some(r => !r.round_results?.length)) {
+          decisions.push({ step: 'season', action: 'skip', group_id: season.group_id, group: season.groups.name, reason: 'waiting for the open round' });
+          continue;
+        }
         
-        if (!closeError && newResult) {
-          roundsClosed++;
-          
-          // Update points
-          if (winner) {
-            const { data: existingPoints } = await supabase
-              .from('points')
-              .select('points')
-              .eq('user_id', winner)
-              .eq('group_id', round.group_id)
-              .single();
-            
-            if (existingPoints) {
-              await supabase
-                .from('points')
-                .update({ points: existingPoints.points + 1 })
-                .eq('user_id', winner)
-                .eq('group_id', round.group_id);
-            } else {
-              await supabase
-                .from('points')
-                .insert({ 
-                  user_id: winner, 
-                  group_id: round.group_id, 
-                  points: 1 
-                });
-            }
-          }
-          
-          // Sende Result-Email
-          try {
-            const { error: emailError } = await supabase.functions.invoke(
-              'send-result-email',
-              { body: { record: newResult } }
-            );
-            if (!emailError) emailsSent++;
-          } catch (e) {
-            console.error('Exception sending result email:', e);
-          }
+        const reason = `season ${season.number} ended ${seasonEndsAt(season.groups, season).toISOString()}`;
+        
+        if (dryRun) {
+          decisions.push({ step: 'season', action: 'would_end', group_id: season.group_id, group: season.groups.name, reason });
+          continue;
+        }
+        
+        const { error: endError } = await supabase.rpc('end_season', { p_group_id: season.group_id });
+        if (endError) {
+          console.error(`Error ending season for "${season.groups.name}":`, endError);
+          errors.push({ step: 'season', group_id: season.group_id, message: endError.message });
+          continue;
+        }
+        
+        console.log(`Ended season ${season.number} for group "${season.groups.name}"`);
+        decisions.push({ step: 'season', action: 'ended', group_id: season.group_id, group: season.groups.name, reason });
+        
+        const { error: seasonEmailError } = await supabase.functions.invoke(
+          'send-season-email',
+          { body: { season_id: season.id } }
+        );
+        
+        if (seasonEmailError) {
+          console.error('Error sending season email:', seasonEmailError);
+          errors.push({ step: 'season', group_id: season.group_id, message: `Season email: ${seasonEmailError.message}` });
+        } else {
+          emailsSent++;
         }
       }
     }
     
     // ========================================
-    // TEIL 3: Erstelle neue Rounds & sende New-Round-Emails
+    // TEIL 4: Erstelle neue Rounds & sende New-Round-Emails
     // ========================================
-    console.log('\n🎯 STEP 3: Creating new rounds for groups...');
+    console.log('\n🎯 STEP 4: Creating new rounds for groups...');
     
     const { data: groups, error: groupsError } = await supabase
       .from('groups')
-      .select('id, name, edition_id')
+      .select('id, name, edition_id, selection_strategy, exhaustion_policy, exhaustion_notified_at, drop_interval_hours, voting_hours, drop_time, quiet_hours_start, quiet_hours_end, timezone')
     
     if (groupsError) {
       console.error('Error fetching groups:', groupsError);
+      errors.push({ step: 'create', message: groupsError.message });
     } else {
       console.log(`Processing ${groups?.length || 0} groups for new rounds`);
       
       for (const group of groups || []) {
+        const skip = (reason: string) => {
+          console.log(`Group "${group.name}": ${reason}, skipping`);
+          decisions.push({ step: 'create', action: 'skip', group_id: group.id, group: group.name, reason });
+        };
+        
         // Prüfe ob Gruppe eine aktive Round hat
         const { data: activeRounds } = await supabase
           .from('rounds')
@@ -282,67 +308,86 @@ serve(async (req) => {
           .gt('expires_at', new Date().toISOString());
         
         if (activeRounds && activeRounds.length > 0) {
-          console.log(`Group "${group.name}" has active round, skipping`);
+          skip('has active round');
           continue;
         }
         
-        // Prüfe ob round_results ohne aktive round existiert (noch nicht neue Round erstellt)
-        const { data: unprocessedResults } = await supabase
+        // Prüfe ob laut Gruppen-Zeitplan ein neues Statement fällig ist
+        const { data: lastRounds } = await supabase
           .from('rounds')
-          .select(`
-            id,
-            issued_at,
-            round_results!inner(closed_at)
-          `)
+          .select('id, issued_at')
           .eq('group_id', group.id)
+          .is('parent_round_id', null)
           .order('issued_at', { ascending: false })
           .limit(1);
         
-        if (unprocessedResults && unprocessedResults.length > 0) {
-          const lastRound = unprocessedResults[0];
-          const hoursSinceClose = (Date.now() - new Date(lastRound.round_results[0].closed_at).getTime()) / (1000 * 60 * 60);
-          
-          // Warte 48h nach dem Schließen der letzten Round
-          if (hoursSinceClose < 48) {
-            console.log(`Group "${group.name}": Only ${hoursSinceClose.toFixed(1)}h since last round closed, skipping`);
-            continue;
-          }
+        const now = new Date();
+        const lastRound = lastRounds?.[0] || null;
+        
+        if (!isDropDue(group, lastRound, now)) {
+          skip(`next drop at ${nextDropAt(group, lastRound, now).toISOString()}`);
+          continue;
+        }
+        
+        // Hole nächstes Statement (inkl. Exhaustion-Policy der Gruppe)
+        let selection;
+        try {
+          selection = await selectNextStatement(supabase, group, {
+            dryRun,
+            seed: seed ? `${seed}:${group.id}` : null
+          });
+        } catch (e) {
+          console.error(`Error selecting statement for "${group.name}":`, e);
+          errors.push({ step: 'create', group_id: group.id, message: e.message });
+          continue;
         }
         
-        // Hole nächstes Statement (direkt ohne RPC um Fehler zu vermeiden)
-        const { data: allStatements } = await supabase
-          .from('statements')
-          .select('*')
-          .eq('edition_id', group.edition_id)
-          .eq('deleted', false);
+        if (selection.exhausted) {
+          // Owner einmalig per Email informieren statt die Gruppe stillschweigend zu überspringen
+          if (!group.exhaustion_notified_at && !dryRun) {
+            const { error: notifyError } = await supabase.functions.invoke(
+              'send-exhaustion-email',
+              { body: { group_id: group.id } }
+            );
+            
+            if (notifyError) {
+              console.error(`Error notifying owner of "${group.name}":`, notifyError);
+              errors.push({ step: 'create', group_id: group.id, message: `Exhaustion email: ${notifyError.message}` });
+            } else {
+              emailsSent++;
+              await supabase
+                .from('groups')
+                .update({ exhaustion_notified_at: now.toISOString() })
+                .eq('id', group.id);
+            }
+          }
+          skip(group.exhaustion_notified_at ? 'edition exhausted, owner already notified' : 'edition exhausted, owner notified');
+          continue;
+        }
         
-        const { data: usedStatements } = await supabase
-          .from('group_used_statements')
-          .select('statement_id')
-          .eq('group_id', group.id);
+        const nextStatement = selection.statement;
         
-        const usedIds = usedStatements?.map(u => u.statement_id) || [];
-        const unusedStatements = allStatements?.filter(s => !usedIds.includes(s.id)) || [];
+        if (selection.addedEditionId) {
+          console.log(`Group "${group.name}": edition exhausted, continuing with follow-up edition ${selection.addedEditionId}`);
+        } else if (selection.source === 'recycled') {
+          console.log(`Group "${group.name}": edition exhausted, recycling a least recently used statement`);
+        }
         
-        if (unusedStatements.length === 0) {
-          console.log(`Group "${group.name}": No unused statements available`);
+        if (dryRun) {
+          console.log(`Would create round for group "${group.name}" with "${nextStatement.text}"`);
+          decisions.push({ step: 'create', action: 'would_create', group_id: group.id, group: group.name, statement_id: nextStatement.id, reason: selection.source });
           continue;
         }
         
-        // Wähle zufälliges Statement
-        const randomIndex = Math.floor(Math.random() * unusedStatements.length);
-        const nextStatement = unusedStatements[randomIndex];
-        
-        // Erstelle neue Round (24h Laufzeit)
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 24);
+        // Erstelle neue Round (Laufzeit laut Gruppen-Zeitplan)
+        const expiresAt = roundExpiresAt(group, now);
         
         const { data: newRound, error: roundError } = await supabase
           .from('rounds')
           .insert({
             group_id: group.id,
             statement_id: nextStatement.id,
-            issued_at: new Date().toISOString(),
+            issued_at: now.toISOString(),
             expires_at: expiresAt.toISOString()
           })
           .select()
@@ -350,25 +395,31 @@ serve(async (req) => {
         
         if (roundError) {
           console.error(`Error creating round for "${group.name}":`, roundError);
+          errors.push({ step: 'create', group_id: group.id, message: roundError.message });
           continue;
         }
         
+        // Markiere Statement als verwendet
+        try {
+          await markStatementUsedWith(supabase, group.id, nextStatement.id, now);
+        } catch (e) {
+          console.error(`Error marking statement used for "${group.name}":`, e);
+          errors.push({ step: 'create', group_id: group.id, round_id: newRound.id, message: e.message });
+        }
+        
+        if (group.exhaustion_notified_at) {
+          await supabase.from('groups').update({ exhaustion_notified_at: null }).eq('id', group.id);
+        }
+        
         console.log(`Created round for group "${group.name}"`);
         console.log(`Statement: "${nextStatement.text}"`);
         roundsCreated++;
-        
-        // Markiere Statement als verwendet
-        await supabase
-          .from('group_used_statements')
-          .insert({
-            group_id: group.id,
-            statement_id: nextStatement.id
-          });
+        decisions.push({ step: 'create', action: 'created', group_id: group.id, group: group.name, round_id: newRound.id, statement_id: nextStatement.id });
         
         // Sende New-Round-Email
         try {
           console.log('Sending new round email...');
-          const { data: emailResult, error: emailError } = await supabase.functions.invoke(
+          const { error: emailError } = await supabase.functions.invoke(
             'send-round-email',
             {
               body: { record: newRound }
@@ -377,12 +428,14 @@ serve(async (req) => {
           
           if (emailError) {
             console.error('Error sending new round email:', emailError);
+            errors.push({ step: 'create', group_id: group.id, round_id: newRound.id, message: `Round email: ${emailError.message}` });
           } else {
             console.log('New round email sent successfully');
             emailsSent++;
           }
         } catch (e) {
           console.error('Exception sending new round email:', e);
+          errors.push({ step: 'create', group_id: group.id, round_id: newRound.id, message: `Round email: ${e.message}` });
         }
       }
     }
@@ -391,29 +444,53 @@ serve(async (req) => {
     // Zusammenfassung
     // ========================================
     console.log('\n========================================');
-    console.log('✅ CRON JOB COMPLETED');
+    console.log(dryRun ? '✅ DRY RUN COMPLETED' : '✅ CRON JOB COMPLETED');
     console.log('========================================');
     console.log(`Rounds closed: ${roundsClosed}`);
     console.log(`Rounds created: ${roundsCreated}`);
     console.log(`Emails sent: ${emailsSent}`);
+    console.log(`Errors: ${errors.length}`);
     console.log('========================================\n');
     
+    if (runId) {
+      await supabase.rpc('finish_cron_run', {
+        p_run_id: runId,
+        p_status: 'succeeded',
+        p_summary: { roundsClosed, roundsCreated, emailsSent, decisions, errors }
+      });
+    }
+    
     return new Response(
-      JSON.stringify({ 
-        success: true, 
+      JSON.stringify({
+        success: true,
+        dryRun,
+        runId,
         roundsClosed,
         roundsCreated,
         emailsSent,
+        decisions,
+        errors,
         timestamp: new Date().toISOString()
       }),
       { headers: { 'Content-Type': 'application/json' } }
     )
-    
+  
   } catch (error) {
     console.error('❌ CRON JOB ERROR:', error);
+    
+    if (runId) {
+      errors.push({ step: 'run', message: error.message });
+      await supabase.rpc('finish_cron_run', {
+        p_run_id: runId,
+        p_status: 'failed',
+        p_summary: { roundsClosed, roundsCreated, emailsSent, decisions, errors }
+      });
+    }
+    
     return new Response(
-      JSON.stringify({ 
+      JSON.stringify({
         error: error.message,
+        runId,
         timestamp: new Date().toISOString()
       }),
       { status: 500, headers: { 'Content-Type': 'application/json' } }
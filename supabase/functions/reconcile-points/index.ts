@@ -0,0 +1,110 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
+const SUPABASE_SERVICE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+const JOB_NAME = 'reconcile-points'
+
+type Mismatch = {
+  group_id: string
+  user_id: string
+  round_id: string | null
+  expected: number
+  actual: number
+  fixed: boolean
+}
+
+// Vergleicht das Punkte-Ledger mit round_results (public.reconcile_points).
+// Standard ist nur ein Report; ?fix=1 hängt für jede Abweichung einen Korrektur-Eintrag an.
+// ?group_id=… beschränkt den Lauf auf eine Gruppe.
+serve(async (req) => {
+  const params = new URL(req.url).searchParams;
+  const fixParam = params.get('fix');
+  const fix = fixParam === '1' || fixParam === 'true';
+  const groupId = params.get('group_id');
+  
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  
+  let runId: string | null = null;
+  
+  try {
+    console.log('========================================');
+    console.log(`Points reconciliation started at ${new Date().toISOString()}${fix ? ' (FIX MODE)' : ' (report only)'}`);
+    console.log('========================================');
+    
+    // Lock nur im Fix-Modus – ein Report schreibt nichts
+    if (fix) {
+      const { data: newRunId, error: lockError } = await supabase.rpc('begin_cron_run', { p_job: JOB_NAME });
+      if (lockError) throw lockError;
+      
+      if (!newRunId) {
+        console.log('Another run is in progress, skipping');
+        return new Response(
+          JSON.stringify({
+            success: true,
+            skipped: true,
+            reason: 'Another run is in progress',
+            timestamp: new Date().toISOString()
+          }),
+          { headers: { 'Content-Type': 'application/json' } }
+        )
+      }
+      runId = newRunId;
+    }
+    
+    const { data, error } = await supabase.rpc('reconcile_points', {
+      p_group_id: groupId,
+      p_fix: fix
+    });
+    if (error) throw error;
+    
+    const mismatches: Mismatch[] = data || [];
+    for (const m of mismatches) {
+      console.log(
+        `${m.fixed ? 'Fixed' : 'Mismatch'}: group ${m.group_id}, user ${m.user_id}, ` +
+        `${m.round_id ? `round ${m.round_id}` : 'season balance'} – expected ${m.expected}, ledger ${m.actual}`
+      );
+    }
+    
+    console.log(`\n${mismatches.length} mismatch(es)${fix ? ' fixed' : ' found'}`);
+    
+    if (runId) {
+      await supabase.rpc('finish_cron_run', {
+        p_run_id: runId,
+        p_status: 'succeeded',
+        p_summary: { decisions: mismatches, errors: [] }
+      });
+    }
+    
+    return new Response(
+      JSON.stringify({
+        success: true,
+        fix,
+        runId,
+        mismatches,
+        timestamp: new Date().toISOString()
+      }),
+      { headers: { 'Content-Type': 'application/json' } }
+    )
+  
+  } catch (error) {
+    console.error('❌ RECONCILIATION ERROR:', error);
+    
+    if (runId) {
+      await supabase.rpc('finish_cron_run', {
+        p_run_id: runId,
+        p_status: 'failed',
+        p_summary: { errors: [{ step: 'reconcile', message: error.message }] }
+      });
+    }
+    
+    return new Response(
+      JSON.stringify({
+        error: error.message,
+        runId,
+        timestamp: new Date().toISOString()
+      }),
+      { status: 500, headers: { 'Content-Type': 'application/json' } }
+    )
+  }
+})
@@ -0,0 +1,200 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
+const SUPABASE_SERVICE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+const SENDGRID_API_KEY = Deno.env.get('SMTP_PASSWORD')! // Dein SendGrid API Key
+const SENDER_EMAIL = Deno.env.get('SMTP_FROM') || 'noreply@mirrio.app'
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+      },
+    });
+  }
+
+  try {
+    // Parse request body
+    const bodyText = await req.text();
+    const { group_id } = JSON.parse(bodyText);
+    
+    console.log('Statements exhausted for group:', group_id);
+    
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+    
+    // Hole Gruppe mit Owner
+    const { data: group, error: groupError } = await supabase
+      .from('groups')
+      .select('id, name, owner')
+      .eq('id', group_id)
+      .single()
+    
+    if (groupError) {
+      console.error('Error fetching group:', groupError);
+      throw groupError;
+    }
+    
+    const { data: owner } = await supabase
+      .from('profiles')
+      .select('email, first_name')
+      .eq('id', group.owner)
+      .maybeSingle()
+    
+    // Hole die Editionen der Gruppe
+    const { data: links } = await supabase
+      .from('group_editions')
+      .select('editions(name)')
+      .eq('group_id', group_id)
+    
+    const editionNames = (links || [])
+      .map(l => l.editions?.name)
+      .filter(Boolean)
+      .join(', ') || 'your edition'
+    
+    const ownerEmail = owner?.email
+    if (!ownerEmail) {
+      console.log('Owner has no email, skipping');
+      return new Response(JSON.stringify({ success: true, message: 'Owner has no email' }), {
+        status: 200,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      })
+    }
+    
+    const ownerName = owner?.first_name || 'there'
+    
+    const emailHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #000; font-size: 32px; font-weight: 900; margin: 0;">MIRRIO</h1>
+        </div>
+        
+        <h2 style="color: #000; font-size: 24px; margin-bottom: 20px;">
+          📭 No statements left
+        </h2>
+        
+        <p style="color: #333; font-size: 16px; line-height: 1.5;">
+          Hi ${ownerName}! <strong>${group.name}</strong> has played every statement of ${editionNames}.
+        </p>
+        
+        <div style="background: #fed89e; border: 4px solid black; padding: 20px; margin: 20px 0;">
+          <p style="margin: 0; font-size: 16px;">
+            No new rounds will drop until you switch to another edition, add one, or allow statements to be reused.
+          </p>
+        </div>
+        
+        <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 20px 0;">
+          You can change this under Group Management in the app.
+        </p>
+        
+        <div style="text-align: center; margin: 40px 0;">
+          <a href="https://mirrio.app" 
+             style="display: inline-block; background: #d8e1fc; border: 4px solid black; padding: 15px 30px; text-decoration: none; color: black; font-weight: bold; font-size: 16px;">
+            Choose Editions →
+          </a>
+        </div>
+        
+        <hr style="margin: 40px 0; border: none; border-top: 1px solid #eee;">
+        
+        <p style="color: #999; font-size: 12px; text-align: center;">
+          You're receiving this because you own ${group.name} on Mirrio.
+        </p>
+      </body>
+      </html>
+    `;
+    
+    // Plain text version
+    const emailText = `
+Hi ${ownerName}!
+
+${group.name} has played every statement of ${editionNames}.
+
+No new rounds will drop until you switch to another edition, add one, or allow statements to be reused.
+You can change this under Group Management at: https://mirrio.app
+
+---
+You're receiving this because you own ${group.name} on Mirrio.
+    `.trim();
+    
+    // SendGrid API Request
+    const sendgridResponse = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${SENDGRID_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{
+          to: [{ email: ownerEmail }]
+        }],
+        from: { 
+          email: SENDER_EMAIL,
+          name: 'Mirrio'
+        },
+        subject: `📭 ${group.name} has run out of statements`,
+        content: [
+          {
+            type: 'text/plain',
+            value: emailText
+          },
+          {
+            type: 'text/html',
+            value: emailHtml
+          }
+        ]
+      })
+    });
+    
+    if (!sendgridResponse.ok) {
+      const errorText = await sendgridResponse.text();
+      console.error(`❌ SendGrid error for ${ownerEmail}:`, sendgridResponse.status, errorText);
+      throw new Error(`SendGrid ${sendgridResponse.status}: ${errorText}`);
+    }
+    
+    console.log(`✅ Exhaustion email sent to ${ownerEmail}`);
+    
+    // Success response
+    return new Response(JSON.stringify({ 
+      success: true,
+      message: 'Exhaustion email sent',
+      stats: {
+        group: group.name,
+        editions: editionNames
+      }
+    }), {
+      status: 200,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    })
+    
+  } catch (error) {
+    console.error('Error:', error);
+    
+    return new Response(JSON.stringify({ 
+      success: false,
+      error: error.message,
+      stack: error.stack
+    }), {
+      status: 500,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    })
+  }
+})
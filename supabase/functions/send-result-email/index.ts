@@ -1,5 +1,10 @@
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { formatInTimezone, nextDropAt } from '../_shared/schedule.js'
+import {
+  ballotOf, tallyVotes, votingModeOf, statementTypeOf, isMemberVote, summarizeScale, SCALE_LABELS
+} from '../_shared/roundEngine.js'
+import { badgeLabel, badgeEmoji } from '../_shared/badges.js'
 
 const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
 const SUPABASE_SERVICE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
@@ -32,7 +37,7 @@ serve(async (req) => {
       .from('rounds')
       .select(`
         *,
-        groups(id, name),
+        groups(id, name, vote_privacy, drop_interval_hours, drop_time, quiet_hours_start, quiet_hours_end, timezone),
         statements(text)
       `)
       .eq('id', record.round_id)
@@ -46,40 +51,70 @@ serve(async (req) => {
     // Hole alle Votes für die Abstimmung
     const { data: votes } = await supabase
       .from('votes')
-      .select('target')
+      .select('voter, target, ranking, scale_value, answer')
       .eq('round_id', record.round_id)
     
-    // Zähle Stimmen pro Person
-    const voteCounts: Record<string, number> = {}
-    votes?.forEach(v => {
-      if (v.target) {
-        voteCounts[v.target] = (voteCounts[v.target] || 0) + 1
-      }
-    })
+    // Scores laut Voting-Modus der Runde (round_results.ranking ist bereits sortiert)
+    const { scoring, pickCount } = votingModeOf(round)
+    const isMultiPick = pickCount > 1
+    const unit = scoring === 'borda' ? 'point' : 'vote'
+    const scoreText = (n: number) => `${n} ${unit}${n !== 1 ? 's' : ''}`
+    const modeNote = isMultiPick ? {
+      fptp: `Members ranked their top ${pickCount} – only first choices counted.`,
+      borda: `Members ranked their top ${pickCount} – first choices earned the most points.`,
+      approval: `Members picked up to ${pickCount} people each.`
+    }[scoring as string] || '' : ''
+    
+    const ranking: [string, number][] = record.ranking?.length ?
+      record.ranking.map((r: { user_id: string, score: number }) => [r.user_id, r.score]) :
+      Object.entries(tallyVotes(votes || [], { scoring, pickCount }) as Record<string, number>)
+        .sort(([,a], [,b]) => b - a)
     
-    // Sortiere nach Stimmen und hole Top 3
-    const results = Object.entries(voteCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 3)
+    // Top 3 – bei Ranked Voting die komplette Rangliste (Skala und Freitext haben keine Gewinner)
+    const type = statementTypeOf(round)
+    const hasWinner = isMemberVote(type)
+    const results = !hasWinner ? [] : isMultiPick ? ranking : ranking.slice(0, 3)
     
-    // Hole Gewinner-Info
+    // Hole Gewinner-Info (bei geteiltem Sieg mehrere)
+    const winnerIds: string[] = record.winners?.length ? record.winners : (record.winner ? [record.winner] : [])
     let winnerName = 'Nobody'
-    let winnerEmail = ''
-    if (record.winner) {
-      const { data: winner } = await supabase
+    if (winnerIds.length > 0) {
+      const { data: winnerProfiles } = await supabase
         .from('profiles')
         .select('first_name, last_name, email')
-        .eq('id', record.winner)
-        .single()
+        .in('id', winnerIds)
       
-      if (winner) {
-        winnerName = winner.first_name || winner.last_name ? 
-          `${winner.first_name || ''} ${winner.last_name || ''}`.trim() : 
-          winner.email
-        winnerEmail = winner.email
+      if (winnerProfiles?.length) {
+        winnerName = winnerProfiles.map(winner =>
+          winner.first_name || winner.last_name ? 
+            `${winner.first_name || ''} ${winner.last_name || ''}`.trim() : 
+            winner.email
+        ).join(' & ')
       }
     }
     
+    // Hinweis wie ein Gleichstand aufgelöst wurde
+    const tieNote = {
+      shared: 'It was a tie – the point is shared.',
+      random: 'It was a tie – the winner was drawn at random.',
+      runoff: "It's a tie! A short runoff round has started – go vote again."
+    }[record.tie_resolution as string] || ''
+    
+    // Nächster Drop laut Gruppen-Zeitplan (letzte reguläre Round = diese oder ihre Ursprungsrunde)
+    const { data: lastRegular } = await supabase
+      .from('rounds')
+      .select('issued_at')
+      .eq('group_id', round.groups.id)
+      .is('parent_round_id', null)
+      .order('issued_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+    
+    const nextDrop = formatInTimezone(
+      nextDropAt(round.groups, lastRegular, new Date()),
+      round.groups.timezone || 'UTC'
+    )
+    
     // Hole alle Gruppenmitglieder
     const { data: members } = await supabase
       .from('group_members')
@@ -106,6 +141,70 @@ serve(async (req) => {
       })
     )
     
+    // Wer wen gewählt hat – nur wenn die Gruppe Stimmen nicht anonym hält (Runde ist hier immer geschlossen).
+    // Freitext-Antworten bleiben immer anonym.
+    const revealVotes = (round.groups.vote_privacy || 'anonymous') !== 'anonymous' && type !== 'free_text'
+    const nameOf = (userId: string) => {
+      const profile = members?.find(m => m.profiles?.id === userId)?.profiles
+      return profile?.first_name || profile?.last_name ?
+        `${profile.first_name || ''} ${profile.last_name || ''}`.trim() :
+        profile?.email || 'Someone'
+    }
+    const voteLines = revealVotes ?
+      (votes || []).map(v => {
+        if (type === 'scale') {
+          return `${nameOf(v.voter)} → ${SCALE_LABELS[v.scale_value] || 'abstained'}`
+        }
+        const ballot: string[] = ballotOf(v)
+        const picks = ballot.length > 1 ?
+          ballot.map((id, idx) => `${idx + 1}. ${nameOf(id)}`).join(', ') :
+          ballot.length === 1 ? nameOf(ballot[0]) : 'abstained'
+        return `${nameOf(v.voter)} → ${picks}`
+      }) :
+      []
+    
+    // Ergebnis je Statement-Typ
+    const duel = type === 'this_or_that' && !round.parent_round_id && round.eligible_targets?.length ?
+      round.eligible_targets.map(nameOf).join(' vs ') :
+      ''
+    const scale = type === 'scale' ? (record.summary?.distribution ? record.summary : summarizeScale(votes || [])) : null
+    const scaleLines = scale ?
+      Object.entries(SCALE_LABELS).map(([value, label]) => `${label}: ${scale.distribution[value] || 0}`) :
+      []
+    // Freitext: gemischt, ohne Namen – Antworten kommen von Mitgliedern, also fürs HTML escapen
+    const escapeHtml = (text: string) =>
+      text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    const answers: string[] = type === 'free_text' ?
+      (votes || []).map(v => v.answer).filter(Boolean) :
+      []
+    for (let i = answers.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [answers[i], answers[j]] = [answers[j], answers[i]]
+    }
+    
+    // Begründungen pro gewähltem Mitglied (erste Wahl) – ohne Absender, wie round_reasons()
+    const { data: reasonRows } = hasWinner ? await supabase
+      .from('vote_reasons')
+      .select('voter, reason')
+      .eq('round_id', record.round_id) : { data: [] }
+    const reasonsByTarget: Record<string, string[]> = {}
+    for (const r of reasonRows || []) {
+      const target = votes?.find(v => v.voter === r.voter)?.target
+      if (!target) continue
+      if (!reasonsByTarget[target]) reasonsByTarget[target] = []
+      reasonsByTarget[target].push(r.reason)
+    }
+    const reasonGroups = Object.entries(reasonsByTarget)
+      .map(([target, list]) => ({ name: nameOf(target), reasons: list.sort(() => Math.random() - 0.5) }))
+    
+    // Badges, die beim Schließen dieser Runde vergeben wurden (Trigger auf round_results)
+    const { data: badgeRows } = await supabase
+      .from('member_badges')
+      .select('user_id, badge, period')
+      .eq('round_id', record.round_id)
+    const newBadges = (badgeRows || [])
+      .map(b => ({ name: nameOf(b.user_id), emoji: badgeEmoji(b), label: badgeLabel(b) }))
+    
     console.log(`Sending result emails to ${members?.length} members in group "${round.groups.name}"`);
     console.log(`Winner: ${winnerName} with ${record.votes_count || 0} votes`);
     
@@ -121,7 +220,7 @@ serve(async (req) => {
       
       const memberName = member.profiles?.first_name || 'there';
       const memberEmail = member.profiles.email;
-      const isWinner = member.profiles.id === record.winner;
+      const isWinner = winnerIds.includes(member.profiles.id);
       
       const emailHtml = `
         <!DOCTYPE html>
@@ -150,11 +249,39 @@ serve(async (req) => {
             </h3>
           </div>
           
-          ${isWinner ? `
+          ${tieNote ? `
+          <p style="color: #333; font-size: 16px; line-height: 1.5;"><strong>${tieNote}</strong></p>
+          ` : ''}
+          
+          ${duel ? `
+          <p style="color: #333; font-size: 16px; line-height: 1.5;">This or that: <strong>${duel}</strong></p>
+          ` : ''}
+          
+          ${scale ? `
+          <div style="background: #fed89e; border: 4px solid black; padding: 20px; margin: 20px 0;">
+            <h3 style="margin: 0 0 10px 0; color: #000; font-size: 20px;">
+              📊 Average: ${scale.average ?? '–'} / 5
+            </h3>
+            ${scaleLines.map(line => `
+              <p style="margin: 5px 0; font-size: 14px;">${line}</p>
+            `).join('')}
+          </div>
+          ` : ''}
+          
+          ${type === 'free_text' ? `
+          <div style="border: 4px solid black; padding: 20px; margin: 20px 0;">
+            <h4 style="margin: 0 0 15px 0; font-size: 16px;">💬 Your group's answers:</h4>
+            ${answers.length > 0 ? answers.map(answer => `
+              <p style="margin: 5px 0; font-size: 14px;">“${escapeHtml(answer)}”</p>
+            `).join('') : '<p style="margin: 0; font-size: 14px;">Nobody answered this time.</p>'}
+          </div>
+          ` : ''}
+          
+          ${!hasWinner ? '' : isWinner ? `
           <div style="background: #fed89e; border: 4px solid black; padding: 20px; margin: 20px 0; text-align: center;">
             <h3 style="margin: 0 0 10px 0; color: #000; font-size: 24px;">🎉 YOU WON! 🎉</h3>
             <p style="margin: 0; font-size: 16px;">
-              With ${record.votes_count || 0} vote${record.votes_count !== 1 ? 's' : ''}!
+              With ${scoreText(record.votes_count || 0)}!
             </p>
           </div>
           ` : `
@@ -163,18 +290,19 @@ serve(async (req) => {
               👑 Winner: ${winnerName}
             </h3>
             <p style="margin: 0; font-size: 14px;">
-              With ${record.votes_count || 0} vote${record.votes_count !== 1 ? 's' : ''}!
+              With ${scoreText(record.votes_count || 0)}!
             </p>
           </div>
           `}
           
           ${leaderboard.length > 0 ? `
           <div style="border: 4px solid black; padding: 20px; margin: 20px 0;">
-            <h4 style="margin: 0 0 15px 0; font-size: 16px;">Top Votes:</h4>
+            <h4 style="margin: 0 0 15px 0; font-size: 16px;">${isMultiPick ? 'Full Ranking:' : 'Top Votes:'}</h4>
+            ${modeNote ? `<p style="margin: 0 0 10px 0; font-size: 12px; color: #666;">${modeNote}</p>` : ''}
             <ol style="margin: 0; padding-left: 20px;">
               ${leaderboard.map((l, idx) => `
                 <li style="margin: 5px 0; font-size: 14px;">
-                  <strong>${l.name}</strong> - ${l.votes} vote${l.votes !== 1 ? 's' : ''}
+                  <strong>${l.name}</strong> - ${scoreText(l.votes)}
                   ${idx === 0 && l.votes > 0 ? ' 👑' : ''}
                 </li>
               `).join('')}
@@ -182,6 +310,36 @@ serve(async (req) => {
           </div>
           ` : ''}
           
+          ${reasonGroups.length > 0 ? `
+          <div style="border: 4px solid black; padding: 20px; margin: 20px 0;">
+            <h4 style="margin: 0 0 15px 0; font-size: 16px;">Why people voted:</h4>
+            ${reasonGroups.map(g => `
+              <p style="margin: 10px 0 5px 0; font-size: 14px;"><strong>For ${g.name}</strong></p>
+              ${g.reasons.map(reason => `
+                <p style="margin: 5px 0; font-size: 14px;">“${escapeHtml(reason)}”</p>
+              `).join('')}
+            `).join('')}
+          </div>
+          ` : ''}
+          
+          ${newBadges.length > 0 ? `
+          <div style="border: 4px solid black; padding: 20px; margin: 20px 0;">
+            <h4 style="margin: 0 0 15px 0; font-size: 16px;">🏅 New badges:</h4>
+            ${newBadges.map(b => `
+              <p style="margin: 5px 0; font-size: 14px;">${b.emoji} <strong>${b.name}</strong> – ${escapeHtml(b.label)}</p>
+            `).join('')}
+          </div>
+          ` : ''}
+          
+          ${voteLines.length > 0 ? `
+          <div style="border: 4px solid black; padding: 20px; margin: 20px 0;">
+            <h4 style="margin: 0 0 15px 0; font-size: 16px;">Who voted for whom:</h4>
+            ${voteLines.map(line => `
+              <p style="margin: 5px 0; font-size: 14px;">${line}</p>
+            `).join('')}
+          </div>
+          ` : ''}
+          
           <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 20px 0;">
             Join the discussion in the app and see all the details!
           </p>
@@ -196,7 +354,7 @@ serve(async (req) => {
           <hr style="margin: 40px 0; border: none; border-top: 1px solid #eee;">
           
           <p style="color: #999; font-size: 12px; text-align: center;">
-            The next statement will drop in 48 hours!<br>
+            The next statement drops on ${nextDrop}!<br>
             You're receiving this because you're a member of ${round.groups.name} on Mirrio.
           </p>
         </body>
@@ -212,19 +370,35 @@ The voting for ${round.groups.name} has ended.
 The statement was:
 "${round.statements.text}"
 
-${isWinner ? 
-  `🎉 CONGRATULATIONS - YOU WON! 🎉\nWith ${record.votes_count || 0} vote${record.votes_count !== 1 ? 's' : ''}!` :
-  `Winner: ${winnerName}\nWith ${record.votes_count || 0} vote${record.votes_count !== 1 ? 's' : ''}!`
+${tieNote ? `${tieNote}\n\n` : ''}${duel ? `This or that: ${duel}\n\n` : ''}${scale ?
+  `Average: ${scale.average ?? '–'} / 5\n${scaleLines.join('\n')}` :
+  type === 'free_text' ?
+  `Your group's answers:\n${answers.length > 0 ? answers.map(answer => `“${answer}”`).join('\n') : 'Nobody answered this time.'}` :
+  isWinner ? 
+  `🎉 CONGRATULATIONS - YOU WON! 🎉\nWith ${scoreText(record.votes_count || 0)}!` :
+  `Winner: ${winnerName}\nWith ${scoreText(record.votes_count || 0)}!`
 }
 
 ${leaderboard.length > 0 ? `
-Top Votes:
-${leaderboard.map((l, idx) => `${idx + 1}. ${l.name} - ${l.votes} vote${l.votes !== 1 ? 's' : ''}`).join('\n')}
+${isMultiPick ? 'Full Ranking:' : 'Top Votes:'}
+${modeNote ? `${modeNote}\n` : ''}${leaderboard.map((l, idx) => `${idx + 1}. ${l.name} - ${scoreText(l.votes)}`).join('\n')}
+` : ''}
+${reasonGroups.length > 0 ? `
+Why people voted:
+${reasonGroups.map(g => `For ${g.name}:\n${g.reasons.map(reason => `  “${reason}”`).join('\n')}`).join('\n')}
+` : ''}
+${newBadges.length > 0 ? `
+New badges:
+${newBadges.map(b => `${b.emoji} ${b.name} – ${b.label}`).join('\n')}
+` : ''}
+${voteLines.length > 0 ? `
+Who voted for whom:
+${voteLines.join('\n')}
 ` : ''}
 
 Join the discussion at: https://mirrio.app
 
-The next statement will drop in 48 hours!
+The next statement drops on ${nextDrop}!
 
 ---
 You're receiving this because you're a member of ${round.groups.name} on Mirrio.
@@ -246,7 +420,7 @@ You're receiving this because you're a member of ${round.groups.name} on Mirrio.
               email: SENDER_EMAIL,
               name: 'Mirrio'
             },
-            subject: `🏆 Results: "${round.statements.text}" - ${round.groups.name}`,
+            subject: `${hasWinner ? '🏆' : '📊'} Results: "${round.statements.text}" - ${round.groups.name}`,
             content: [
               {
                 type: 'text/plain',
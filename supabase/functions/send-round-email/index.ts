@@ -1,5 +1,6 @@
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { formatInTimezone } from '../_shared/schedule.js'
 
 const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
 const SUPABASE_SERVICE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
@@ -21,16 +22,43 @@ serve(async (req) => {
   try {
     // Parse request body
     const bodyText = await req.text();
-    const { record } = JSON.parse(bodyText);
+    let { record } = JSON.parse(bodyText);
     
     console.log('New round created:', record.id);
     
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
     
+    // Manche Aufrufer schicken nur die Round-ID
+    if (!record.group_id || !record.statement_id || !('eligible_targets' in record)) {
+      const { data: round, error: roundError } = await supabase
+        .from('rounds')
+        .select('*')
+        .eq('id', record.id)
+        .single()
+      
+      if (roundError) throw roundError;
+      record = round;
+    }
+    
+    // Stichrunde bzw. This-or-that: Namen der wählbaren Mitglieder
+    let runoffNames: string[] = [];
+    if (record.eligible_targets?.length) {
+      const { data: tied } = await supabase
+        .from('profiles')
+        .select('first_name, last_name, email')
+        .in('id', record.eligible_targets)
+      
+      runoffNames = (tied || []).map(p =>
+        p.first_name || p.last_name ? `${p.first_name || ''} ${p.last_name || ''}`.trim() : p.email
+      );
+    }
+    const isRunoff = !!record.parent_round_id && runoffNames.length > 0;
+    const type = record.statement_type || 'member';
+    
     // Hole alle Daten für die Email
     const { data: group } = await supabase
       .from('groups')
-      .select('name')
+      .select('name, timezone')
       .eq('id', record.group_id)
       .single()
     
@@ -45,6 +73,25 @@ serve(async (req) => {
       .select('profiles(email, first_name)')
       .eq('group_id', record.group_id)
     
+    // Laufzeit laut Gruppen-Zeitplan statt fester 24h
+    const votingHours = Math.round(
+      (new Date(record.expires_at).getTime() - new Date(record.issued_at).getTime()) / (60 * 60 * 1000)
+    );
+    const votingWindow = votingHours === 1 ? '1 hour' : `${votingHours} hours`;
+    const deadline = formatInTimezone(new Date(record.expires_at), group.timezone || 'UTC');
+    
+    // Anleitung je nach Voting-Modus der Runde
+    const pickCount = record.pick_count || 1;
+    const howToVote = pickCount > 1 ? {
+      borda: `Rank the ${pickCount} people in your group this statement fits best – your first pick gets the most points.`,
+      approval: `Pick up to ${pickCount} people in your group this statement fits.`,
+      fptp: `Rank up to ${pickCount} people in your group – only your first pick counts.`
+    }[record.scoring as string] : {
+      scale: 'How much do you agree with this statement about your group? Answer on a scale from "Strongly disagree" to "Strongly agree".',
+      this_or_that: `This or that: who does this statement fit better – ${runoffNames.join(' or ')}?`,
+      free_text: 'Write a short answer. All answers are revealed together, without names, once the round closes.'
+    }[type] || 'Think about who in your group this statement fits best, then cast your anonymous vote.';
+    
     console.log(`Sending emails to ${members?.length} members in group "${group.name}"`);
     console.log(`Statement: "${statement.text}"`);
     
@@ -76,7 +123,9 @@ serve(async (req) => {
           <h2 style="color: #000; font-size: 24px; margin-bottom: 20px;">Hi ${memberName}! 👋</h2>
           
           <p style="color: #333; font-size: 16px; line-height: 1.5;">
-            A new statement just dropped in <strong>${group.name}</strong>:
+            ${isRunoff ?
+              `It's a tie in <strong>${group.name}</strong>! Vote again between <strong>${runoffNames.join(' and ')}</strong>:` :
+              `A new statement just dropped in <strong>${group.name}</strong>:`}
           </p>
           
           <div style="background: #fed89e; border: 4px solid black; padding: 20px; margin: 30px 0; text-align: center;">
@@ -86,11 +135,11 @@ serve(async (req) => {
           </div>
           
           <p style="color: #333; font-size: 16px; line-height: 1.5;">
-            <strong>⏰ You have 24 hours to vote!</strong>
+            <strong>⏰ You have ${votingWindow} to vote (until ${deadline})!</strong>
           </p>
           
           <p style="color: #333; font-size: 16px; line-height: 1.5;">
-            Think about who in your group this statement fits best, then cast your anonymous vote.
+            ${howToVote}
           </p>
           
           <div style="text-align: center; margin: 40px 0;">
@@ -101,7 +150,7 @@ serve(async (req) => {
           </div>
           
           <p style="color: #666; font-size: 14px; line-height: 1.5;">
-            Remember: All votes are anonymous and will be revealed after everyone has voted or after 24 hours.
+            Remember: All votes are anonymous and will be revealed after everyone has voted or after ${votingWindow}.
           </p>
           
           <hr style="margin: 40px 0; border: none; border-top: 1px solid #eee;">
@@ -118,17 +167,19 @@ serve(async (req) => {
       const emailText = `
 Hi ${memberName}!
 
-A new statement just dropped in ${group.name}:
+${isRunoff ?
+  `It's a tie in ${group.name}! Vote again between ${runoffNames.join(' and ')}:` :
+  `A new statement just dropped in ${group.name}:`}
 
 "${statement.text}"
 
-You have 24 hours to vote!
+You have ${votingWindow} to vote (until ${deadline})!
 
-Think about who in your group this statement fits best, then cast your anonymous vote.
+${howToVote}
 
 Vote now at: https://mirrio.app
 
-Remember: All votes are anonymous and will be revealed after everyone has voted or after 24 hours.
+Remember: All votes are anonymous and will be revealed after everyone has voted or after ${votingWindow}.
 
 ---
 You're receiving this because you're a member of ${group.name} on Mirrio.
@@ -150,7 +201,7 @@ You're receiving this because you're a member of ${group.name} on Mirrio.
               email: SENDER_EMAIL,
               name: 'Mirrio'
             },
-            subject: `🎯 New Mirrio Statement - ${group.name}`,
+            subject: isRunoff ? `⚖️ Runoff - ${group.name}` : `🎯 New Mirrio Statement - ${group.name}`,
             content: [
               {
                 type: 'text/plain',
@@ -0,0 +1,264 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!
+const SUPABASE_SERVICE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+const SENDGRID_API_KEY = Deno.env.get('SMTP_PASSWORD')! // Dein SendGrid API Key
+const SENDER_EMAIL = Deno.env.get('SMTP_FROM') || 'noreply@mirrio.app'
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response(null, {
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+      },
+    });
+  }
+
+  try {
+    // Parse request body
+    const bodyText = await req.text();
+    const { season_id } = JSON.parse(bodyText);
+    
+    console.log('Season ended:', season_id);
+    
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+    
+    // Hole die beendete Season mit Gruppe
+    const { data: season, error: seasonError } = await supabase
+      .from('seasons')
+      .select('*, groups(id, name)')
+      .eq('id', season_id)
+      .single()
+    
+    if (seasonError) {
+      console.error('Error fetching season:', seasonError);
+      throw seasonError;
+    }
+    
+    if (!season.ended_at) {
+      throw new Error('Season has not ended yet');
+    }
+    
+    // Hole alle Gruppenmitglieder
+    const { data: members } = await supabase
+      .from('group_members')
+      .select('profiles(id, email, first_name, last_name)')
+      .eq('group_id', season.groups.id)
+    
+    // Namen auch für ehemalige Mitglieder in der Tabelle
+    const standings: { user_id: string, points: number, wins: number, rank: number }[] = season.standings || []
+    const { data: profiles } = await supabase
+      .from('profiles')
+      .select('id, email, first_name, last_name')
+      .in('id', standings.map(s => s.user_id))
+    
+    const nameOf = (userId: string) => {
+      const profile = profiles?.find(p => p.id === userId)
+      return profile?.first_name || profile?.last_name ?
+        `${profile.first_name || ''} ${profile.last_name || ''}`.trim() :
+        profile?.email || 'Former member'
+    }
+    
+    const championIds: string[] = season.champions || []
+    const championName = championIds.length > 0 ? championIds.map(nameOf).join(' & ') : 'Nobody'
+    const top = standings.filter(s => s.points > 0).slice(0, 5)
+    const pointsText = (n: number) => `${Number(n)} point${Number(n) !== 1 ? 's' : ''}`
+    const seasonName = `Season ${season.number}`
+    
+    console.log(`Sending season emails to ${members?.length} members in group "${season.groups.name}"`);
+    console.log(`Champion: ${championName}`);
+    
+    let emailsSent = 0;
+    let emailErrors = [];
+    
+    // Sende Emails via SendGrid API
+    for (const member of members || []) {
+      if (!member.profiles?.email) {
+        console.log('Skipping member without email');
+        continue;
+      }
+      
+      const memberName = member.profiles?.first_name || 'there';
+      const memberEmail = member.profiles.email;
+      const isChampion = championIds.includes(member.profiles.id);
+      const ownPlace = standings.find(s => s.user_id === member.profiles.id);
+      
+      const emailHtml = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #000; font-size: 32px; font-weight: 900; margin: 0;">MIRRIO</h1>
+          </div>
+          
+          <h2 style="color: #000; font-size: 24px; margin-bottom: 20px;">
+            🏁 ${seasonName} is over ${isChampion ? '- You are the champion! 🎉' : ''}
+          </h2>
+          
+          <p style="color: #333; font-size: 16px; line-height: 1.5;">
+            Hi ${memberName}! ${seasonName} of <strong>${season.groups.name}</strong> has ended.
+          </p>
+          
+          <div style="background: #fed89e; border: 4px solid black; padding: 20px; margin: 20px 0; text-align: center;">
+            <h3 style="margin: 0 0 10px 0; color: #000; font-size: 24px;">
+              🏆 ${championIds.length > 1 ? 'Champions' : 'Champion'}: ${championName}
+            </h3>
+            ${ownPlace ? `
+            <p style="margin: 0; font-size: 14px;">
+              You finished #${ownPlace.rank} with ${pointsText(ownPlace.points)}.
+            </p>
+            ` : ''}
+          </div>
+          
+          ${top.length > 0 ? `
+          <div style="border: 4px solid black; padding: 20px; margin: 20px 0;">
+            <h4 style="margin: 0 0 15px 0; font-size: 16px;">Final Standings:</h4>
+            <ol style="margin: 0; padding-left: 20px;">
+              ${top.map(s => `
+                <li style="margin: 5px 0; font-size: 14px;">
+                  <strong>${nameOf(s.user_id)}</strong> - ${pointsText(s.points)}, ${s.wins} win${s.wins !== 1 ? 's' : ''}
+                </li>
+              `).join('')}
+            </ol>
+          </div>
+          ` : ''}
+          
+          <p style="color: #333; font-size: 16px; line-height: 1.5; margin: 20px 0;">
+            Points have been reset – Season ${season.number + 1} starts now and everyone is back at zero!
+          </p>
+          
+          <div style="text-align: center; margin: 40px 0;">
+            <a href="https://mirrio.app" 
+               style="display: inline-block; background: #d8e1fc; border: 4px solid black; padding: 15px 30px; text-decoration: none; color: black; font-weight: bold; font-size: 16px;">
+              View Past Seasons →
+            </a>
+          </div>
+          
+          <hr style="margin: 40px 0; border: none; border-top: 1px solid #eee;">
+          
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            You're receiving this because you're a member of ${season.groups.name} on Mirrio.
+          </p>
+        </body>
+        </html>
+      `;
+      
+      // Plain text version
+      const emailText = `
+Hi ${memberName}!
+
+${seasonName} of ${season.groups.name} has ended.
+
+${isChampion ? '🎉 CONGRATULATIONS - YOU ARE THE CHAMPION! 🎉' : `${championIds.length > 1 ? 'Champions' : 'Champion'}: ${championName}`}
+${ownPlace ? `You finished #${ownPlace.rank} with ${pointsText(ownPlace.points)}.\n` : ''}
+${top.length > 0 ? `
+Final Standings:
+${top.map((s, idx) => `${idx + 1}. ${nameOf(s.user_id)} - ${pointsText(s.points)}, ${s.wins} win${s.wins !== 1 ? 's' : ''}`).join('\n')}
+` : ''}
+Points have been reset – Season ${season.number + 1} starts now and everyone is back at zero!
+
+See all past seasons at: https://mirrio.app
+
+---
+You're receiving this because you're a member of ${season.groups.name} on Mirrio.
+      `.trim();
+      
+      try {
+        // SendGrid API Request
+        const sendgridResponse = await fetch('https://api.sendgrid.com/v3/mail/send', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${SENDGRID_API_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            personalizations: [{
+              to: [{ email: memberEmail }]
+            }],
+            from: { 
+              email: SENDER_EMAIL,
+              name: 'Mirrio'
+            },
+            subject: `🏁 ${seasonName} is over - ${season.groups.name}`,
+            content: [
+              {
+                type: 'text/plain',
+                value: emailText
+              },
+              {
+                type: 'text/html',
+                value: emailHtml
+              }
+            ]
+          })
+        });
+        
+        if (sendgridResponse.ok) {
+          console.log(`✅ Season email sent to ${memberEmail}${isChampion ? ' (CHAMPION)' : ''}`);
+          emailsSent++;
+        } else {
+          const errorText = await sendgridResponse.text();
+          console.error(`❌ SendGrid error for ${memberEmail}:`, sendgridResponse.status, errorText);
+          emailErrors.push({ 
+            email: memberEmail, 
+            error: `SendGrid ${sendgridResponse.status}: ${errorText}` 
+          });
+        }
+        
+      } catch (emailError) {
+        console.error(`❌ Failed to send to ${memberEmail}:`, emailError);
+        emailErrors.push({ 
+          email: memberEmail, 
+          error: emailError.message 
+        });
+      }
+      
+      // Small delay between emails to avoid rate limits
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    // Success response
+    return new Response(JSON.stringify({ 
+      success: true,
+      message: 'Season emails processed',
+      stats: {
+        group: season.groups.name,
+        season: season.number,
+        champion: championName,
+        totalMembers: members?.length || 0,
+        emailsSent,
+        emailErrors: emailErrors.length
+      },
+      errors: emailErrors
+    }), {
+      status: 200,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    })
+    
+  } catch (error) {
+    console.error('Error:', error);
+    
+    return new Response(JSON.stringify({ 
+      success: false,
+      error: error.message,
+      stack: error.stack
+    }), {
+      status: 500,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    })
+  }
+})
@@ -0,0 +1,80 @@
+-- Atomic round closing: tally, result row and points in one transaction.
+-- The winner is decided only here – the app and the cron both call this RPC.
+
+create unique index if not exists round_results_round_id_key
+  on public.round_results (round_id);
+
+create unique index if not exists points_user_id_group_id_key
+  on public.points (user_id, group_id);
+
+create or replace function public.close_round(p_round_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_result public.round_results;
+  v_member_count int;
+  v_vote_count int;
+  v_max int;
+  v_tied uuid[];
+  v_winner uuid;
+begin
+  -- Row lock serializes concurrent closers (two browsers, browser + cron)
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and not exists (
+    select 1 from public.group_members
+    where group_id = v_round.group_id and user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if found then
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', false);
+  end if;
+
+  select count(*) into v_member_count from public.group_members where group_id = v_round.group_id;
+  select count(*) into v_vote_count from public.votes where round_id = p_round_id;
+
+  if v_round.expires_at > now() and (v_member_count = 0 or v_vote_count < v_member_count) then
+    raise exception 'Round is still open' using errcode = 'P0001';
+  end if;
+
+  with counts as (
+    select target, count(*)::int as n
+    from public.votes
+    where round_id = p_round_id and target is not null
+    group by target
+  )
+  select coalesce(max(n), 0), array_agg(target) filter (where n = (select max(n) from counts))
+  into v_max, v_tied
+  from counts;
+
+  if coalesce(array_length(v_tied, 1), 0) = 1 then
+    v_winner := v_tied[1];
+  end if;
+
+  insert into public.round_results (round_id, winner, votes_count, closed_at)
+  values (p_round_id, v_winner, v_max, now())
+  returning * into v_result;
+
+  if v_winner is not null then
+    insert into public.points (user_id, group_id, points)
+    values (v_winner, v_round.group_id, 1)
+    on conflict (user_id, group_id)
+    do update set points = public.points.points + excluded.points;
+  end if;
+
+  return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+end;
+$$;
+
+revoke all on function public.close_round(uuid) from public;
+grant execute on function public.close_round(uuid) to authenticated, service_role;
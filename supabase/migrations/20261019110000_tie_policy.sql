@@ -0,0 +1,170 @@
+-- Per-group tie-breaking: shared win with split points, random draw or a runoff round.
+-- Ties are settled here in close_round only; the apps just call the RPC.
+
+alter table public.groups
+  add column if not exists tie_policy text not null default 'none'
+    check (tie_policy in ('none', 'shared', 'random', 'runoff')),
+  add column if not exists runoff_hours int not null default 6
+    check (runoff_hours between 1 and 72);
+
+-- Split points need fractions
+alter table public.points
+  alter column points type numeric(10, 2);
+
+alter table public.rounds
+  add column if not exists parent_round_id uuid references public.rounds (id) on delete cascade,
+  add column if not exists eligible_targets uuid[];
+
+comment on column public.rounds.eligible_targets is
+  'Members that can be voted for (runoff rounds). NULL means every group member.';
+
+alter table public.round_results
+  add column if not exists winners uuid[] not null default '{}',
+  add column if not exists awards jsonb not null default '[]',
+  add column if not exists tie_resolution text
+    check (tie_resolution in ('shared', 'random', 'runoff')),
+  add column if not exists runoff_round_id uuid references public.rounds (id) on delete set null;
+
+-- Rounds closed before this migration had a single winner worth one point
+update public.round_results
+set winners = array[winner],
+    awards = jsonb_build_array(jsonb_build_object('user_id', winner, 'points', 1))
+where winner is not null and winners = '{}';
+
+-- Votes in a runoff may only go to the tied members
+create or replace function public.check_vote_target()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_targets uuid[];
+begin
+  select eligible_targets into v_targets from public.rounds where id = new.round_id;
+  if new.target is not null and v_targets is not null and not (new.target = any (v_targets)) then
+    raise exception 'This member is not part of the runoff' using errcode = 'P0001';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists votes_check_target on public.votes;
+create trigger votes_check_target
+  before insert or update on public.votes
+  for each row execute function public.check_vote_target();
+
+create or replace function public.close_round(p_round_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+  v_member_count int;
+  v_vote_count int;
+  v_max int;
+  v_tied uuid[];
+  v_winner uuid;
+  v_winners uuid[] := '{}';
+  v_resolution text;
+  v_runoff public.rounds;
+  v_award numeric(10, 2);
+  v_user uuid;
+begin
+  -- Row lock serializes concurrent closers (two browsers, browser + cron)
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and not exists (
+    select 1 from public.group_members
+    where group_id = v_round.group_id and user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if found then
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', false);
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+  select count(*) into v_member_count from public.group_members where group_id = v_round.group_id;
+  select count(*) into v_vote_count from public.votes where round_id = p_round_id;
+
+  if v_round.expires_at > now() and (v_member_count = 0 or v_vote_count < v_member_count) then
+    raise exception 'Round is still open' using errcode = 'P0001';
+  end if;
+
+  with counts as (
+    select target, count(*)::int as n
+    from public.votes
+    where round_id = p_round_id and target is not null
+    group by target
+  )
+  select coalesce(max(n), 0), array_agg(target) filter (where n = (select max(n) from counts))
+  into v_max, v_tied
+  from counts;
+
+  v_tied := coalesce(v_tied, '{}');
+
+  if array_length(v_tied, 1) = 1 then
+    v_winner := v_tied[1];
+  elsif array_length(v_tied, 1) > 1 then
+    v_resolution := v_group.tie_policy;
+
+    -- A tied runoff is settled by a draw instead of another runoff
+    if v_resolution = 'runoff' and v_round.parent_round_id is not null then
+      v_resolution := 'random';
+    end if;
+
+    if v_resolution = 'shared' then
+      v_winners := v_tied;
+    elsif v_resolution = 'random' then
+      v_winner := v_tied[1 + floor(random() * array_length(v_tied, 1))::int];
+    elsif v_resolution = 'runoff' then
+      insert into public.rounds (group_id, statement_id, issued_at, expires_at, parent_round_id, eligible_targets)
+      values (v_round.group_id, v_round.statement_id, now(),
+              now() + make_interval(hours => v_group.runoff_hours), v_round.id, v_tied)
+      returning * into v_runoff;
+    else
+      v_resolution := null;
+    end if;
+  end if;
+
+  if v_winner is not null then
+    v_winners := array[v_winner];
+  end if;
+
+  insert into public.round_results (
+    round_id, winner, winners, votes_count, closed_at, awards, tie_resolution, runoff_round_id
+  )
+  values (
+    p_round_id, v_winner, v_winners, v_max, now(),
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'user_id', w,
+        'points', round(1::numeric / array_length(v_winners, 1), 2)
+      ))
+      from unnest(v_winners) as w
+    ), '[]'::jsonb),
+    v_resolution, v_runoff.id
+  )
+  returning * into v_result;
+
+  if array_length(v_winners, 1) > 0 then
+    v_award := round(1::numeric / array_length(v_winners, 1), 2);
+    foreach v_user in array v_winners loop
+      insert into public.points (user_id, group_id, points)
+      values (v_user, v_round.group_id, v_award)
+      on conflict (user_id, group_id)
+      do update set points = public.points.points + excluded.points;
+    end loop;
+  end if;
+
+  return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+end;
+$$;
@@ -0,0 +1,35 @@
+-- Per-group drop schedule, read by the cron, the owner "Start new round" button and the countdowns.
+-- See supabase/functions/_shared/schedule.js for how the values are applied.
+
+alter table public.groups
+  add column if not exists drop_interval_hours int not null default 48
+    check (drop_interval_hours between 1 and 24 * 30),
+  add column if not exists voting_hours int not null default 24
+    check (voting_hours between 1 and 24 * 7),
+  add column if not exists drop_time time,
+  add column if not exists quiet_hours_start time,
+  add column if not exists quiet_hours_end time,
+  add column if not exists timezone text not null default 'UTC';
+
+comment on column public.groups.drop_time is
+  'Preferred local time of day for new statements (in groups.timezone). NULL drops as soon as the interval has passed.';
+comment on column public.groups.quiet_hours_start is
+  'Start of the local window in which no statement drops and no round ends. May wrap past midnight.';
+
+-- Reject unknown IANA names instead of silently falling back to UTC
+create or replace function public.check_group_timezone()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = new.timezone) then
+    raise exception 'Unknown timezone: %', new.timezone using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists groups_check_timezone on public.groups;
+create trigger groups_check_timezone
+  before insert or update of timezone on public.groups
+  for each row execute function public.check_group_timezone();
@@ -0,0 +1,94 @@
+-- Run log and lock for the create-round-auto cron.
+-- A run holds the lock while its row is 'running'; the partial unique index makes a
+-- second concurrent run fail to start. Runs that never finished are abandoned after a timeout.
+
+create table if not exists public.cron_runs (
+  id uuid primary key default gen_random_uuid(),
+  job text not null default 'create-round-auto',
+  status text not null default 'running'
+    check (status in ('running', 'succeeded', 'failed', 'skipped', 'abandoned')),
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  rounds_closed int not null default 0,
+  rounds_created int not null default 0,
+  emails_sent int not null default 0,
+  decisions jsonb not null default '[]',
+  errors jsonb not null default '[]'
+);
+
+create unique index if not exists cron_runs_one_running_per_job
+  on public.cron_runs (job) where status = 'running';
+
+create index if not exists cron_runs_started_at_idx
+  on public.cron_runs (job, started_at desc);
+
+-- Service role only
+alter table public.cron_runs enable row level security;
+
+-- Returns the new run id, or NULL (and logs a 'skipped' run) if another run holds the lock
+create or replace function public.begin_cron_run(
+  p_job text default 'create-round-auto',
+  p_stale_after interval default interval '15 minutes'
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  update public.cron_runs
+  set status = 'abandoned',
+      finished_at = now(),
+      errors = errors || jsonb_build_array(jsonb_build_object('message', 'Run did not finish within ' || p_stale_after))
+  where job = p_job and status = 'running' and started_at < now() - p_stale_after;
+
+  begin
+    insert into public.cron_runs (job) values (p_job) returning id into v_id;
+  exception when unique_violation then
+    insert into public.cron_runs (job, status, finished_at, errors)
+    values (p_job, 'skipped', now(), jsonb_build_array(jsonb_build_object('message', 'Another run is in progress')));
+    return null;
+  end;
+
+  return v_id;
+end;
+$$;
+
+create or replace function public.finish_cron_run(
+  p_run_id uuid,
+  p_status text,
+  p_summary jsonb default '{}'
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.cron_runs
+  set status = p_status,
+      finished_at = now(),
+      rounds_closed = coalesce((p_summary ->> 'roundsClosed')::int, rounds_closed),
+      rounds_created = coalesce((p_summary ->> 'roundsCreated')::int, rounds_created),
+      emails_sent = coalesce((p_summary ->> 'emailsSent')::int, emails_sent),
+      decisions = coalesce(p_summary -> 'decisions', decisions),
+      errors = coalesce(p_summary -> 'errors', errors)
+  where id = p_run_id;
+$$;
+
+revoke all on function public.begin_cron_run(text, interval) from public, anon, authenticated;
+revoke all on function public.finish_cron_run(uuid, text, jsonb) from public, anon, authenticated;
+grant execute on function public.begin_cron_run(text, interval) to service_role;
+grant execute on function public.finish_cron_run(uuid, text, jsonb) to service_role;
+
+-- A statement can only be marked used once per group, so a duplicate create fails loudly.
+-- Plain inserts (and the double runs this guards against) left duplicates behind – keep one.
+delete from public.group_used_statements u
+using public.group_used_statements keep
+where keep.group_id = u.group_id
+  and keep.statement_id = u.statement_id
+  and keep.ctid < u.ctid;
+
+create unique index if not exists group_used_statements_group_statement_key
+  on public.group_used_statements (group_id, statement_id);
@@ -0,0 +1,286 @@
+-- Owner controls for the active round: extend, reroll statement, cancel, reopen.
+-- Every action is written to round_audit_log.
+
+alter table public.rounds
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists reopened_at timestamptz;
+
+comment on column public.rounds.reopened_at is
+  'Set by reopen_round. Votes stay, so a reopened round only closes when it expires – not on quorum.';
+
+create table if not exists public.round_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  group_id uuid not null references public.groups (id) on delete cascade,
+  actor uuid references public.profiles (id) on delete set null,
+  action text not null check (action in ('extend', 'reroll', 'cancel', 'reopen')),
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists round_audit_log_group_idx
+  on public.round_audit_log (group_id, created_at desc);
+
+alter table public.round_audit_log enable row level security;
+
+drop policy if exists "Owners read their group's round log" on public.round_audit_log;
+create policy "Owners read their group's round log"
+  on public.round_audit_log for select
+  using (exists (select 1 from public.groups g where g.id = group_id and g.owner = auth.uid()));
+
+-- Locks the round and checks that the caller owns its group
+create or replace function public.lock_owned_round(p_round_id uuid)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if not exists (select 1 from public.groups where id = v_round.group_id and owner = auth.uid()) then
+    raise exception 'Only the group owner can change rounds' using errcode = '42501';
+  end if;
+
+  return v_round;
+end;
+$$;
+
+create or replace function public.assert_round_open(v_round public.rounds)
+returns void
+language plpgsql
+as $$
+begin
+  if v_round.cancelled_at is not null then
+    raise exception 'Round was cancelled' using errcode = 'P0001';
+  end if;
+  if exists (select 1 from public.round_results where round_id = v_round.id) then
+    raise exception 'Round is already closed' using errcode = 'P0001';
+  end if;
+end;
+$$;
+
+create or replace function public.extend_round(p_round_id uuid, p_hours int)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_old timestamptz;
+begin
+  if p_hours is null or p_hours < 1 or p_hours > 72 then
+    raise exception 'Extension must be between 1 and 72 hours' using errcode = '22023';
+  end if;
+
+  v_round := public.lock_owned_round(p_round_id);
+  perform public.assert_round_open(v_round);
+
+  v_old := v_round.expires_at;
+  update public.rounds
+  set expires_at = greatest(expires_at, now()) + make_interval(hours => p_hours)
+  where id = p_round_id
+  returning * into v_round;
+
+  insert into public.round_audit_log (round_id, group_id, actor, action, details)
+  values (p_round_id, v_round.group_id, auth.uid(), 'extend',
+          jsonb_build_object('hours', p_hours, 'from', v_old, 'to', v_round.expires_at));
+
+  return v_round;
+end;
+$$;
+
+-- Swaps the statement; the old one goes back into the group's pool.
+-- Without p_statement_id a random unused statement of the group's edition is taken.
+create or replace function public.reroll_round_statement(p_round_id uuid, p_statement_id uuid default null)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_old uuid;
+  v_new uuid := p_statement_id;
+  v_votes int;
+begin
+  v_round := public.lock_owned_round(p_round_id);
+  perform public.assert_round_open(v_round);
+
+  if v_round.parent_round_id is not null then
+    raise exception 'The statement of a runoff cannot be changed' using errcode = 'P0001';
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+  v_old := v_round.statement_id;
+
+  if v_new is null then
+    select s.id into v_new
+    from public.statements s
+    where s.edition_id = v_group.edition_id
+      and not s.deleted
+      and s.id <> v_old
+      and not exists (
+        select 1 from public.group_used_statements u
+        where u.group_id = v_group.id and u.statement_id = s.id
+      )
+    order by random()
+    limit 1;
+  elsif v_new = v_old or exists (
+    select 1 from public.group_used_statements
+    where group_id = v_group.id and statement_id = v_new
+  ) or not exists (
+    select 1 from public.statements where id = v_new and not deleted
+  ) then
+    raise exception 'Statement is not available for this group' using errcode = 'P0001';
+  end if;
+
+  if v_new is null then
+    raise exception 'No unused statements left' using errcode = 'P0001';
+  end if;
+
+  delete from public.group_used_statements where group_id = v_group.id and statement_id = v_old;
+  insert into public.group_used_statements (group_id, statement_id) values (v_group.id, v_new);
+
+  -- Votes were cast on the old statement
+  delete from public.votes where round_id = p_round_id;
+  get diagnostics v_votes = row_count;
+
+  update public.rounds set statement_id = v_new where id = p_round_id returning * into v_round;
+
+  insert into public.round_audit_log (round_id, group_id, actor, action, details)
+  values (p_round_id, v_round.group_id, auth.uid(), 'reroll',
+          jsonb_build_object('from_statement', v_old, 'to_statement', v_new, 'votes_discarded', v_votes));
+
+  return v_round;
+end;
+$$;
+
+-- Ends the round without scoring
+create or replace function public.cancel_round(p_round_id uuid, p_reason text default null)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_old timestamptz;
+begin
+  v_round := public.lock_owned_round(p_round_id);
+  perform public.assert_round_open(v_round);
+
+  v_old := v_round.expires_at;
+  update public.rounds
+  set cancelled_at = now(),
+      expires_at = least(expires_at, now())
+  where id = p_round_id
+  returning * into v_round;
+
+  insert into public.round_audit_log (round_id, group_id, actor, action, details)
+  values (p_round_id, v_round.group_id, auth.uid(), 'cancel',
+          jsonb_build_object('reason', p_reason, 'expires_at', v_old));
+
+  return v_round;
+end;
+$$;
+
+-- Undoes a close: removes the result, takes back its points and opens voting again.
+-- The votes stay, so the round is flagged to close only on expiry (see reopened_at).
+create or replace function public.reopen_round(p_round_id uuid, p_hours int default null)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+  v_award jsonb;
+begin
+  v_round := public.lock_owned_round(p_round_id);
+
+  if v_round.cancelled_at is not null then
+    raise exception 'Round was cancelled' using errcode = 'P0001';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if not found then
+    raise exception 'Round is not closed' using errcode = 'P0001';
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+
+  if exists (
+    select 1 from public.rounds r
+    where r.group_id = v_round.group_id
+      and r.id <> p_round_id
+      and r.id is distinct from v_result.runoff_round_id
+      and r.cancelled_at is null
+      and r.expires_at > now()
+      and not exists (select 1 from public.round_results rr where rr.round_id = r.id)
+  ) then
+    raise exception 'Another round is active in this group' using errcode = 'P0001';
+  end if;
+
+  if v_result.runoff_round_id is not null then
+    if exists (select 1 from public.round_results where round_id = v_result.runoff_round_id) then
+      raise exception 'The runoff of this round is already closed – reopen the runoff instead' using errcode = 'P0001';
+    end if;
+    delete from public.rounds where id = v_result.runoff_round_id;
+  end if;
+
+  for v_award in select * from jsonb_array_elements(v_result.awards) loop
+    update public.points
+    set points = points - (v_award ->> 'points')::numeric
+    where user_id = (v_award ->> 'user_id')::uuid and group_id = v_round.group_id;
+  end loop;
+
+  delete from public.round_results where round_id = p_round_id;
+
+  update public.rounds
+  set expires_at = now() + make_interval(hours => coalesce(p_hours, v_group.voting_hours)),
+      reopened_at = now()
+  where id = p_round_id
+  returning * into v_round;
+
+  insert into public.round_audit_log (round_id, group_id, actor, action, details)
+  values (p_round_id, v_round.group_id, auth.uid(), 'reopen',
+          jsonb_build_object('removed_result', to_jsonb(v_result), 'expires_at', v_round.expires_at));
+
+  return v_round;
+end;
+$$;
+
+revoke all on function public.lock_owned_round(uuid) from public, anon, authenticated;
+
+grant execute on function public.extend_round(uuid, int) to authenticated;
+grant execute on function public.reroll_round_statement(uuid, uuid) to authenticated;
+grant execute on function public.cancel_round(uuid, text) to authenticated;
+grant execute on function public.reopen_round(uuid, int) to authenticated;
+
+-- Cancelled rounds are never scored, whoever tries to close them
+create or replace function public.check_round_not_cancelled()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from public.rounds where id = new.round_id and cancelled_at is not null) then
+    raise exception 'Round was cancelled' using errcode = 'P0001';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists round_results_check_not_cancelled on public.round_results;
+create trigger round_results_check_not_cancelled
+  before insert on public.round_results
+  for each row execute function public.check_round_not_cancelled();
@@ -0,0 +1,149 @@
+-- Groups can use several editions and decide what happens once every statement is used.
+-- groups.edition_id stays as the group's primary edition (shown in the group list).
+
+create table if not exists public.group_editions (
+  group_id uuid not null references public.groups (id) on delete cascade,
+  edition_id uuid not null references public.editions (id) on delete cascade,
+  added_at timestamptz not null default now(),
+  primary key (group_id, edition_id)
+);
+
+insert into public.group_editions (group_id, edition_id)
+select id, edition_id from public.groups where edition_id is not null
+on conflict do nothing;
+
+create or replace function public.add_primary_group_edition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.edition_id is not null then
+    insert into public.group_editions (group_id, edition_id)
+    values (new.id, new.edition_id)
+    on conflict do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists groups_add_primary_edition on public.groups;
+create trigger groups_add_primary_edition
+  after insert or update of edition_id on public.groups
+  for each row execute function public.add_primary_group_edition();
+
+alter table public.group_editions enable row level security;
+
+drop policy if exists "Members read group editions" on public.group_editions;
+create policy "Members read group editions"
+  on public.group_editions for select
+  using (
+    exists (select 1 from public.group_members m where m.group_id = group_editions.group_id and m.user_id = auth.uid())
+    or exists (select 1 from public.groups g where g.id = group_editions.group_id and g.owner = auth.uid())
+  );
+
+drop policy if exists "Owners manage group editions" on public.group_editions;
+create policy "Owners manage group editions"
+  on public.group_editions for all
+  using (exists (select 1 from public.groups g where g.id = group_editions.group_id and g.owner = auth.uid()))
+  with check (exists (select 1 from public.groups g where g.id = group_editions.group_id and g.owner = auth.uid()));
+
+alter table public.groups
+  add column if not exists exhaustion_policy text not null default 'notify'
+    check (exhaustion_policy in ('recycle', 'next_edition', 'notify')),
+  add column if not exists exhaustion_notified_at timestamptz;
+
+alter table public.editions
+  add column if not exists next_edition_id uuid references public.editions (id) on delete set null;
+
+comment on column public.editions.next_edition_id is
+  'Follow-up edition added to a group with exhaustion_policy = next_edition once this one is used up.';
+
+-- When a statement was (last) used, for recycling the least recently used ones
+alter table public.group_used_statements
+  add column if not exists used_at timestamptz not null default now();
+
+-- Replaces the group's editions; the first one becomes the primary edition
+create or replace function public.set_group_editions(p_group_id uuid, p_edition_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.groups where id = p_group_id and owner = auth.uid()) then
+    raise exception 'Only the group owner can change editions' using errcode = '42501';
+  end if;
+
+  if coalesce(array_length(p_edition_ids, 1), 0) = 0 then
+    raise exception 'A group needs at least one edition' using errcode = '22023';
+  end if;
+
+  if exists (
+    select 1 from unnest(p_edition_ids) as e(id)
+    where not exists (select 1 from public.editions where editions.id = e.id and active)
+  ) then
+    raise exception 'Only active editions can be used' using errcode = '22023';
+  end if;
+
+  delete from public.group_editions
+  where group_id = p_group_id and not (edition_id = any (p_edition_ids));
+
+  insert into public.group_editions (group_id, edition_id)
+  select p_group_id, e.id from unnest(p_edition_ids) as e(id)
+  on conflict do nothing;
+
+  update public.groups
+  set edition_id = p_edition_ids[1],
+      exhaustion_notified_at = null
+  where id = p_group_id;
+end;
+$$;
+
+-- Fresh (never used in this group) statements per active edition, for the owner's preview
+create or replace function public.group_edition_options(p_group_id uuid)
+returns table (
+  edition_id uuid,
+  name text,
+  slug text,
+  in_group boolean,
+  total_statements int,
+  fresh_statements int
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select e.id,
+         e.name,
+         e.slug,
+         exists (select 1 from public.group_editions ge where ge.group_id = p_group_id and ge.edition_id = e.id),
+         count(s.id)::int,
+         count(s.id) filter (
+           where not exists (
+             select 1 from public.group_used_statements u
+             where u.group_id = p_group_id and u.statement_id = s.id
+           )
+         )::int
+  from public.editions e
+  left join public.statements s on s.edition_id = e.id and not s.deleted
+  where e.active
+    and (
+      exists (select 1 from public.group_members m where m.group_id = p_group_id and m.user_id = auth.uid())
+      or exists (select 1 from public.groups g where g.id = p_group_id and g.owner = auth.uid())
+    )
+  group by e.id, e.name, e.slug
+  order by e.name;
+$$;
+
+grant execute on function public.set_group_editions(uuid, uuid[]) to authenticated;
+grant execute on function public.group_edition_options(uuid) to authenticated;
+
+-- Recycling moves a statement to the back of the queue by bumping used_at
+drop policy if exists "Owners update used statements" on public.group_used_statements;
+create policy "Owners update used statements"
+  on public.group_used_statements for update
+  using (exists (select 1 from public.groups g where g.id = group_used_statements.group_id and g.owner = auth.uid()))
+  with check (exists (select 1 from public.groups g where g.id = group_used_statements.group_id and g.owner = auth.uid()));
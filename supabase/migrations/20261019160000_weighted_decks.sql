@@ -0,0 +1,103 @@
+-- A group's deck can mix several editions with weights, e.g. 70 "Friends" / 30 "Deep talk".
+-- Weights are relative: each edition's share is weight / sum of the group's weights.
+
+alter table public.group_editions
+  add column if not exists weight int not null default 1 check (weight > 0);
+
+-- Replaces the group's editions; the first one becomes the primary edition.
+-- p_weights lines up with p_edition_ids; without it existing weights are kept.
+drop function if exists public.set_group_editions(uuid, uuid[]);
+create or replace function public.set_group_editions(
+  p_group_id uuid,
+  p_edition_ids uuid[],
+  p_weights int[] default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.groups where id = p_group_id and owner = auth.uid()) then
+    raise exception 'Only the group owner can change editions' using errcode = '42501';
+  end if;
+
+  if coalesce(array_length(p_edition_ids, 1), 0) = 0 then
+    raise exception 'A group needs at least one edition' using errcode = '22023';
+  end if;
+
+  if p_weights is not null then
+    if coalesce(array_length(p_weights, 1), 0) <> array_length(p_edition_ids, 1) then
+      raise exception 'Every edition needs a weight' using errcode = '22023';
+    end if;
+    if exists (select 1 from unnest(p_weights) as w(value) where w.value is null or w.value <= 0) then
+      raise exception 'Weights must be positive' using errcode = '22023';
+    end if;
+  end if;
+
+  if exists (
+    select 1 from unnest(p_edition_ids) as e(id)
+    where not exists (select 1 from public.editions where editions.id = e.id and active)
+  ) then
+    raise exception 'Only active editions can be used' using errcode = '22023';
+  end if;
+
+  delete from public.group_editions
+  where group_id = p_group_id and not (edition_id = any (p_edition_ids));
+
+  insert into public.group_editions (group_id, edition_id, weight)
+  select p_group_id, e.id, coalesce(p_weights[e.ord], 1)
+  from unnest(p_edition_ids) with ordinality as e(id, ord)
+  on conflict (group_id, edition_id) do update
+    set weight = case when p_weights is null then group_editions.weight else excluded.weight end;
+
+  update public.groups
+  set edition_id = p_edition_ids[1],
+      exhaustion_notified_at = null
+  where id = p_group_id;
+end;
+$$;
+
+-- Same as before, plus the edition's weight in the group's deck (null if not in the deck)
+drop function if exists public.group_edition_options(uuid);
+create or replace function public.group_edition_options(p_group_id uuid)
+returns table (
+  edition_id uuid,
+  name text,
+  slug text,
+  in_group boolean,
+  weight int,
+  total_statements int,
+  fresh_statements int
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select e.id,
+         e.name,
+         e.slug,
+         ge.edition_id is not null,
+         ge.weight,
+         count(s.id)::int,
+         count(s.id) filter (
+           where not exists (
+             select 1 from public.group_used_statements u
+             where u.group_id = p_group_id and u.statement_id = s.id
+           )
+         )::int
+  from public.editions e
+  left join public.group_editions ge on ge.group_id = p_group_id and ge.edition_id = e.id
+  left join public.statements s on s.edition_id = e.id and not s.deleted
+  where e.active
+    and (
+      exists (select 1 from public.group_members m where m.group_id = p_group_id and m.user_id = auth.uid())
+      or exists (select 1 from public.groups g where g.id = p_group_id and g.owner = auth.uid())
+    )
+  group by e.id, e.name, e.slug, ge.edition_id, ge.weight
+  order by e.name;
+$$;
+
+grant execute on function public.set_group_editions(uuid, uuid[], int[]) to authenticated;
+grant execute on function public.group_edition_options(uuid) to authenticated;
@@ -0,0 +1,77 @@
+-- Named statement selection strategies (see supabase/functions/_shared/statementSelection.js)
+alter table public.groups
+  add column if not exists selection_strategy text not null default 'uniform'
+    check (selection_strategy in ('uniform', 'least_recent', 'rating', 'category_rotation'));
+
+-- Inputs for the rating and category_rotation strategies, curated in the admin panel
+alter table public.statements
+  add column if not exists category text,
+  add column if not exists rating smallint check (rating between 1 and 5);
+
+-- Selection lives in the shared module now; the old RPC was never called
+drop function if exists public.next_statement_for_group(uuid);
+
+-- Swapping the statement of an open round: the client picks the replacement with the
+-- shared module (strategy, deck weights, exhaustion policy), so this only checks that
+-- it belongs to one of the group's editions. Already used statements are only allowed
+-- when the group recycles.
+create or replace function public.reroll_round_statement(p_round_id uuid, p_statement_id uuid default null)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_old uuid;
+  v_new uuid := p_statement_id;
+  v_votes int;
+begin
+  v_round := public.lock_owned_round(p_round_id);
+  perform public.assert_round_open(v_round);
+
+  if v_round.parent_round_id is not null then
+    raise exception 'The statement of a runoff cannot be changed' using errcode = 'P0001';
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+  v_old := v_round.statement_id;
+
+  if v_new is null then
+    raise exception 'No replacement statement given' using errcode = 'P0001';
+  end if;
+
+  if v_new = v_old or not exists (
+    select 1 from public.statements s
+    where s.id = v_new
+      and not s.deleted
+      and (
+        exists (select 1 from public.group_editions ge where ge.group_id = v_group.id and ge.edition_id = s.edition_id)
+        or (s.edition_id = v_group.edition_id
+            and not exists (select 1 from public.group_editions ge where ge.group_id = v_group.id))
+      )
+  ) or (v_group.exhaustion_policy <> 'recycle' and exists (
+    select 1 from public.group_used_statements
+    where group_id = v_group.id and statement_id = v_new
+  )) then
+    raise exception 'Statement is not available for this group' using errcode = 'P0001';
+  end if;
+
+  delete from public.group_used_statements where group_id = v_group.id and statement_id = v_old;
+  insert into public.group_used_statements (group_id, statement_id, used_at) values (v_group.id, v_new, now())
+  on conflict (group_id, statement_id) do update set used_at = excluded.used_at;
+
+  -- Votes were cast on the old statement
+  delete from public.votes where round_id = p_round_id;
+  get diagnostics v_votes = row_count;
+
+  update public.rounds set statement_id = v_new where id = p_round_id returning * into v_round;
+
+  insert into public.round_audit_log (round_id, group_id, actor, action, details)
+  values (p_round_id, v_round.group_id, auth.uid(), 'reroll',
+          jsonb_build_object('from_statement', v_old, 'to_statement', v_new, 'votes_discarded', v_votes));
+
+  return v_round;
+end;
+$$;
@@ -0,0 +1,118 @@
+-- Per-group voting privacy, enforced in the database:
+--   anonymous          – members only ever see their own vote; everything else is aggregated
+--   reveal_after_close – who voted for whom becomes visible once the round is closed
+--   open               – members can see who voted for whom at any time
+alter table public.groups
+  add column if not exists vote_privacy text not null default 'anonymous'
+    check (vote_privacy in ('anonymous', 'reveal_after_close', 'open'));
+
+create or replace function public.is_group_member(p_group_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.group_members where group_id = p_group_id and user_id = auth.uid())
+      or exists (select 1 from public.groups where id = p_group_id and owner = auth.uid());
+$$;
+
+-- Whether the caller may see individual votes (voter + target) of a round
+create or replace function public.can_see_vote_targets(p_round_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((
+    select public.is_group_member(g.id)
+       and case g.vote_privacy
+             when 'open' then true
+             when 'reveal_after_close' then exists (select 1 from public.round_results rr where rr.round_id = r.id)
+             else false
+           end
+    from public.rounds r
+    join public.groups g on g.id = r.group_id
+    where r.id = p_round_id
+  ), false);
+$$;
+
+alter table public.votes enable row level security;
+
+drop policy if exists "Members read votes" on public.votes;
+create policy "Members read votes"
+  on public.votes for select
+  using (exists (select 1 from public.rounds r where r.id = votes.round_id and public.is_group_member(r.group_id)));
+
+drop policy if exists "Members cast their own vote" on public.votes;
+create policy "Members cast their own vote"
+  on public.votes for insert
+  with check (
+    voter = auth.uid()
+    and exists (select 1 from public.rounds r where r.id = votes.round_id and public.is_group_member(r.group_id))
+  );
+
+drop policy if exists "Members change their own vote" on public.votes;
+create policy "Members change their own vote"
+  on public.votes for update
+  using (voter = auth.uid())
+  with check (voter = auth.uid());
+
+-- deleteGroup clears votes before removing the rounds
+drop policy if exists "Owners delete votes" on public.votes;
+create policy "Owners delete votes"
+  on public.votes for delete
+  using (exists (
+    select 1 from public.rounds r join public.groups g on g.id = r.group_id
+    where r.id = votes.round_id and g.owner = auth.uid()
+  ));
+
+-- Restrictive: applies on top of every other select policy on votes
+drop policy if exists "Vote visibility follows group privacy" on public.votes;
+create policy "Vote visibility follows group privacy"
+  on public.votes as restrictive for select
+  using (voter = auth.uid() or public.can_see_vote_targets(round_id));
+
+-- Aggregates that are safe in every privacy mode.
+-- counts (target -> votes) is only filled once voting has ended, so there is no live standings leak.
+create or replace function public.round_vote_summary(p_round_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_ended boolean;
+  v_counts jsonb;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  v_ended := v_round.expires_at <= now()
+    or exists (select 1 from public.round_results where round_id = p_round_id);
+
+  if v_ended then
+    select coalesce(jsonb_object_agg(target, n), '{}'::jsonb) into v_counts
+    from (
+      select target, count(*) as n
+      from public.votes
+      where round_id = p_round_id and target is not null
+      group by target
+    ) t;
+  end if;
+
+  return jsonb_build_object(
+    'votes_cast', (select count(*) from public.votes where round_id = p_round_id),
+    'counts', v_counts
+  );
+end;
+$$;
+
+grant execute on function public.is_group_member(uuid) to authenticated;
+grant execute on function public.can_see_vote_targets(uuid) to authenticated;
+grant execute on function public.round_vote_summary(uuid) to authenticated;
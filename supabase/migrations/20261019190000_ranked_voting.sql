@@ -0,0 +1,286 @@
+-- Ranked-choice / multi-pick ballots with configurable scoring.
+-- Scoring mirrors tallyVotes() in supabase/functions/_shared/roundEngine.js:
+--   fptp     – only the first pick counts (1 point)
+--   borda    – pick i of N gets N - i + 1 points
+--   approval – every pick gets 1 point
+-- pick_count = 1 with fptp is the classic single vote.
+
+alter table public.editions
+  add column if not exists pick_count int not null default 1 check (pick_count between 1 and 5),
+  add column if not exists scoring text not null default 'fptp'
+    check (scoring in ('fptp', 'borda', 'approval'));
+
+alter table public.rounds
+  add column if not exists pick_count int check (pick_count between 1 and 5),
+  add column if not exists scoring text check (scoring in ('fptp', 'borda', 'approval'));
+
+update public.rounds set pick_count = 1, scoring = 'fptp' where pick_count is null;
+
+alter table public.rounds
+  alter column pick_count set not null,
+  alter column scoring set not null;
+
+-- Rounds take the voting mode of their statement's edition unless one is given
+create or replace function public.set_round_voting_mode()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.pick_count is null or new.scoring is null then
+    select coalesce(new.pick_count, e.pick_count), coalesce(new.scoring, e.scoring)
+    into new.pick_count, new.scoring
+    from public.statements s
+    join public.editions e on e.id = s.edition_id
+    where s.id = new.statement_id;
+  end if;
+  new.pick_count := coalesce(new.pick_count, 1);
+  new.scoring := coalesce(new.scoring, 'fptp');
+  return new;
+end;
+$$;
+
+drop trigger if exists rounds_set_voting_mode on public.rounds;
+create trigger rounds_set_voting_mode
+  before insert on public.rounds
+  for each row execute function public.set_round_voting_mode();
+
+-- Ordered picks; target stays the first pick so single-vote readers keep working
+alter table public.votes
+  add column if not exists ranking uuid[];
+
+update public.votes set ranking = array[target] where target is not null and ranking is null;
+
+alter table public.round_results
+  add column if not exists scoring text,
+  add column if not exists scores jsonb not null default '{}',
+  add column if not exists ranking jsonb not null default '[]';
+
+comment on column public.round_results.ranking is
+  'Full ranking: [{ user_id, score, first_choices }] ordered by score. votes_count is the top score.';
+
+-- Keeps ranking and target in sync and validates the ballot against the round
+create or replace function public.check_vote_target()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = new.round_id;
+
+  if new.ranking is null or cardinality(new.ranking) = 0 then
+    new.ranking := case when new.target is null then null else array[new.target] end;
+  end if;
+  new.target := new.ranking[1];
+
+  if new.ranking is null then
+    return new; -- abstain
+  end if;
+
+  if cardinality(new.ranking) > v_round.pick_count then
+    raise exception 'You can pick at most % members', v_round.pick_count using errcode = 'P0001';
+  end if;
+
+  if (select count(distinct t) from unnest(new.ranking) as t) <> cardinality(new.ranking) then
+    raise exception 'Each member can only be picked once' using errcode = 'P0001';
+  end if;
+
+  if v_round.eligible_targets is not null
+    and exists (select 1 from unnest(new.ranking) as t where not (t = any (v_round.eligible_targets))) then
+    raise exception 'This member is not part of the runoff' using errcode = 'P0001';
+  end if;
+
+  if exists (
+    select 1 from unnest(new.ranking) as t
+    where not exists (select 1 from public.group_members m where m.group_id = v_round.group_id and m.user_id = t)
+  ) then
+    raise exception 'You can only vote for members of this group' using errcode = 'P0001';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Score per member for a round. Runs with the caller's rights, so RLS on votes applies
+-- unless it is called from a security definer function.
+create or replace function public.round_scores(p_round_id uuid)
+returns table (target uuid, score int, first_choices int)
+language sql
+stable
+set search_path = public
+as $$
+  select p.target,
+         sum(case r.scoring
+               when 'borda' then r.pick_count - p.pos::int + 1
+               when 'approval' then 1
+               else case when p.pos = 1 then 1 else 0 end
+             end)::int,
+         count(*) filter (where p.pos = 1)::int
+  from public.rounds r
+  join public.votes v on v.round_id = r.id
+  cross join lateral unnest(coalesce(v.ranking, array[v.target])) with ordinality as p(target, pos)
+  where r.id = p_round_id and p.target is not null
+  group by p.target;
+$$;
+
+create or replace function public.round_vote_summary(p_round_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_ended boolean;
+  v_counts jsonb;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  v_ended := v_round.expires_at <= now()
+    or exists (select 1 from public.round_results where round_id = p_round_id);
+
+  if v_ended then
+    select coalesce(jsonb_object_agg(target, score), '{}'::jsonb) into v_counts
+    from public.round_scores(p_round_id)
+    where score > 0;
+  end if;
+
+  return jsonb_build_object(
+    'votes_cast', (select count(*) from public.votes where round_id = p_round_id),
+    'scoring', v_round.scoring,
+    'pick_count', v_round.pick_count,
+    'counts', v_counts
+  );
+end;
+$$;
+
+create or replace function public.close_round(p_round_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+  v_member_count int;
+  v_vote_count int;
+  v_max int;
+  v_tied uuid[];
+  v_scores jsonb;
+  v_ranking jsonb;
+  v_winner uuid;
+  v_winners uuid[] := '{}';
+  v_resolution text;
+  v_runoff public.rounds;
+  v_award numeric(10, 2);
+  v_user uuid;
+begin
+  -- Row lock serializes concurrent closers (two browsers, browser + cron)
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and not exists (
+    select 1 from public.group_members
+    where group_id = v_round.group_id and user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if found then
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', false);
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+  select count(*) into v_member_count from public.group_members where group_id = v_round.group_id;
+  select count(*) into v_vote_count from public.votes where round_id = p_round_id;
+
+  if v_round.expires_at > now() and (v_member_count = 0 or v_vote_count < v_member_count) then
+    raise exception 'Round is still open' using errcode = 'P0001';
+  end if;
+
+  with scores as (
+    select * from public.round_scores(p_round_id) where score > 0
+  )
+  select coalesce(max(score), 0),
+         array_agg(target) filter (where score = (select max(score) from scores)),
+         coalesce(jsonb_object_agg(target, score), '{}'::jsonb),
+         coalesce(jsonb_agg(
+           jsonb_build_object('user_id', target, 'score', score, 'first_choices', first_choices)
+           order by score desc, first_choices desc
+         ), '[]'::jsonb)
+  into v_max, v_tied, v_scores, v_ranking
+  from scores;
+
+  v_tied := coalesce(v_tied, '{}');
+
+  if array_length(v_tied, 1) = 1 then
+    v_winner := v_tied[1];
+  elsif array_length(v_tied, 1) > 1 then
+    v_resolution := v_group.tie_policy;
+
+    -- A tied runoff is settled by a draw instead of another runoff
+    if v_resolution = 'runoff' and v_round.parent_round_id is not null then
+      v_resolution := 'random';
+    end if;
+
+    if v_resolution = 'shared' then
+      v_winners := v_tied;
+    elsif v_resolution = 'random' then
+      v_winner := v_tied[1 + floor(random() * array_length(v_tied, 1))::int];
+    elsif v_resolution = 'runoff' then
+      -- Runoffs are always a single pick between the tied members
+      insert into public.rounds (
+        group_id, statement_id, issued_at, expires_at, parent_round_id, eligible_targets, pick_count, scoring
+      )
+      values (v_round.group_id, v_round.statement_id, now(),
+              now() + make_interval(hours => v_group.runoff_hours), v_round.id, v_tied, 1, 'fptp')
+      returning * into v_runoff;
+    else
+      v_resolution := null;
+    end if;
+  end if;
+
+  if v_winner is not null then
+    v_winners := array[v_winner];
+  end if;
+
+  insert into public.round_results (
+    round_id, winner, winners, votes_count, closed_at, awards, tie_resolution, runoff_round_id,
+    scoring, scores, ranking
+  )
+  values (
+    p_round_id, v_winner, v_winners, v_max, now(),
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'user_id', w,
+        'points', round(1::numeric / array_length(v_winners, 1), 2)
+      ))
+      from unnest(v_winners) as w
+    ), '[]'::jsonb),
+    v_resolution, v_runoff.id,
+    v_round.scoring, v_scores, v_ranking
+  )
+  returning * into v_result;
+
+  if array_length(v_winners, 1) > 0 then
+    v_award := round(1::numeric / array_length(v_winners, 1), 2);
+    foreach v_user in array v_winners loop
+      insert into public.points (user_id, group_id, points)
+      values (v_user, v_round.group_id, v_award)
+      on conflict (user_id, group_id)
+      do update set points = public.points.points + excluded.points;
+    end loop;
+  end if;
+
+  return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+end;
+$$;
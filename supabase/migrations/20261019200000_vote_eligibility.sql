@@ -0,0 +1,56 @@
+-- Group-level vote eligibility: self-votes and abstaining can be switched off.
+-- Checked in the vote trigger so the rules hold for every client.
+alter table public.groups
+  add column if not exists allow_self_vote boolean not null default true,
+  add column if not exists allow_abstain boolean not null default true;
+
+create or replace function public.check_vote_target()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+begin
+  select * into v_round from public.rounds where id = new.round_id;
+  select * into v_group from public.groups where id = v_round.group_id;
+
+  if new.ranking is null or cardinality(new.ranking) = 0 then
+    new.ranking := case when new.target is null then null else array[new.target] end;
+  end if;
+  new.target := new.ranking[1];
+
+  if new.ranking is null then
+    if not v_group.allow_abstain then
+      raise exception 'Abstaining is not allowed in this group – please pick someone' using errcode = 'P0001';
+    end if;
+    return new;
+  end if;
+
+  if cardinality(new.ranking) > v_round.pick_count then
+    raise exception 'You can pick at most % members', v_round.pick_count using errcode = 'P0001';
+  end if;
+
+  if (select count(distinct t) from unnest(new.ranking) as t) <> cardinality(new.ranking) then
+    raise exception 'Each member can only be picked once' using errcode = 'P0001';
+  end if;
+
+  if not v_group.allow_self_vote and new.voter = any (new.ranking) then
+    raise exception 'You cannot vote for yourself in this group' using errcode = 'P0001';
+  end if;
+
+  if v_round.eligible_targets is not null
+    and exists (select 1 from unnest(new.ranking) as t where not (t = any (v_round.eligible_targets))) then
+    raise exception 'This member is not part of the runoff' using errcode = 'P0001';
+  end if;
+
+  if exists (
+    select 1 from unnest(new.ranking) as t
+    where not exists (select 1 from public.group_members m where m.group_id = v_round.group_id and m.user_id = t)
+  ) then
+    raise exception 'You can only vote for members of this group' using errcode = 'P0001';
+  end if;
+
+  return new;
+end;
+$$;
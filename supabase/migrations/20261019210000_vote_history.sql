@@ -0,0 +1,111 @@
+-- Members can change or withdraw their vote until the round closes.
+-- Every cast/change/withdrawal is logged in vote_history – without targets, so owners
+-- can see churn without learning who voted for whom.
+
+create table if not exists public.vote_history (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  voter uuid references public.profiles (id) on delete set null,
+  action text not null check (action in ('cast', 'change', 'withdraw')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vote_history_round_idx
+  on public.vote_history (round_id, created_at);
+
+alter table public.vote_history enable row level security;
+
+drop policy if exists "Owners read vote history" on public.vote_history;
+create policy "Owners read vote history"
+  on public.vote_history for select
+  using (exists (
+    select 1 from public.rounds r join public.groups g on g.id = r.group_id
+    where r.id = vote_history.round_id and g.owner = auth.uid()
+  ));
+
+-- Votes are frozen once the round is closed, expired or cancelled
+create or replace function public.check_vote_round_open()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = new.round_id;
+
+  if v_round.cancelled_at is not null then
+    raise exception 'Round was cancelled' using errcode = 'P0001';
+  end if;
+  if exists (select 1 from public.round_results where round_id = v_round.id) then
+    raise exception 'Round is already closed – votes can no longer be changed' using errcode = 'P0001';
+  end if;
+  if v_round.expires_at <= now() then
+    raise exception 'Voting has ended for this round' using errcode = 'P0001';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists votes_check_round_open on public.votes;
+create trigger votes_check_round_open
+  before insert or update on public.votes
+  for each row execute function public.check_vote_round_open();
+
+create or replace function public.log_vote_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into public.vote_history (round_id, voter, action) values (new.round_id, new.voter, 'cast');
+  elsif new.ranking is distinct from old.ranking or new.target is distinct from old.target then
+    insert into public.vote_history (round_id, voter, action) values (new.round_id, new.voter, 'change');
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists votes_log_history on public.votes;
+create trigger votes_log_history
+  after insert or update on public.votes
+  for each row execute function public.log_vote_history();
+
+-- Withdrawing goes through an RPC so that clean-up deletes (group deletion, reroll)
+-- are neither blocked nor logged as withdrawals
+create or replace function public.withdraw_vote(p_round_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if v_round.cancelled_at is not null then
+    raise exception 'Round was cancelled' using errcode = 'P0001';
+  end if;
+  if exists (select 1 from public.round_results where round_id = p_round_id) then
+    raise exception 'Round is already closed – votes can no longer be changed' using errcode = 'P0001';
+  end if;
+  if v_round.expires_at <= now() then
+    raise exception 'Voting has ended for this round' using errcode = 'P0001';
+  end if;
+
+  delete from public.votes where round_id = p_round_id and voter = auth.uid();
+  if not found then
+    raise exception 'You have not voted in this round' using errcode = 'P0002';
+  end if;
+
+  insert into public.vote_history (round_id, voter, action) values (p_round_id, auth.uid(), 'withdraw');
+end;
+$$;
+
+grant execute on function public.withdraw_vote(uuid) to authenticated;
@@ -0,0 +1,402 @@
+-- Statement types beyond "who fits best":
+--   member       – pick the member the statement fits best (ranked/multi-pick as configured)
+--   scale        – agree/disagree (1–5) with a statement about the group
+--   this_or_that – pick one of two members drawn at random when the round starts
+--   free_text    – short anonymous answers, revealed together once the round is closed
+-- Aggregation mirrors summarizeScale() in supabase/functions/_shared/roundEngine.js.
+
+alter table public.statements
+  add column if not exists type text not null default 'member'
+    check (type in ('member', 'scale', 'this_or_that', 'free_text'));
+
+alter table public.rounds
+  add column if not exists statement_type text not null default 'member'
+    check (statement_type in ('member', 'scale', 'this_or_that', 'free_text'));
+
+update public.rounds r set statement_type = s.type
+from public.statements s
+where s.id = r.statement_id and r.statement_type <> s.type;
+
+alter table public.votes
+  add column if not exists scale_value smallint check (scale_value between 1 and 5),
+  add column if not exists answer text check (char_length(answer) <= 280);
+
+alter table public.round_results
+  add column if not exists summary jsonb not null default '{}';
+
+-- Rounds follow their statement's type (also when the owner rerolls the statement).
+-- Runs before rounds_set_voting_mode (triggers fire in name order).
+create or replace function public.apply_statement_type()
+returns trigger
+language plpgsql
+as $$
+begin
+  select coalesce(s.type, 'member') into new.statement_type
+  from public.statements s where s.id = new.statement_id;
+  new.statement_type := coalesce(new.statement_type, 'member');
+
+  if new.statement_type <> 'member' then
+    new.pick_count := 1;
+    new.scoring := 'fptp';
+  end if;
+
+  -- Runoffs keep their tied members; everything else draws its own candidates
+  if new.parent_round_id is null then
+    if new.statement_type = 'this_or_that' then
+      if tg_op = 'UPDATE' or new.eligible_targets is null then
+        select array_agg(user_id) into new.eligible_targets
+        from (
+          select user_id from public.group_members
+          where group_id = new.group_id
+          order by random()
+          limit 2
+        ) drawn;
+      end if;
+    else
+      new.eligible_targets := null;
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists rounds_apply_statement_type on public.rounds;
+create trigger rounds_apply_statement_type
+  before insert or update of statement_id on public.rounds
+  for each row execute function public.apply_statement_type();
+
+-- Ballots per type: member/this_or_that use ranking/target, scale uses scale_value,
+-- free_text uses answer. Abstaining means leaving all of them empty.
+create or replace function public.check_vote_target()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+begin
+  select * into v_round from public.rounds where id = new.round_id;
+  select * into v_group from public.groups where id = v_round.group_id;
+
+  if v_round.statement_type in ('scale', 'free_text') then
+    new.ranking := null;
+    new.target := null;
+    new.answer := nullif(btrim(new.answer), '');
+    if v_round.statement_type = 'scale' then
+      new.answer := null;
+    else
+      new.scale_value := null;
+    end if;
+
+    if new.scale_value is null and new.answer is null and not v_group.allow_abstain then
+      raise exception 'Abstaining is not allowed in this group – please answer' using errcode = 'P0001';
+    end if;
+    return new;
+  end if;
+
+  new.scale_value := null;
+  new.answer := null;
+
+  if new.ranking is null or cardinality(new.ranking) = 0 then
+    new.ranking := case when new.target is null then null else array[new.target] end;
+  end if;
+  new.target := new.ranking[1];
+
+  if new.ranking is null then
+    if not v_group.allow_abstain then
+      raise exception 'Abstaining is not allowed in this group – please pick someone' using errcode = 'P0001';
+    end if;
+    return new;
+  end if;
+
+  if cardinality(new.ranking) > v_round.pick_count then
+    raise exception 'You can pick at most % members', v_round.pick_count using errcode = 'P0001';
+  end if;
+
+  if (select count(distinct t) from unnest(new.ranking) as t) <> cardinality(new.ranking) then
+    raise exception 'Each member can only be picked once' using errcode = 'P0001';
+  end if;
+
+  -- In this-or-that the two members are drawn for you, so picking yourself is fine
+  if not v_group.allow_self_vote and v_round.statement_type = 'member' and new.voter = any (new.ranking) then
+    raise exception 'You cannot vote for yourself in this group' using errcode = 'P0001';
+  end if;
+
+  if v_round.eligible_targets is not null
+    and exists (select 1 from unnest(new.ranking) as t where not (t = any (v_round.eligible_targets))) then
+    raise exception case when v_round.parent_round_id is null
+      then 'Pick one of the two members of this round'
+      else 'This member is not part of the runoff' end
+      using errcode = 'P0001';
+  end if;
+
+  if exists (
+    select 1 from unnest(new.ranking) as t
+    where not exists (select 1 from public.group_members m where m.group_id = v_round.group_id and m.user_id = t)
+  ) then
+    raise exception 'You can only vote for members of this group' using errcode = 'P0001';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Free-text answers are anonymous in every privacy mode; they are only read via round_answers()
+create or replace function public.can_see_vote_targets(p_round_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((
+    select public.is_group_member(g.id)
+       and r.statement_type <> 'free_text'
+       and case g.vote_privacy
+             when 'open' then true
+             when 'reveal_after_close' then exists (select 1 from public.round_results rr where rr.round_id = r.id)
+             else false
+           end
+    from public.rounds r
+    join public.groups g on g.id = r.group_id
+    where r.id = p_round_id
+  ), false);
+$$;
+
+-- Aggregation for scale and free-text rounds
+create or replace function public.round_type_summary(p_round_id uuid)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select case r.statement_type
+    when 'scale' then jsonb_build_object(
+      'responses', (select count(*) from public.votes v where v.round_id = r.id and v.scale_value is not null),
+      'average', (select round(avg(v.scale_value), 2) from public.votes v where v.round_id = r.id),
+      'distribution', (
+        select jsonb_object_agg(n, (select count(*) from public.votes v where v.round_id = r.id and v.scale_value = n))
+        from generate_series(1, 5) as n
+      )
+    )
+    when 'free_text' then jsonb_build_object(
+      'responses', (select count(*) from public.votes v where v.round_id = r.id and v.answer is not null)
+    )
+    else '{}'::jsonb
+  end
+  from public.rounds r
+  where r.id = p_round_id;
+$$;
+
+-- All answers of a closed free-text round, shuffled and without their authors
+create or replace function public.round_answers(p_round_id uuid)
+returns table (answer text)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from public.round_results where round_id = p_round_id) then
+    return; -- revealed together once the round is closed
+  end if;
+
+  return query
+    select v.answer from public.votes v
+    where v.round_id = p_round_id and v.answer is not null
+    order by md5(v.voter::text || p_round_id::text);
+end;
+$$;
+
+grant execute on function public.round_answers(uuid) to authenticated;
+
+create or replace function public.round_vote_summary(p_round_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_ended boolean;
+  v_counts jsonb;
+  v_summary jsonb;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  v_ended := v_round.expires_at <= now()
+    or exists (select 1 from public.round_results where round_id = p_round_id);
+
+  if v_ended then
+    select coalesce(jsonb_object_agg(target, score), '{}'::jsonb) into v_counts
+    from public.round_scores(p_round_id)
+    where score > 0;
+    v_summary := public.round_type_summary(p_round_id);
+  end if;
+
+  return jsonb_build_object(
+    'votes_cast', (select count(*) from public.votes where round_id = p_round_id),
+    'statement_type', v_round.statement_type,
+    'scoring', v_round.scoring,
+    'pick_count', v_round.pick_count,
+    'counts', v_counts,
+    'summary', v_summary
+  );
+end;
+$$;
+
+create or replace function public.close_round(p_round_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+  v_member_count int;
+  v_vote_count int;
+  v_max int;
+  v_tied uuid[];
+  v_scores jsonb;
+  v_ranking jsonb;
+  v_winner uuid;
+  v_winners uuid[] := '{}';
+  v_resolution text;
+  v_runoff public.rounds;
+  v_award numeric(10, 2);
+  v_user uuid;
+  v_summary jsonb := '{}';
+begin
+  -- Row lock serializes concurrent closers (two browsers, browser + cron)
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and not exists (
+    select 1 from public.group_members
+    where group_id = v_round.group_id and user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if found then
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', false);
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+  select count(*) into v_member_count from public.group_members where group_id = v_round.group_id;
+  select count(*) into v_vote_count from public.votes where round_id = p_round_id;
+
+  if v_round.expires_at > now() and (v_member_count = 0 or v_vote_count < v_member_count) then
+    raise exception 'Round is still open' using errcode = 'P0001';
+  end if;
+
+  -- Scale and free-text rounds have no winner, only a summary
+  if v_round.statement_type in ('scale', 'free_text') then
+    v_summary := public.round_type_summary(p_round_id);
+
+    insert into public.round_results (
+      round_id, winner, winners, votes_count, closed_at, awards, scoring, summary
+    )
+    values (
+      p_round_id, null, '{}', coalesce((v_summary ->> 'responses')::int, 0), now(), '[]'::jsonb,
+      v_round.scoring, v_summary
+    )
+    returning * into v_result;
+
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+  end if;
+
+  with scores as (
+    select * from public.round_scores(p_round_id) where score > 0
+  )
+  select coalesce(max(score), 0),
+         array_agg(target) filter (where score = (select max(score) from scores)),
+         coalesce(jsonb_object_agg(target, score), '{}'::jsonb),
+         coalesce(jsonb_agg(
+           jsonb_build_object('user_id', target, 'score', score, 'first_choices', first_choices)
+           order by score desc, first_choices desc
+         ), '[]'::jsonb)
+  into v_max, v_tied, v_scores, v_ranking
+  from scores;
+
+  v_tied := coalesce(v_tied, '{}');
+
+  if array_length(v_tied, 1) = 1 then
+    v_winner := v_tied[1];
+  elsif array_length(v_tied, 1) > 1 then
+    v_resolution := v_group.tie_policy;
+
+    -- A tied runoff is settled by a draw instead of another runoff
+    if v_resolution = 'runoff' and v_round.parent_round_id is not null then
+      v_resolution := 'random';
+    end if;
+
+    if v_resolution = 'shared' then
+      v_winners := v_tied;
+    elsif v_resolution = 'random' then
+      v_winner := v_tied[1 + floor(random() * array_length(v_tied, 1))::int];
+    elsif v_resolution = 'runoff' then
+      -- Runoffs are always a single pick between the tied members
+      insert into public.rounds (
+        group_id, statement_id, issued_at, expires_at, parent_round_id, eligible_targets, pick_count, scoring
+      )
+      values (v_round.group_id, v_round.statement_id, now(),
+              now() + make_interval(hours => v_group.runoff_hours), v_round.id, v_tied, 1, 'fptp')
+      returning * into v_runoff;
+    else
+      v_resolution := null;
+    end if;
+  end if;
+
+  if v_winner is not null then
+    v_winners := array[v_winner];
+  end if;
+
+  insert into public.round_results (
+    round_id, winner, winners, votes_count, closed_at, awards, tie_resolution, runoff_round_id,
+    scoring, scores, ranking
+  )
+  values (
+    p_round_id, v_winner, v_winners, v_max, now(),
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'user_id', w,
+        'points', round(1::numeric / array_length(v_winners, 1), 2)
+      ))
+      from unnest(v_winners) as w
+    ), '[]'::jsonb),
+    v_resolution, v_runoff.id,
+    v_round.scoring, v_scores, v_ranking
+  )
+  returning * into v_result;
+
+  if array_length(v_winners, 1) > 0 then
+    v_award := round(1::numeric / array_length(v_winners, 1), 2);
+    foreach v_user in array v_winners loop
+      insert into public.points (user_id, group_id, points)
+      values (v_user, v_round.group_id, v_award)
+      on conflict (user_id, group_id)
+      do update set points = public.points.points + excluded.points;
+    end loop;
+  end if;
+
+  return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+end;
+$$;
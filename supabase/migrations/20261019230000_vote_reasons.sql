@@ -0,0 +1,139 @@
+-- Optional short "why" attached to a vote. Reasons live in their own table so that
+-- open and reveal-after-close groups never see who wrote them: members only read
+-- their own row, everything else goes through round_reasons() once the round is closed.
+
+create table if not exists public.vote_reasons (
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  voter uuid not null references public.profiles (id) on delete cascade,
+  reason text not null check (char_length(reason) between 1 and 280),
+  created_at timestamptz not null default now(),
+  primary key (round_id, voter)
+);
+
+alter table public.vote_reasons enable row level security;
+
+drop policy if exists "Members read own vote reason" on public.vote_reasons;
+create policy "Members read own vote reason"
+  on public.vote_reasons for select
+  using (voter = auth.uid());
+
+drop policy if exists "Members write own vote reason" on public.vote_reasons;
+create policy "Members write own vote reason"
+  on public.vote_reasons for insert
+  with check (voter = auth.uid() and public.is_group_member(
+    (select r.group_id from public.rounds r where r.id = vote_reasons.round_id)
+  ));
+
+drop policy if exists "Members update own vote reason" on public.vote_reasons;
+create policy "Members update own vote reason"
+  on public.vote_reasons for update
+  using (voter = auth.uid())
+  with check (voter = auth.uid());
+
+drop policy if exists "Members delete own vote reason" on public.vote_reasons;
+create policy "Members delete own vote reason"
+  on public.vote_reasons for delete
+  using (voter = auth.uid()
+    and not exists (select 1 from public.round_results rr where rr.round_id = vote_reasons.round_id));
+
+-- Same freeze as the votes themselves
+drop trigger if exists vote_reasons_check_round_open on public.vote_reasons;
+create trigger vote_reasons_check_round_open
+  before insert or update on public.vote_reasons
+  for each row execute function public.check_vote_round_open();
+
+-- A withdrawn (or rerolled away) vote takes its reason with it
+create or replace function public.drop_vote_reason()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.vote_reasons where round_id = old.round_id and voter = old.voter;
+  return null;
+end;
+$$;
+
+drop trigger if exists votes_drop_reason on public.votes;
+create trigger votes_drop_reason
+  after delete on public.votes
+  for each row execute function public.drop_vote_reason();
+
+-- Reasons of a closed round per voted-for member (first choice), shuffled and without their authors
+create or replace function public.round_reasons(p_round_id uuid)
+returns table (target uuid, reason text)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from public.round_results where round_id = p_round_id) then
+    return; -- revealed once the round is closed
+  end if;
+
+  return query
+    select v.target, vr.reason
+    from public.vote_reasons vr
+    join public.votes v on v.round_id = vr.round_id and v.voter = vr.voter
+    where vr.round_id = p_round_id and v.target is not null
+    order by v.target, md5(vr.voter::text || p_round_id::text);
+end;
+$$;
+
+grant execute on function public.round_reasons(uuid) to authenticated;
+
+-- Vote and reason in one transaction, so a failed reason never leaves the vote saved
+-- without it (or with the previous one). Runs as the caller: RLS and the vote
+-- triggers apply as for a direct write.
+create or replace function public.submit_vote(
+  p_round_id uuid,
+  p_target uuid default null,
+  p_ranking uuid[] default null,
+  p_scale_value int default null,
+  p_answer text default null,
+  p_reason text default null
+)
+returns public.votes
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_vote public.votes;
+  v_reason text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated' using errcode = '42501';
+  end if;
+
+  insert into public.votes (round_id, voter, target, ranking, scale_value, answer)
+  values (p_round_id, auth.uid(), p_target, p_ranking, p_scale_value, p_answer)
+  on conflict (round_id, voter) do update
+    set target = excluded.target,
+        ranking = excluded.ranking,
+        scale_value = excluded.scale_value,
+        answer = excluded.answer
+  returning * into v_vote;
+
+  v_reason := case when v_vote.target is not null then nullif(btrim(p_reason), '') end;
+  if v_reason is not null then
+    insert into public.vote_reasons (round_id, voter, reason)
+    values (p_round_id, auth.uid(), v_reason)
+    on conflict (round_id, voter) do update set reason = excluded.reason;
+  else
+    delete from public.vote_reasons where round_id = p_round_id and voter = auth.uid();
+  end if;
+
+  return v_vote;
+end;
+$$;
+
+grant execute on function public.submit_vote(uuid, uuid, uuid[], int, text, text) to authenticated;
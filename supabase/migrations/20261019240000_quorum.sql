@@ -0,0 +1,291 @@
+-- Quorum for closing a round early: a share of all members (100% = everyone, the old
+-- behaviour) or all active members. Who counts is frozen when the round is issued
+-- (rounds.eligible_voters / votes_needed), so members joining mid-round don't move the target.
+-- Active = voted in at least one of the group's last 3 closed regular rounds
+-- (while a group has fewer than 3 closed rounds everyone is active).
+
+alter table public.groups
+  add column if not exists quorum_mode text not null default 'percent'
+    check (quorum_mode in ('percent', 'active')),
+  add column if not exists quorum_percent int not null default 100
+    check (quorum_percent between 1 and 100);
+
+alter table public.rounds
+  add column if not exists eligible_voters uuid[],
+  add column if not exists votes_needed int;
+
+create or replace function public.active_group_members(p_group_id uuid)
+returns setof uuid
+language sql
+stable
+set search_path = public
+as $$
+  with recent as (
+    select r.id from public.rounds r
+    join public.round_results rr on rr.round_id = r.id
+    where r.group_id = p_group_id and r.parent_round_id is null and r.cancelled_at is null
+    order by r.issued_at desc
+    limit 3
+  )
+  select m.user_id from public.group_members m
+  where m.group_id = p_group_id
+    and ((select count(*) from recent) < 3
+      or exists (
+        select 1 from public.votes v
+        where v.voter = m.user_id and v.round_id in (select id from recent)
+      ));
+$$;
+
+create or replace function public.freeze_eligible_voters()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group public.groups;
+begin
+  if new.eligible_voters is not null then
+    return new;
+  end if;
+
+  select * into v_group from public.groups where id = new.group_id;
+
+  if v_group.quorum_mode = 'active' then
+    new.eligible_voters := array(select public.active_group_members(new.group_id));
+    new.votes_needed := cardinality(new.eligible_voters);
+  else
+    new.eligible_voters := array(select user_id from public.group_members where group_id = new.group_id);
+    new.votes_needed := ceil(cardinality(new.eligible_voters) * v_group.quorum_percent / 100.0)::int;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists rounds_freeze_eligible_voters on public.rounds;
+create trigger rounds_freeze_eligible_voters
+  before insert on public.rounds
+  for each row execute function public.freeze_eligible_voters();
+
+-- Votes by eligible voters vs. votes needed. Rounds issued before this migration
+-- fall back to all votes and the current member count.
+create or replace function public.round_quorum(p_round_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'votes_counted', (
+      select count(*) from public.votes v
+      where v.round_id = r.id
+        and (r.eligible_voters is null or v.voter = any (r.eligible_voters))
+    ),
+    'votes_needed', coalesce(
+      r.votes_needed,
+      (select count(*) from public.group_members m where m.group_id = r.group_id)
+    )
+  )
+  from public.rounds r
+  where r.id = p_round_id;
+$$;
+
+-- Same rule as quorumReached() in the round engine. A reopened round kept its votes,
+-- so it would close again right away – it only closes on expiry.
+create or replace function public.round_quorum_reached(p_round_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select (q ->> 'votes_needed')::int > 0
+     and (q ->> 'votes_counted')::int >= (q ->> 'votes_needed')::int
+     and not exists (select 1 from public.rounds where id = p_round_id and reopened_at is not null)
+  from (select public.round_quorum(p_round_id) as q) as quorum;
+$$;
+
+create or replace function public.round_vote_summary(p_round_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_ended boolean;
+  v_counts jsonb;
+  v_summary jsonb;
+  v_quorum jsonb;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  v_quorum := public.round_quorum(p_round_id);
+  v_ended := v_round.expires_at <= now()
+    or exists (select 1 from public.round_results where round_id = p_round_id);
+
+  if v_ended then
+    select coalesce(jsonb_object_agg(target, score), '{}'::jsonb) into v_counts
+    from public.round_scores(p_round_id)
+    where score > 0;
+    v_summary := public.round_type_summary(p_round_id);
+  end if;
+
+  return jsonb_build_object(
+    'votes_cast', (select count(*) from public.votes where round_id = p_round_id),
+    'statement_type', v_round.statement_type,
+    'scoring', v_round.scoring,
+    'pick_count', v_round.pick_count,
+    'counts', v_counts,
+    'summary', v_summary,
+    'votes_counted', (v_quorum ->> 'votes_counted')::int,
+    'votes_needed', (v_quorum ->> 'votes_needed')::int
+  );
+end;
+$$;
+
+create or replace function public.close_round(p_round_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+  v_max int;
+  v_tied uuid[];
+  v_scores jsonb;
+  v_ranking jsonb;
+  v_winner uuid;
+  v_winners uuid[] := '{}';
+  v_resolution text;
+  v_runoff public.rounds;
+  v_award numeric(10, 2);
+  v_user uuid;
+  v_summary jsonb := '{}';
+begin
+  -- Row lock serializes concurrent closers (two browsers, browser + cron)
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and not exists (
+    select 1 from public.group_members
+    where group_id = v_round.group_id and user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if found then
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', false);
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+
+  if v_round.expires_at > now() and not public.round_quorum_reached(p_round_id) then
+    raise exception 'Round is still open' using errcode = 'P0001';
+  end if;
+
+  -- Scale and free-text rounds have no winner, only a summary
+  if v_round.statement_type in ('scale', 'free_text') then
+    v_summary := public.round_type_summary(p_round_id);
+
+    insert into public.round_results (
+      round_id, winner, winners, votes_count, closed_at, awards, scoring, summary
+    )
+    values (
+      p_round_id, null, '{}', coalesce((v_summary ->> 'responses')::int, 0), now(), '[]'::jsonb,
+      v_round.scoring, v_summary
+    )
+    returning * into v_result;
+
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+  end if;
+
+  with scores as (
+    select * from public.round_scores(p_round_id) where score > 0
+  )
+  select coalesce(max(score), 0),
+         array_agg(target) filter (where score = (select max(score) from scores)),
+         coalesce(jsonb_object_agg(target, score), '{}'::jsonb),
+         coalesce(jsonb_agg(
+           jsonb_build_object('user_id', target, 'score', score, 'first_choices', first_choices)
+           order by score desc, first_choices desc
+         ), '[]'::jsonb)
+  into v_max, v_tied, v_scores, v_ranking
+  from scores;
+
+  v_tied := coalesce(v_tied, '{}');
+
+  if array_length(v_tied, 1) = 1 then
+    v_winner := v_tied[1];
+  elsif array_length(v_tied, 1) > 1 then
+    v_resolution := v_group.tie_policy;
+
+    -- A tied runoff is settled by a draw instead of another runoff
+    if v_resolution = 'runoff' and v_round.parent_round_id is not null then
+      v_resolution := 'random';
+    end if;
+
+    if v_resolution = 'shared' then
+      v_winners := v_tied;
+    elsif v_resolution = 'random' then
+      v_winner := v_tied[1 + floor(random() * array_length(v_tied, 1))::int];
+    elsif v_resolution = 'runoff' then
+      -- Runoffs are always a single pick between the tied members
+      insert into public.rounds (
+        group_id, statement_id, issued_at, expires_at, parent_round_id, eligible_targets, pick_count, scoring
+      )
+      values (v_round.group_id, v_round.statement_id, now(),
+              now() + make_interval(hours => v_group.runoff_hours), v_round.id, v_tied, 1, 'fptp')
+      returning * into v_runoff;
+    else
+      v_resolution := null;
+    end if;
+  end if;
+
+  if v_winner is not null then
+    v_winners := array[v_winner];
+  end if;
+
+  insert into public.round_results (
+    round_id, winner, winners, votes_count, closed_at, awards, tie_resolution, runoff_round_id,
+    scoring, scores, ranking
+  )
+  values (
+    p_round_id, v_winner, v_winners, v_max, now(),
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'user_id', w,
+        'points', round(1::numeric / array_length(v_winners, 1), 2)
+      ))
+      from unnest(v_winners) as w
+    ), '[]'::jsonb),
+    v_resolution, v_runoff.id,
+    v_round.scoring, v_scores, v_ranking
+  )
+  returning * into v_result;
+
+  if array_length(v_winners, 1) > 0 then
+    v_award := round(1::numeric / array_length(v_winners, 1), 2);
+    foreach v_user in array v_winners loop
+      insert into public.points (user_id, group_id, points)
+      values (v_user, v_round.group_id, v_award)
+      on conflict (user_id, group_id)
+      do update set points = public.points.points + excluded.points;
+    end loop;
+  end if;
+
+  return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+end;
+$$;
@@ -0,0 +1,85 @@
+-- Leaderboard per group, aggregated in the database for a date range (closed_at of the
+-- round result; null = open end). Points and wins come from round_results.awards (filled
+-- in for older rounds by the tie policy migration), so a range shows what was earned in
+-- it. Participation counts the rounds a member was
+-- eligible for (rounds.eligible_voters, or every round for rounds issued before that).
+-- The streak only looks at rounds that can have a winner and were not sent to a runoff.
+-- previous_rank is the rank before the latest round in the range.
+
+create or replace function public.group_leaderboard(
+  p_group_id uuid,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns table (
+  user_id uuid,
+  points numeric,
+  wins int,
+  rounds_eligible int,
+  votes_cast int,
+  participation numeric,
+  streak int,
+  rank int,
+  previous_rank int
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not public.is_group_member(p_group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  return query
+  with closed as (
+    select r.id, r.eligible_voters, rr.awards,
+           r.statement_type in ('member', 'this_or_that') and rr.tie_resolution is distinct from 'runoff' as decisive,
+           row_number() over (order by rr.closed_at desc) as recency
+    from public.rounds r
+    join public.round_results rr on rr.round_id = r.id
+    where r.group_id = p_group_id
+      and r.cancelled_at is null
+      and (p_from is null or rr.closed_at >= p_from)
+      and (p_to is null or rr.closed_at < p_to)
+  ),
+  awarded as (
+    select c.id as round_id, c.recency, (a ->> 'user_id')::uuid as user_id, (a ->> 'points')::numeric as points
+    from closed c, jsonb_array_elements(c.awards) as a
+  ),
+  totals as (
+    select m.user_id,
+      coalesce((select sum(a.points) from awarded a where a.user_id = m.user_id), 0) as points,
+      (select count(*) from awarded a where a.user_id = m.user_id)::int as wins,
+      coalesce((select sum(a.points) from awarded a where a.user_id = m.user_id and a.recency > 1), 0) as previous_points,
+      (select count(*) from awarded a where a.user_id = m.user_id and a.recency > 1)::int as previous_wins,
+      (select count(*) from closed c
+        where c.eligible_voters is null or m.user_id = any (c.eligible_voters))::int as rounds_eligible,
+      (select count(*) from closed c
+        join public.votes v on v.round_id = c.id and v.voter = m.user_id
+        where c.eligible_voters is null or m.user_id = any (c.eligible_voters))::int as votes_cast,
+      -- Decisive rounds won since the most recent decisive round the member did not win
+      (select count(*) from closed c
+        where c.decisive and c.recency < coalesce((
+          select min(d.recency) from closed d
+          where d.decisive
+            and not exists (select 1 from awarded a where a.round_id = d.id and a.user_id = m.user_id)
+        ), 2147483647))::int as streak
+    from public.group_members m
+    where m.group_id = p_group_id
+  )
+  select t.user_id, t.points, t.wins, t.rounds_eligible, t.votes_cast,
+    case when t.rounds_eligible > 0 then round(100.0 * t.votes_cast / t.rounds_eligible, 1) end,
+    t.streak,
+    (rank() over (order by t.points desc, t.wins desc))::int,
+    case when exists (select 1 from closed c where c.recency > 1)
+      then (rank() over (order by t.previous_points desc, t.previous_wins desc))::int
+    end
+  from totals t
+  order by 8, t.wins desc;
+end;
+$$;
+
+grant execute on function public.group_leaderboard(uuid, timestamptz, timestamptz) to authenticated;
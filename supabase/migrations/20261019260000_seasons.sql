@@ -0,0 +1,131 @@
+-- Seasons: points (the per-group counter) reset when a season ends, after the final
+-- standings have been frozen into the season row. A season ends after
+-- groups.season_length_days (checked by the cron) or when the owner ends it manually.
+-- Every group always has exactly one open season.
+
+alter table public.groups
+  add column if not exists season_length_days int
+    check (season_length_days is null or season_length_days between 7 and 365);
+
+create table if not exists public.seasons (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  number int not null,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  champions uuid[] not null default '{}', -- more than one if the season ended in a tie
+  standings jsonb, -- [{ user_id, points, wins, rank }] once ended
+  unique (group_id, number)
+);
+
+create unique index if not exists seasons_one_open_idx
+  on public.seasons (group_id) where ended_at is null;
+
+alter table public.seasons enable row level security;
+
+drop policy if exists "Members read seasons" on public.seasons;
+create policy "Members read seasons"
+  on public.seasons for select
+  using (public.is_group_member(group_id));
+
+-- The first season of existing groups starts with their first round
+insert into public.seasons (group_id, number, started_at)
+select g.id, 1, coalesce((select min(r.issued_at) from public.rounds r where r.group_id = g.id), now())
+from public.groups g
+where not exists (select 1 from public.seasons s where s.group_id = g.id);
+
+create or replace function public.start_first_season()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.seasons (group_id, number) values (new.id, 1);
+  return null;
+end;
+$$;
+
+drop trigger if exists groups_start_first_season on public.groups;
+create trigger groups_start_first_season
+  after insert on public.groups
+  for each row execute function public.start_first_season();
+
+-- Freezes the standings, resets points and opens the next season.
+-- Returns { season, next_season_id }.
+create or replace function public.end_season(p_group_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group public.groups;
+  v_season public.seasons;
+  v_next public.seasons;
+  v_standings jsonb;
+begin
+  -- Row lock serializes the owner's button and the cron
+  select * into v_group from public.groups where id = p_group_id for update;
+  if not found then
+    raise exception 'Group not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and v_group.owner is distinct from auth.uid() then
+    raise exception 'Only the group owner can end a season' using errcode = '42501';
+  end if;
+
+  select * into v_season from public.seasons where group_id = p_group_id and ended_at is null;
+  if not found then
+    raise exception 'No open season' using errcode = 'P0002';
+  end if;
+
+  -- Members plus anyone who still holds points in the group (e.g. left mid-season)
+  with players as (
+    select user_id from public.group_members where group_id = p_group_id
+    union
+    select user_id from public.points where group_id = p_group_id
+  ),
+  scored as (
+    select pl.user_id,
+      coalesce((select p.points from public.points p
+                where p.group_id = p_group_id and p.user_id = pl.user_id), 0) as points,
+      (select count(*) from public.round_results rr
+        join public.rounds r on r.id = rr.round_id
+        where r.group_id = p_group_id
+          and rr.closed_at >= v_season.started_at
+          and rr.awards @> jsonb_build_array(jsonb_build_object('user_id', pl.user_id)))::int as wins
+    from players pl
+  ),
+  ranked as (
+    select *, rank() over (order by points desc, wins desc) as rank from scored
+  )
+  select coalesce(jsonb_agg(
+           jsonb_build_object('user_id', user_id, 'points', points, 'wins', wins, 'rank', rank)
+           order by rank, user_id
+         ), '[]'::jsonb)
+  into v_standings
+  from ranked;
+
+  update public.seasons
+  set ended_at = now(),
+      standings = v_standings,
+      champions = coalesce((
+        select array_agg((s ->> 'user_id')::uuid)
+        from jsonb_array_elements(v_standings) as s
+        where (s ->> 'rank')::int = 1 and (s ->> 'points')::numeric > 0
+      ), '{}')
+  where id = v_season.id
+  returning * into v_season;
+
+  delete from public.points where group_id = p_group_id;
+
+  insert into public.seasons (group_id, number, started_at)
+  values (p_group_id, v_season.number + 1, now())
+  returning * into v_next;
+
+  return jsonb_build_object('season', to_jsonb(v_season), 'next_season_id', v_next.id);
+end;
+$$;
+
+grant execute on function public.end_season(uuid) to authenticated;
@@ -0,0 +1,513 @@
+-- Points become an append-only ledger: every change is an entry linked to the round
+-- (and season) that caused it. public.points is now a view with the running totals.
+-- close_round appends awards, reopen_round appends reversals, end_season appends
+-- season resets; nothing updates or deletes entries. reconcile_points() recomputes
+-- what the ledger should hold from round_results and reports (or fixes) mismatches.
+
+create table if not exists public.points_ledger (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  round_id uuid, -- no foreign key: entries outlive a deleted round
+  season_id uuid references public.seasons (id) on delete cascade,
+  points numeric(10, 2) not null,
+  kind text not null check (kind in ('award', 'reversal', 'season_reset', 'adjustment')),
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists points_ledger_group_user_idx on public.points_ledger (group_id, user_id);
+create index if not exists points_ledger_round_idx on public.points_ledger (round_id);
+
+alter table public.points_ledger enable row level security;
+
+drop policy if exists "Members read points ledger" on public.points_ledger;
+create policy "Members read points ledger"
+  on public.points_ledger for select
+  using (public.is_group_member(group_id));
+
+-- Season that was open at a given moment (the current one for anything after its start)
+create or replace function public.season_id_at(p_group_id uuid, p_at timestamptz)
+returns uuid
+language sql
+stable
+set search_path = public
+as $$
+  select id from public.seasons
+  where group_id = p_group_id
+    and started_at <= p_at
+    and (ended_at is null or ended_at > p_at)
+  order by number desc
+  limit 1;
+$$;
+
+-- Backfill
+-- 1. Awards of every closed round (older rounds got theirs in the tie policy migration)
+insert into public.points_ledger (group_id, user_id, round_id, season_id, points, kind, created_at)
+select r.group_id, (a ->> 'user_id')::uuid, r.id, public.season_id_at(r.group_id, rr.closed_at),
+       (a ->> 'points')::numeric, 'award', rr.closed_at
+from public.round_results rr
+join public.rounds r on r.id = rr.round_id,
+     jsonb_array_elements(rr.awards) as a
+where exists (select 1 from public.profiles p where p.id = (a ->> 'user_id')::uuid);
+
+-- 2. Resets of seasons that already ended
+insert into public.points_ledger (group_id, user_id, season_id, points, kind, created_at)
+select l.group_id, l.user_id, s.id, -sum(l.points), 'season_reset', s.ended_at
+from public.seasons s
+join public.points_ledger l on l.season_id = s.id
+where s.ended_at is not null
+group by l.group_id, l.user_id, s.id, s.ended_at
+having sum(l.points) <> 0;
+
+-- 3. Whatever the old counter disagrees on is carried over as an adjustment,
+--    so no score changes silently – reconcile_points() will flag it
+insert into public.points_ledger (group_id, user_id, season_id, points, kind, note)
+select p.group_id, p.user_id, public.season_id_at(p.group_id, now()),
+       p.points - coalesce(l.total, 0), 'adjustment', 'Carried over from the points table'
+from public.points p
+left join (
+  select group_id, user_id, sum(points) as total from public.points_ledger group by group_id, user_id
+) l on l.group_id = p.group_id and l.user_id = p.user_id
+where p.points <> coalesce(l.total, 0);
+
+drop table if exists public.points;
+
+create or replace view public.points
+with (security_invoker = true)
+as
+  select group_id, user_id, sum(points)::numeric(10, 2) as points
+  from public.points_ledger
+  group by group_id, user_id;
+
+-- Append-only
+create or replace function public.protect_points_ledger()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Deleting the group (or the member's profile) takes their entries with it
+  if tg_op = 'DELETE' and (
+    not exists (select 1 from public.groups where id = old.group_id)
+    or not exists (select 1 from public.profiles where id = old.user_id)
+  ) then
+    return old;
+  end if;
+  raise exception 'The points ledger is append-only – add an adjustment instead' using errcode = 'P0001';
+end;
+$$;
+
+drop trigger if exists points_ledger_append_only on public.points_ledger;
+create trigger points_ledger_append_only
+  before update or delete on public.points_ledger
+  for each row execute function public.protect_points_ledger();
+
+create or replace function public.close_round(p_round_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+  v_max int;
+  v_tied uuid[];
+  v_scores jsonb;
+  v_ranking jsonb;
+  v_winner uuid;
+  v_winners uuid[] := '{}';
+  v_resolution text;
+  v_runoff public.rounds;
+  v_award numeric(10, 2);
+  v_user uuid;
+  v_summary jsonb := '{}';
+begin
+  -- Row lock serializes concurrent closers (two browsers, browser + cron)
+  select * into v_round from public.rounds where id = p_round_id for update;
+  if not found then
+    raise exception 'Round not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and not exists (
+    select 1 from public.group_members
+    where group_id = v_round.group_id and user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if found then
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', false);
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+
+  if v_round.expires_at > now() and not public.round_quorum_reached(p_round_id) then
+    raise exception 'Round is still open' using errcode = 'P0001';
+  end if;
+
+  -- Scale and free-text rounds have no winner, only a summary
+  if v_round.statement_type in ('scale', 'free_text') then
+    v_summary := public.round_type_summary(p_round_id);
+
+    insert into public.round_results (
+      round_id, winner, winners, votes_count, closed_at, awards, scoring, summary
+    )
+    values (
+      p_round_id, null, '{}', coalesce((v_summary ->> 'responses')::int, 0), now(), '[]'::jsonb,
+      v_round.scoring, v_summary
+    )
+    returning * into v_result;
+
+    return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+  end if;
+
+  with scores as (
+    select * from public.round_scores(p_round_id) where score > 0
+  )
+  select coalesce(max(score), 0),
+         array_agg(target) filter (where score = (select max(score) from scores)),
+         coalesce(jsonb_object_agg(target, score), '{}'::jsonb),
+         coalesce(jsonb_agg(
+           jsonb_build_object('user_id', target, 'score', score, 'first_choices', first_choices)
+           order by score desc, first_choices desc
+         ), '[]'::jsonb)
+  into v_max, v_tied, v_scores, v_ranking
+  from scores;
+
+  v_tied := coalesce(v_tied, '{}');
+
+  if array_length(v_tied, 1) = 1 then
+    v_winner := v_tied[1];
+  elsif array_length(v_tied, 1) > 1 then
+    v_resolution := v_group.tie_policy;
+
+    -- A tied runoff is settled by a draw instead of another runoff
+    if v_resolution = 'runoff' and v_round.parent_round_id is not null then
+      v_resolution := 'random';
+    end if;
+
+    if v_resolution = 'shared' then
+      v_winners := v_tied;
+    elsif v_resolution = 'random' then
+      v_winner := v_tied[1 + floor(random() * array_length(v_tied, 1))::int];
+    elsif v_resolution = 'runoff' then
+      -- Runoffs are always a single pick between the tied members
+      insert into public.rounds (
+        group_id, statement_id, issued_at, expires_at, parent_round_id, eligible_targets, pick_count, scoring
+      )
+      values (v_round.group_id, v_round.statement_id, now(),
+              now() + make_interval(hours => v_group.runoff_hours), v_round.id, v_tied, 1, 'fptp')
+      returning * into v_runoff;
+    else
+      v_resolution := null;
+    end if;
+  end if;
+
+  if v_winner is not null then
+    v_winners := array[v_winner];
+  end if;
+
+  insert into public.round_results (
+    round_id, winner, winners, votes_count, closed_at, awards, tie_resolution, runoff_round_id,
+    scoring, scores, ranking
+  )
+  values (
+    p_round_id, v_winner, v_winners, v_max, now(),
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'user_id', w,
+        'points', round(1::numeric / array_length(v_winners, 1), 2)
+      ))
+      from unnest(v_winners) as w
+    ), '[]'::jsonb),
+    v_resolution, v_runoff.id,
+    v_round.scoring, v_scores, v_ranking
+  )
+  returning * into v_result;
+
+  if array_length(v_winners, 1) > 0 then
+    v_award := round(1::numeric / array_length(v_winners, 1), 2);
+    foreach v_user in array v_winners loop
+      insert into public.points_ledger (group_id, user_id, round_id, season_id, points, kind)
+      values (v_round.group_id, v_user, p_round_id, public.season_id_at(v_round.group_id, now()), v_award, 'award');
+    end loop;
+  end if;
+
+  return jsonb_build_object('result', to_jsonb(v_result), 'created', true);
+end;
+$$;
+
+-- Undoes a close: removes the result, reverses its points and opens voting again
+create or replace function public.reopen_round(p_round_id uuid, p_hours int default null)
+returns public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_group public.groups;
+  v_result public.round_results;
+begin
+  v_round := public.lock_owned_round(p_round_id);
+
+  if v_round.cancelled_at is not null then
+    raise exception 'Round was cancelled' using errcode = 'P0001';
+  end if;
+
+  select * into v_result from public.round_results where round_id = p_round_id;
+  if not found then
+    raise exception 'Round is not closed' using errcode = 'P0001';
+  end if;
+
+  select * into v_group from public.groups where id = v_round.group_id;
+
+  if exists (
+    select 1 from public.rounds r
+    where r.group_id = v_round.group_id
+      and r.id <> p_round_id
+      and r.id is distinct from v_result.runoff_round_id
+      and r.cancelled_at is null
+      and r.expires_at > now()
+      and not exists (select 1 from public.round_results rr where rr.round_id = r.id)
+  ) then
+    raise exception 'Another round is active in this group' using errcode = 'P0001';
+  end if;
+
+  if v_result.runoff_round_id is not null then
+    if exists (select 1 from public.round_results where round_id = v_result.runoff_round_id) then
+      raise exception 'The runoff of this round is already closed – reopen the runoff instead' using errcode = 'P0001';
+    end if;
+    delete from public.rounds where id = v_result.runoff_round_id;
+  end if;
+
+  -- Reverse whatever the ledger holds for this round (awards and earlier corrections)
+  insert into public.points_ledger (group_id, user_id, round_id, season_id, points, kind)
+  select l.group_id, l.user_id, l.round_id, public.season_id_at(l.group_id, now()), -sum(l.points), 'reversal'
+  from public.points_ledger l
+  where l.round_id = p_round_id and l.kind <> 'season_reset'
+  group by l.group_id, l.user_id, l.round_id
+  having sum(l.points) <> 0;
+
+  delete from public.round_results where round_id = p_round_id;
+
+  update public.rounds
+  set expires_at = now() + make_interval(hours => coalesce(p_hours, v_group.voting_hours)),
+      reopened_at = now()
+  where id = p_round_id
+  returning * into v_round;
+
+  insert into public.round_audit_log (round_id, group_id, actor, action, details)
+  values (p_round_id, v_round.group_id, auth.uid(), 'reopen',
+          jsonb_build_object('removed_result', to_jsonb(v_result), 'expires_at', v_round.expires_at));
+
+  return v_round;
+end;
+$$;
+
+create or replace function public.end_season(p_group_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group public.groups;
+  v_season public.seasons;
+  v_next public.seasons;
+  v_standings jsonb;
+begin
+  -- Row lock serializes the owner's button and the cron
+  select * into v_group from public.groups where id = p_group_id for update;
+  if not found then
+    raise exception 'Group not found' using errcode = 'P0002';
+  end if;
+
+  if coalesce(auth.role(), '') <> 'service_role' and v_group.owner is distinct from auth.uid() then
+    raise exception 'Only the group owner can end a season' using errcode = '42501';
+  end if;
+
+  select * into v_season from public.seasons where group_id = p_group_id and ended_at is null;
+  if not found then
+    raise exception 'No open season' using errcode = 'P0002';
+  end if;
+
+  -- Members plus anyone who still holds points in the group (e.g. left mid-season)
+  with players as (
+    select user_id from public.group_members where group_id = p_group_id
+    union
+    select user_id from public.points where group_id = p_group_id
+  ),
+  scored as (
+    select pl.user_id,
+      coalesce((select p.points from public.points p
+                where p.group_id = p_group_id and p.user_id = pl.user_id), 0) as points,
+      (select count(*) from public.round_results rr
+        join public.rounds r on r.id = rr.round_id
+        where r.group_id = p_group_id
+          and rr.closed_at >= v_season.started_at
+          and rr.awards @> jsonb_build_array(jsonb_build_object('user_id', pl.user_id)))::int as wins
+    from players pl
+  ),
+  ranked as (
+    select *, rank() over (order by points desc, wins desc) as rank from scored
+  )
+  select coalesce(jsonb_agg(
+           jsonb_build_object('user_id', user_id, 'points', points, 'wins', wins, 'rank', rank)
+           order by rank, user_id
+         ), '[]'::jsonb)
+  into v_standings
+  from ranked;
+
+  update public.seasons
+  set ended_at = now(),
+      standings = v_standings,
+      champions = coalesce((
+        select array_agg((s ->> 'user_id')::uuid)
+        from jsonb_array_elements(v_standings) as s
+        where (s ->> 'rank')::int = 1 and (s ->> 'points')::numeric > 0
+      ), '{}')
+  where id = v_season.id
+  returning * into v_season;
+
+  -- Reset by appending the opposite of every balance – the ledger is never rewritten
+  insert into public.points_ledger (group_id, user_id, season_id, points, kind)
+  select p.group_id, p.user_id, v_season.id, -p.points, 'season_reset'
+  from public.points p
+  where p.group_id = p_group_id and p.points <> 0;
+
+  insert into public.seasons (group_id, number, started_at)
+  values (p_group_id, v_season.number + 1, now())
+  returning * into v_next;
+
+  return jsonb_build_object('season', to_jsonb(v_season), 'next_season_id', v_next.id);
+end;
+$$;
+
+-- Reconciliation
+-- Expected per round: the awards in its round_results row (nothing if it is not closed).
+-- Expected per member: the awards of rounds closed since the open season started,
+-- compared with the open season's round entries. Carried-over and manual adjustments
+-- (no round) and entries of earlier seasons are left alone.
+-- Returns every mismatch; with p_fix an adjustment entry is appended for each one.
+-- Service role for all groups, owners for their own group.
+create or replace function public.reconcile_points(p_group_id uuid default null, p_fix boolean default false)
+returns table (
+  group_id uuid,
+  user_id uuid,
+  round_id uuid,
+  expected numeric,
+  actual numeric,
+  fixed boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_row record;
+begin
+  if coalesce(auth.role(), '') <> 'service_role' and (
+    p_group_id is null
+    or not exists (select 1 from public.groups g where g.id = p_group_id and g.owner = auth.uid())
+  ) then
+    raise exception 'Only the group owner can reconcile points' using errcode = '42501';
+  end if;
+
+  -- 1. Entries of each round vs. its awards
+  for v_row in
+    with expected as (
+      select r.group_id, (a ->> 'user_id')::uuid as user_id, r.id as round_id,
+             sum((a ->> 'points')::numeric) as points, max(rr.closed_at) as closed_at
+      from public.round_results rr
+      join public.rounds r on r.id = rr.round_id,
+           jsonb_array_elements(rr.awards) as a
+      where p_group_id is null or r.group_id = p_group_id
+      group by 1, 2, 3
+    ),
+    actual as (
+      select l.group_id, l.user_id, l.round_id, sum(l.points) as points
+      from public.points_ledger l
+      where l.round_id is not null
+        and l.kind <> 'season_reset'
+        and (p_group_id is null or l.group_id = p_group_id)
+      group by 1, 2, 3
+    )
+    select coalesce(e.group_id, a.group_id) as group_id,
+           coalesce(e.user_id, a.user_id) as user_id,
+           coalesce(e.round_id, a.round_id) as round_id,
+           coalesce(e.points, 0) as expected,
+           coalesce(a.points, 0) as actual,
+           e.closed_at
+    from expected e
+    full join actual a
+      on a.group_id = e.group_id and a.user_id = e.user_id and a.round_id = e.round_id
+    where coalesce(e.points, 0) <> coalesce(a.points, 0)
+      and exists (select 1 from public.profiles p where p.id = coalesce(e.user_id, a.user_id))
+  loop
+    if p_fix then
+      insert into public.points_ledger (group_id, user_id, round_id, season_id, points, kind, note)
+      values (v_row.group_id, v_row.user_id, v_row.round_id,
+              public.season_id_at(v_row.group_id, coalesce(v_row.closed_at, now())),
+              v_row.expected - v_row.actual, 'adjustment', 'Reconciliation');
+    end if;
+
+    group_id := v_row.group_id;
+    user_id := v_row.user_id;
+    round_id := v_row.round_id;
+    expected := v_row.expected;
+    actual := v_row.actual;
+    fixed := p_fix;
+    return next;
+  end loop;
+
+  -- 2. Balances of the open season (sees the fixes from step 1)
+  for v_row in
+    with expected as (
+      select s.group_id, (a ->> 'user_id')::uuid as user_id, sum((a ->> 'points')::numeric) as points
+      from public.seasons s
+      join public.rounds r on r.group_id = s.group_id
+      join public.round_results rr on rr.round_id = r.id and rr.closed_at >= s.started_at,
+           jsonb_array_elements(rr.awards) as a
+      where s.ended_at is null and (p_group_id is null or s.group_id = p_group_id)
+      group by 1, 2
+    ),
+    actual as (
+      select l.group_id, l.user_id, sum(l.points) as points
+      from public.points_ledger l
+      join public.seasons s on s.id = l.season_id and s.ended_at is null
+      where (p_group_id is null or l.group_id = p_group_id)
+        and not (l.kind = 'adjustment' and l.round_id is null)
+      group by 1, 2
+    )
+    select coalesce(e.group_id, a.group_id) as group_id,
+           coalesce(e.user_id, a.user_id) as user_id,
+           coalesce(e.points, 0) as expected,
+           coalesce(a.points, 0) as actual
+    from expected e
+    full join actual a on a.group_id = e.group_id and a.user_id = e.user_id
+    where coalesce(e.points, 0) <> coalesce(a.points, 0)
+      and exists (select 1 from public.profiles p where p.id = coalesce(e.user_id, a.user_id))
+  loop
+    if p_fix then
+      insert into public.points_ledger (group_id, user_id, season_id, points, kind, note)
+      values (v_row.group_id, v_row.user_id, public.season_id_at(v_row.group_id, now()),
+              v_row.expected - v_row.actual, 'adjustment', 'Reconciliation of the season balance');
+    end if;
+
+    group_id := v_row.group_id;
+    user_id := v_row.user_id;
+    round_id := null;
+    expected := v_row.expected;
+    actual := v_row.actual;
+    fixed := p_fix;
+    return next;
+  end loop;
+end;
+$$;
+
+grant execute on function public.reconcile_points(uuid, boolean) to authenticated;
@@ -0,0 +1,182 @@
+-- Badges, awarded when a round closes (trigger on round_results). The catalog with
+-- names and emojis lives in supabase/functions/_shared/badges.js.
+--   first_win           first round won in the group
+--   hat_trick           the last three decisive rounds all won
+--   statement_of_month  most first-choice votes in a single round of the previous month
+--                       (settled by the first round closing in the new month)
+--   perfect_attendance  voted in each of the last 10 rounds one was eligible for
+--   mirror              hidden, one per statement category: won a round in it
+-- "Decisive" rounds can have a winner and were not sent to a runoff.
+-- Wins are read from round_results.winners, which the tie policy migration filled in for
+-- rounds closed before it, so earlier wins count towards first_win and hat_trick.
+
+create table if not exists public.member_badges (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  badge text not null
+    check (badge in ('first_win', 'hat_trick', 'statement_of_month', 'perfect_attendance', 'mirror')),
+  period text not null default '', -- month (YYYY-MM) or category
+  round_id uuid references public.rounds (id) on delete set null, -- the round whose close awarded it
+  awarded_at timestamptz not null default now(),
+  unique (group_id, user_id, badge, period)
+);
+
+create index if not exists member_badges_round_idx on public.member_badges (round_id);
+
+alter table public.member_badges enable row level security;
+
+-- Visible to everyone sharing a group with the member (group list and profile)
+drop policy if exists "Members read badges" on public.member_badges;
+create policy "Members read badges"
+  on public.member_badges for select
+  using (user_id = auth.uid() or public.is_group_member(group_id));
+
+create or replace function public.award_badges(p_round_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+  v_result public.round_results;
+  v_category text;
+  v_month text;
+  v_winner uuid;
+  v_member uuid;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  select * into v_result from public.round_results where round_id = p_round_id;
+  select category into v_category from public.statements where id = v_round.statement_id;
+
+  foreach v_winner in array coalesce(v_result.winners, '{}') loop
+    -- First win: this round is the only one won so far
+    if not exists (
+      select 1 from public.round_results rr
+      join public.rounds r on r.id = rr.round_id
+      where r.group_id = v_round.group_id and rr.round_id <> p_round_id and v_winner = any (rr.winners)
+    ) then
+      insert into public.member_badges (group_id, user_id, badge, round_id)
+      values (v_round.group_id, v_winner, 'first_win', p_round_id)
+      on conflict do nothing;
+    end if;
+
+    -- Hat trick: the last three decisive rounds were all won
+    if (
+      select count(*) = 3 and bool_and(v_winner = any (recent.winners))
+      from (
+        select rr.winners
+        from public.round_results rr
+        join public.rounds r on r.id = rr.round_id
+        where r.group_id = v_round.group_id
+          and r.cancelled_at is null
+          and r.statement_type in ('member', 'this_or_that')
+          and rr.tie_resolution is distinct from 'runoff'
+        order by rr.closed_at desc
+        limit 3
+      ) as recent
+    ) then
+      insert into public.member_badges (group_id, user_id, badge, round_id)
+      values (v_round.group_id, v_winner, 'hat_trick', p_round_id)
+      on conflict do nothing;
+    end if;
+
+    -- Hidden mirror badge for the statement's category
+    if coalesce(v_category, '') <> '' then
+      insert into public.member_badges (group_id, user_id, badge, period, round_id)
+      values (v_round.group_id, v_winner, 'mirror', v_category, p_round_id)
+      on conflict do nothing;
+    end if;
+  end loop;
+
+  -- Statement of the month: settled once for the previous month
+  v_month := to_char(date_trunc('month', v_result.closed_at) - interval '1 month', 'YYYY-MM');
+  if not exists (
+    select 1 from public.member_badges
+    where group_id = v_round.group_id and badge = 'statement_of_month' and period = v_month
+  ) then
+    insert into public.member_badges (group_id, user_id, badge, period, round_id)
+    select v_round.group_id, month_wins.w, 'statement_of_month', v_month, p_round_id
+    from (
+      -- votes_count is the round's top score, which depends on its scoring (Borda,
+      -- approval), so rounds are compared by the winner's first choices instead
+      select wins.w, wins.first_choices, max(wins.first_choices) over () as top
+      from (
+        select w, coalesce(
+          (select (e ->> 'first_choices')::int from jsonb_array_elements(rr.ranking) as e
+           where (e ->> 'user_id')::uuid = w),
+          (select count(*) from public.votes v where v.round_id = rr.round_id and v.target = w)::int
+        ) as first_choices
+        from public.round_results rr
+        join public.rounds r on r.id = rr.round_id,
+        unnest(rr.winners) as w
+        where r.group_id = v_round.group_id
+          and r.cancelled_at is null
+          and r.statement_type in ('member', 'this_or_that')
+          and to_char(rr.closed_at, 'YYYY-MM') = v_month
+      ) as wins
+    ) as month_wins
+    where month_wins.first_choices = month_wins.top and month_wins.top > 0
+    on conflict do nothing;
+  end if;
+
+  -- Perfect attendance: voted in each of the last 10 rounds one was eligible for
+  for v_member in select user_id from public.group_members where group_id = v_round.group_id loop
+    if (
+      select count(*) = 10 and bool_and(voted)
+      from (
+        select exists (
+          select 1 from public.votes v where v.round_id = r.id and v.voter = v_member
+        ) as voted
+        from public.rounds r
+        join public.round_results rr on rr.round_id = r.id
+        where r.group_id = v_round.group_id
+          and r.cancelled_at is null
+          and (r.eligible_voters is null or v_member = any (r.eligible_voters))
+        order by rr.closed_at desc
+        limit 10
+      ) as recent
+    ) then
+      insert into public.member_badges (group_id, user_id, badge, round_id)
+      values (v_round.group_id, v_member, 'perfect_attendance', p_round_id)
+      on conflict do nothing;
+    end if;
+  end loop;
+end;
+$$;
+
+create or replace function public.award_badges_on_close()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.award_badges(new.round_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists round_results_award_badges on public.round_results;
+create trigger round_results_award_badges
+  after insert on public.round_results
+  for each row execute function public.award_badges_on_close();
+
+-- Reopening a round deletes its result – badges that close awarded go with it
+create or replace function public.revoke_round_badges()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.member_badges where round_id = old.round_id;
+  return null;
+end;
+$$;
+
+drop trigger if exists round_results_revoke_badges on public.round_results;
+create trigger round_results_revoke_badges
+  after delete on public.round_results
+  for each row execute function public.revoke_round_badges();
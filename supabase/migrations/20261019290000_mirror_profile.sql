@@ -0,0 +1,59 @@
+-- Personal "mirror": how every group sees the signed-in user. Statements get trait
+-- tags (curated in the admin panel, e.g. "funny", "reliable") for the trait cloud.
+
+alter table public.statements
+  add column if not exists tags text[] not null default '{}';
+
+-- One row per closed member / this-or-that round in the caller's groups in which
+-- they could be picked (runoffs and this-or-that only allow some members). picks
+-- counts the ballots naming them (any position), voters all ballots cast, won comes
+-- from round_results.winners (backfilled for rounds closed before tie policies).
+-- Only ever returns the caller's own numbers, never who picked them.
+create or replace function public.my_mirror()
+returns table (
+  round_id uuid,
+  group_id uuid,
+  group_name text,
+  statement_text text,
+  category text,
+  tags text[],
+  closed_at timestamptz,
+  picks int,
+  voters int,
+  won boolean
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_user uuid := auth.uid();
+begin
+  if v_user is null then
+    raise exception 'Not authenticated' using errcode = '42501';
+  end if;
+
+  return query
+  select r.id, g.id, g.name, s.text, s.category, s.tags, rr.closed_at,
+    (select count(*) from public.votes v
+      where v.round_id = r.id
+        and v_user = any (coalesce(v.ranking, array[v.target])))::int,
+    (select count(*) from public.votes v
+      where v.round_id = r.id and (v.target is not null or cardinality(v.ranking) > 0))::int,
+    v_user = any (rr.winners)
+  from public.group_members m
+  join public.groups g on g.id = m.group_id
+  join public.rounds r on r.group_id = g.id
+  join public.round_results rr on rr.round_id = r.id
+  join public.statements s on s.id = r.statement_id
+  where m.user_id = v_user
+    and r.cancelled_at is null
+    and r.statement_type in ('member', 'this_or_that')
+    and (r.eligible_targets is null or v_user = any (r.eligible_targets))
+  order by rr.closed_at;
+end;
+$$;
+
+grant execute on function public.my_mirror() to authenticated;
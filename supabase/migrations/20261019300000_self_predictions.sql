@@ -0,0 +1,295 @@
+-- Self-prediction: before a member / this-or-that round closes, members can guess
+-- whether the statement lands on them and/or who wins. Predictions stay private until
+-- the round is closed; then round_predictions_revealed() compares them with the result
+-- (named only where the group's vote privacy would show the votes).
+-- Accuracy feeds the leaderboard and the personal mirror.
+
+create table if not exists public.round_predictions (
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  lands_on_me boolean,
+  predicted_winner uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (round_id, user_id),
+  check (lands_on_me is not null or predicted_winner is not null)
+);
+
+alter table public.round_predictions enable row level security;
+
+drop policy if exists "Members read own prediction" on public.round_predictions;
+create policy "Members read own prediction"
+  on public.round_predictions for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Members write own prediction" on public.round_predictions;
+create policy "Members write own prediction"
+  on public.round_predictions for insert
+  with check (user_id = auth.uid() and public.is_group_member(
+    (select r.group_id from public.rounds r where r.id = round_predictions.round_id)
+  ));
+
+drop policy if exists "Members update own prediction" on public.round_predictions;
+create policy "Members update own prediction"
+  on public.round_predictions for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Members delete own prediction" on public.round_predictions;
+create policy "Members delete own prediction"
+  on public.round_predictions for delete
+  using (user_id = auth.uid()
+    and not exists (select 1 from public.round_results rr where rr.round_id = round_predictions.round_id));
+
+-- Frozen together with the votes
+drop trigger if exists round_predictions_check_round_open on public.round_predictions;
+create trigger round_predictions_check_round_open
+  before insert or update on public.round_predictions
+  for each row execute function public.check_vote_round_open();
+
+create or replace function public.check_prediction()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds;
+begin
+  select * into v_round from public.rounds where id = new.round_id;
+
+  if v_round.statement_type not in ('member', 'this_or_that') then
+    raise exception 'Predictions are only possible when voting for members' using errcode = 'P0001';
+  end if;
+  if new.predicted_winner is not null and (
+    not exists (select 1 from public.group_members where group_id = v_round.group_id and user_id = new.predicted_winner)
+    or (v_round.eligible_targets is not null and not new.predicted_winner = any (v_round.eligible_targets))
+  ) then
+    raise exception 'You can only predict a member who can win this round' using errcode = 'P0001';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists round_predictions_check on public.round_predictions;
+create trigger round_predictions_check
+  before insert or update on public.round_predictions
+  for each row execute function public.check_prediction();
+
+-- A reroll swaps the statement and discards the votes – predictions were made for the old one
+create or replace function public.discard_predictions_on_reroll()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.round_predictions where round_id = new.id;
+  return null;
+end;
+$$;
+
+drop trigger if exists rounds_discard_predictions on public.rounds;
+create trigger rounds_discard_predictions
+  after update of statement_id on public.rounds
+  for each row
+  when (old.statement_id is distinct from new.statement_id)
+  execute function public.discard_predictions_on_reroll();
+
+-- Every part that was predicted has to be right (a shared win counts as landing on you)
+create or replace function public.prediction_correct(p_prediction public.round_predictions, p_winners uuid[])
+returns boolean
+language sql
+immutable
+as $$
+  select (p_prediction.lands_on_me is null
+           or p_prediction.lands_on_me = (p_prediction.user_id = any (coalesce(p_winners, '{}'))))
+     and (p_prediction.predicted_winner is null
+           or p_prediction.predicted_winner = any (coalesce(p_winners, '{}')));
+$$;
+
+-- Predictions of a closed round with the actual outcome. A named bet on the winner
+-- gives away much of the named vote, so other members' predictions follow the same
+-- rule as the votes (can_see_vote_targets); otherwise they only come back as
+-- anonymous rows with just `correct`, for the aggregate accuracy.
+create or replace function public.round_predictions_revealed(p_round_id uuid)
+returns table (user_id uuid, lands_on_me boolean, predicted_winner uuid, won boolean, correct boolean)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_round public.rounds;
+  v_named boolean;
+begin
+  select * into v_round from public.rounds where id = p_round_id;
+  if not found or not public.is_group_member(v_round.group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  v_named := public.can_see_vote_targets(p_round_id);
+
+  return query
+    select
+      case when v_named or p.user_id = auth.uid() then p.user_id end,
+      case when v_named or p.user_id = auth.uid() then p.lands_on_me end,
+      case when v_named or p.user_id = auth.uid() then p.predicted_winner end,
+      case when v_named or p.user_id = auth.uid() then p.user_id = any (rr.winners) end,
+      public.prediction_correct(p, rr.winners)
+    from public.round_predictions p
+    join public.round_results rr on rr.round_id = p.round_id -- revealed once the round is closed
+    where p.round_id = p_round_id
+    order by p.user_id = auth.uid() desc, p.created_at;
+end;
+$$;
+
+grant execute on function public.round_predictions_revealed(uuid) to authenticated;
+
+-- Leaderboard: same as before plus predictions made / right in the range
+drop function if exists public.group_leaderboard(uuid, timestamptz, timestamptz);
+create or replace function public.group_leaderboard(
+  p_group_id uuid,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns table (
+  user_id uuid,
+  points numeric,
+  wins int,
+  rounds_eligible int,
+  votes_cast int,
+  participation numeric,
+  streak int,
+  predictions int,
+  predictions_correct int,
+  rank int,
+  previous_rank int
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not public.is_group_member(p_group_id) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  return query
+  with closed as (
+    select r.id, r.eligible_voters, rr.awards, rr.winners,
+           r.statement_type in ('member', 'this_or_that') and rr.tie_resolution is distinct from 'runoff' as decisive,
+           row_number() over (order by rr.closed_at desc) as recency
+    from public.rounds r
+    join public.round_results rr on rr.round_id = r.id
+    where r.group_id = p_group_id
+      and r.cancelled_at is null
+      and (p_from is null or rr.closed_at >= p_from)
+      and (p_to is null or rr.closed_at < p_to)
+  ),
+  awarded as (
+    select c.id as round_id, c.recency, (a ->> 'user_id')::uuid as user_id, (a ->> 'points')::numeric as points
+    from closed c, jsonb_array_elements(c.awards) as a
+  ),
+  predicted as (
+    select p.user_id, public.prediction_correct(p, c.winners) as correct
+    from closed c
+    join public.round_predictions p on p.round_id = c.id
+  ),
+  totals as (
+    select m.user_id,
+      coalesce((select sum(a.points) from awarded a where a.user_id = m.user_id), 0) as points,
+      (select count(*) from awarded a where a.user_id = m.user_id)::int as wins,
+      coalesce((select sum(a.points) from awarded a where a.user_id = m.user_id and a.recency > 1), 0) as previous_points,
+      (select count(*) from awarded a where a.user_id = m.user_id and a.recency > 1)::int as previous_wins,
+      (select count(*) from closed c
+        where c.eligible_voters is null or m.user_id = any (c.eligible_voters))::int as rounds_eligible,
+      (select count(*) from closed c
+        join public.votes v on v.round_id = c.id and v.voter = m.user_id
+        where c.eligible_voters is null or m.user_id = any (c.eligible_voters))::int as votes_cast,
+      -- Decisive rounds won since the most recent decisive round the member did not win
+      (select count(*) from closed c
+        where c.decisive and c.recency < coalesce((
+          select min(d.recency) from closed d
+          where d.decisive
+            and not exists (select 1 from awarded a where a.round_id = d.id and a.user_id = m.user_id)
+        ), 2147483647))::int as streak,
+      (select count(*) from predicted p where p.user_id = m.user_id)::int as predictions,
+      (select count(*) from predicted p where p.user_id = m.user_id and p.correct)::int as predictions_correct
+    from public.group_members m
+    where m.group_id = p_group_id
+  )
+  select t.user_id, t.points, t.wins, t.rounds_eligible, t.votes_cast,
+    case when t.rounds_eligible > 0 then round(100.0 * t.votes_cast / t.rounds_eligible, 1) end,
+    t.streak,
+    t.predictions,
+    t.predictions_correct,
+    (rank() over (order by t.points desc, t.wins desc))::int,
+    case when exists (select 1 from closed c where c.recency > 1)
+      then (rank() over (order by t.previous_points desc, t.previous_wins desc))::int
+    end
+  from totals t
+  order by 10, t.wins desc;
+end;
+$$;
+
+grant execute on function public.group_leaderboard(uuid, timestamptz, timestamptz) to authenticated;
+
+-- Mirror: same as before plus the caller's own prediction per round
+drop function if exists public.my_mirror();
+create or replace function public.my_mirror()
+returns table (
+  round_id uuid,
+  group_id uuid,
+  group_name text,
+  statement_text text,
+  category text,
+  tags text[],
+  closed_at timestamptz,
+  picks int,
+  voters int,
+  won boolean,
+  predicted_self boolean, -- null if the caller did not guess whether it lands on them
+  prediction_correct boolean -- null without a prediction
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_user uuid := auth.uid();
+begin
+  if v_user is null then
+    raise exception 'Not authenticated' using errcode = '42501';
+  end if;
+
+  return query
+  select r.id, g.id, g.name, s.text, s.category, s.tags, rr.closed_at,
+    (select count(*) from public.votes v
+      where v.round_id = r.id
+        and v_user = any (coalesce(v.ranking, array[v.target])))::int,
+    (select count(*) from public.votes v
+      where v.round_id = r.id and (v.target is not null or cardinality(v.ranking) > 0))::int,
+    v_user = any (rr.winners),
+    p.lands_on_me,
+    case when p.user_id is not null then public.prediction_correct(p, rr.winners) end
+  from public.group_members m
+  join public.groups g on g.id = m.group_id
+  join public.rounds r on r.group_id = g.id
+  join public.round_results rr on rr.round_id = r.id
+  join public.statements s on s.id = r.statement_id
+  left join public.round_predictions p on p.round_id = r.id and p.user_id = v_user
+  where m.user_id = v_user
+    and r.cancelled_at is null
+    and r.statement_type in ('member', 'this_or_that')
+    and (r.eligible_targets is null or v_user = any (r.eligible_targets))
+  order by rr.closed_at;
+end;
+$$;
+
+grant execute on function public.my_mirror() to authenticated;
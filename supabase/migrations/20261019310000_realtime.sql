@@ -0,0 +1,59 @@
+-- Realtime for the open group and round views. Clients subscribe to votes, comments
+-- and round_results; Realtime applies RLS, so in anonymous groups members never
+-- receive other members' votes. rounds.last_vote_at is touched on every vote change
+-- instead – it reveals no more than the vote count the UI shows anyway.
+
+alter table public.rounds
+  add column if not exists last_vote_at timestamptz;
+
+create or replace function public.touch_round_vote_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.rounds
+  set last_vote_at = now()
+  where id = coalesce(new.round_id, old.round_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists votes_touch_round on public.votes;
+create trigger votes_touch_round
+  after insert or update or delete on public.votes
+  for each row execute function public.touch_round_vote_activity();
+
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array['rounds', 'votes', 'comments', 'round_results'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = v_table
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', v_table);
+    end if;
+  end loop;
+end;
+$$;
+
+-- round_results had no RLS, so the group view's unfiltered INSERT subscription would
+-- have received every group's results. Members read their groups' results; writes go
+-- through the security definer RPCs and the service role, except deleteGroup's cleanup.
+alter table public.round_results enable row level security;
+
+drop policy if exists "Members read round results" on public.round_results;
+create policy "Members read round results"
+  on public.round_results for select
+  using (public.is_group_member((select r.group_id from public.rounds r where r.id = round_results.round_id)));
+
+drop policy if exists "Owners delete round results" on public.round_results;
+create policy "Owners delete round results"
+  on public.round_results for delete
+  using (exists (
+    select 1 from public.rounds r join public.groups g on g.id = r.group_id
+    where r.id = round_results.round_id and g.owner = auth.uid()
+  ));
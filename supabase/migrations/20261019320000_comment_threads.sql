@@ -0,0 +1,135 @@
+-- Threaded comments (one level: replies to a top-level comment), emoji reactions and
+-- per-round read markers for the "new discussion" badge in the group list.
+
+alter table public.comments
+  add column if not exists parent_id uuid references public.comments (id) on delete cascade;
+
+create index if not exists comments_parent_idx on public.comments (parent_id);
+
+create or replace function public.check_comment_parent()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_parent public.comments;
+begin
+  if new.parent_id is null then
+    return new;
+  end if;
+
+  select * into v_parent from public.comments where id = new.parent_id;
+  if not found or v_parent.round_id <> new.round_id then
+    raise exception 'You can only reply to a comment in the same round' using errcode = 'P0001';
+  end if;
+  if v_parent.parent_id is not null then
+    raise exception 'Replies cannot be replied to – reply to the original comment instead' using errcode = 'P0001';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_check_parent on public.comments;
+create trigger comments_check_parent
+  before insert or update of parent_id on public.comments
+  for each row execute function public.check_comment_parent();
+
+-- Same set as COMMENT_REACTIONS in src/mirrio.jsx
+create table if not exists public.comment_reactions (
+  comment_id uuid not null references public.comments (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  emoji text not null check (emoji in ('👍', '😂', '❤️', '😮', '🔥', '🤔')),
+  created_at timestamptz not null default now(),
+  primary key (comment_id, user_id, emoji)
+);
+
+alter table public.comment_reactions enable row level security;
+
+drop policy if exists "Members read reactions" on public.comment_reactions;
+create policy "Members read reactions"
+  on public.comment_reactions for select
+  using (public.is_group_member((
+    select r.group_id from public.comments c join public.rounds r on r.id = c.round_id
+    where c.id = comment_reactions.comment_id
+  )));
+
+drop policy if exists "Members add own reactions" on public.comment_reactions;
+create policy "Members add own reactions"
+  on public.comment_reactions for insert
+  with check (user_id = auth.uid() and public.is_group_member((
+    select r.group_id from public.comments c join public.rounds r on r.id = c.round_id
+    where c.id = comment_reactions.comment_id
+  )));
+
+drop policy if exists "Members remove own reactions" on public.comment_reactions;
+create policy "Members remove own reactions"
+  on public.comment_reactions for delete
+  using (user_id = auth.uid());
+
+create table if not exists public.comment_reads (
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  round_id uuid not null references public.rounds (id) on delete cascade,
+  last_read_at timestamptz not null default now(),
+  primary key (user_id, round_id)
+);
+
+alter table public.comment_reads enable row level security;
+
+drop policy if exists "Users read own read markers" on public.comment_reads;
+create policy "Users read own read markers"
+  on public.comment_reads for select
+  using (user_id = auth.uid());
+
+-- Existing discussions count as read
+insert into public.comment_reads (user_id, round_id)
+select distinct m.user_id, c.round_id
+from public.comments c
+join public.rounds r on r.id = c.round_id
+join public.group_members m on m.group_id = r.group_id
+on conflict do nothing;
+
+create or replace function public.mark_comments_read(p_round_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_group_member((select group_id from public.rounds where id = p_round_id)) then
+    raise exception 'Not a member of this group' using errcode = '42501';
+  end if;
+
+  insert into public.comment_reads (user_id, round_id, last_read_at)
+  values (auth.uid(), p_round_id, now())
+  on conflict (user_id, round_id) do update set last_read_at = excluded.last_read_at;
+end;
+$$;
+
+grant execute on function public.mark_comments_read(uuid) to authenticated;
+
+-- Comments by others the caller has not seen yet, per group
+create or replace function public.unread_comment_counts()
+returns table (group_id uuid, unread int)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  return query
+    select r.group_id, count(*)::int
+    from public.group_members m
+    join public.rounds r on r.group_id = m.group_id
+    join public.comments c on c.round_id = r.id
+    left join public.comment_reads cr on cr.round_id = r.id and cr.user_id = m.user_id
+    where m.user_id = auth.uid()
+      and c.author <> auth.uid()
+      and (cr.last_read_at is null or c.created_at > cr.last_read_at)
+    group by r.group_id;
+end;
+$$;
+
+grant execute on function public.unread_comment_counts() to authenticated;
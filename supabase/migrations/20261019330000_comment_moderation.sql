@@ -0,0 +1,243 @@
+-- Comment moderation: authors edit (marked as edited) and delete their comments,
+-- group owners hide comments, members report comments to the owner. Everything is
+-- enforced here (RLS plus a guard trigger) and written to comment_moderation_log,
+-- which only the group owner can read.
+
+alter table public.comments
+  add column if not exists edited_at timestamptz,
+  add column if not exists hidden_at timestamptz,
+  add column if not exists hidden_by uuid references public.profiles (id) on delete set null;
+
+-- Owner of the group a comment was posted in (bypasses RLS, used by the policies below)
+create or replace function public.comment_group_owner(p_comment_id uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select g.owner
+  from public.comments c
+  join public.rounds r on r.id = c.round_id
+  join public.groups g on g.id = r.group_id
+  where c.id = p_comment_id;
+$$;
+
+-- Hidden comments disappear for everyone but their author and the owner.
+-- Restrictive, so it narrows whatever select policy comments already has.
+drop policy if exists "Hidden comments only for author and owner" on public.comments;
+create policy "Hidden comments only for author and owner"
+  on public.comments as restrictive for select
+  using (hidden_at is null or author = auth.uid() or public.comment_group_owner(id) = auth.uid());
+
+drop policy if exists "Authors and owners update comments" on public.comments;
+create policy "Authors and owners update comments"
+  on public.comments for update
+  using (author = auth.uid() or public.comment_group_owner(id) = auth.uid());
+
+-- Replies to a deleted comment go with it (parent_id cascades); each one is logged
+drop policy if exists "Authors delete own comments" on public.comments;
+create policy "Authors delete own comments"
+  on public.comments for delete
+  using (author = auth.uid());
+
+-- Hidden comments neither count as unread nor show their reactions
+create or replace function public.unread_comment_counts()
+returns table (group_id uuid, unread int)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  return query
+    select r.group_id, count(*)::int
+    from public.group_members m
+    join public.rounds r on r.group_id = m.group_id
+    join public.comments c on c.round_id = r.id
+    left join public.comment_reads cr on cr.round_id = r.id and cr.user_id = m.user_id
+    where m.user_id = auth.uid()
+      and c.author <> auth.uid()
+      and (c.hidden_at is null or c.author = auth.uid() or public.comment_group_owner(c.id) = auth.uid())
+      and (cr.last_read_at is null or c.created_at > cr.last_read_at)
+    group by r.group_id;
+end;
+$$;
+
+drop policy if exists "Members read reactions" on public.comment_reactions;
+create policy "Members read reactions"
+  on public.comment_reactions for select
+  using (exists (
+    select 1 from public.comments c join public.rounds r on r.id = c.round_id
+    where c.id = comment_reactions.comment_id
+      and public.is_group_member(r.group_id)
+      and (c.hidden_at is null or c.author = auth.uid() or public.comment_group_owner(c.id) = auth.uid())
+  ));
+
+create table if not exists public.comment_reports (
+  id uuid primary key default gen_random_uuid(),
+  comment_id uuid not null references public.comments (id) on delete cascade,
+  reporter uuid not null references public.profiles (id) on delete cascade,
+  reason text check (char_length(reason) <= 280),
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  unique (comment_id, reporter)
+);
+
+alter table public.comment_reports enable row level security;
+
+drop policy if exists "Reporters and owners read reports" on public.comment_reports;
+create policy "Reporters and owners read reports"
+  on public.comment_reports for select
+  using (reporter = auth.uid() or public.comment_group_owner(comment_id) = auth.uid());
+
+drop policy if exists "Members report comments" on public.comment_reports;
+create policy "Members report comments"
+  on public.comment_reports for insert
+  with check (
+    reporter = auth.uid()
+    and resolved_at is null
+    and exists (
+      select 1 from public.comments c join public.rounds r on r.id = c.round_id
+      where c.id = comment_reports.comment_id
+        and c.author <> auth.uid()
+        and public.is_group_member(r.group_id)
+    )
+  );
+
+drop policy if exists "Owners resolve reports" on public.comment_reports;
+create policy "Owners resolve reports"
+  on public.comment_reports for update
+  using (public.comment_group_owner(comment_id) = auth.uid())
+  with check (public.comment_group_owner(comment_id) = auth.uid());
+
+create table if not exists public.comment_moderation_log (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups (id) on delete cascade,
+  comment_id uuid, -- no FK, the log outlives deleted comments
+  actor uuid references public.profiles (id) on delete set null,
+  action text not null
+    check (action in ('edit', 'delete', 'hide', 'unhide', 'report', 'resolve_report')),
+  details jsonb not null default '{}', -- previous text for edits and deletions (plus author of cascaded replies), report reason
+  created_at timestamptz not null default now()
+);
+
+create index if not exists comment_moderation_log_group_idx
+  on public.comment_moderation_log (group_id, created_at desc);
+
+alter table public.comment_moderation_log enable row level security;
+
+drop policy if exists "Owners read their group's moderation log" on public.comment_moderation_log;
+create policy "Owners read their group's moderation log"
+  on public.comment_moderation_log for select
+  using (exists (select 1 from public.groups g where g.id = group_id and g.owner = auth.uid()));
+
+-- Authors may only change the text, owners only the hidden state.
+-- edited_at and hidden_by are always set here, never by the client.
+create or replace function public.guard_comment_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_owner uuid := public.comment_group_owner(old.id);
+  v_group uuid := (select group_id from public.rounds where id = old.round_id);
+begin
+  if new.round_id <> old.round_id or new.author <> old.author
+     or new.parent_id is distinct from old.parent_id or new.created_at <> old.created_at then
+    raise exception 'Only the text of a comment can be changed' using errcode = '42501';
+  end if;
+
+  if new.text is distinct from old.text then
+    if coalesce(auth.role(), '') <> 'service_role' and old.author is distinct from auth.uid() then
+      raise exception 'Only the author can edit a comment' using errcode = '42501';
+    end if;
+    new.edited_at := now();
+    insert into public.comment_moderation_log (group_id, comment_id, actor, action, details)
+    values (v_group, old.id, auth.uid(), 'edit', jsonb_build_object('previous_text', old.text));
+  else
+    new.edited_at := old.edited_at;
+  end if;
+
+  if (new.hidden_at is null) <> (old.hidden_at is null) then
+    if coalesce(auth.role(), '') <> 'service_role' and v_owner is distinct from auth.uid() then
+      raise exception 'Only the group owner can hide comments' using errcode = '42501';
+    end if;
+    new.hidden_at := case when new.hidden_at is not null then now() end;
+    new.hidden_by := case when new.hidden_at is not null then auth.uid() end;
+    insert into public.comment_moderation_log (group_id, comment_id, actor, action)
+    values (v_group, old.id, auth.uid(), case when new.hidden_at is not null then 'hide' else 'unhide' end);
+  else
+    new.hidden_at := old.hidden_at;
+    new.hidden_by := old.hidden_by;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists comments_guard_update on public.comments;
+create trigger comments_guard_update
+  before update on public.comments
+  for each row execute function public.guard_comment_update();
+
+create or replace function public.log_comment_delete()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group uuid := (select group_id from public.rounds where id = old.round_id);
+begin
+  -- Not when the whole round or group is being deleted. Replies removed along with
+  -- their comment are logged too, with their own author.
+  if v_group is not null then
+    insert into public.comment_moderation_log (group_id, comment_id, actor, action, details)
+    values (v_group, old.id, auth.uid(), 'delete',
+            jsonb_build_object('previous_text', old.text)
+              || case when old.author is distinct from auth.uid()
+                   then jsonb_build_object('author', old.author, 'parent_id', old.parent_id)
+                   else '{}' end);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists comments_log_delete on public.comments;
+create trigger comments_log_delete
+  after delete on public.comments
+  for each row execute function public.log_comment_delete();
+
+create or replace function public.log_comment_report()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group uuid := (
+    select r.group_id from public.comments c join public.rounds r on r.id = c.round_id
+    where c.id = new.comment_id
+  );
+begin
+  if tg_op = 'INSERT' then
+    insert into public.comment_moderation_log (group_id, comment_id, actor, action, details)
+    values (v_group, new.comment_id, new.reporter, 'report', jsonb_build_object('reason', new.reason));
+  elsif new.resolved_at is not null and old.resolved_at is null then
+    insert into public.comment_moderation_log (group_id, comment_id, actor, action, details)
+    values (v_group, new.comment_id, auth.uid(), 'resolve_report', jsonb_build_object('report_id', new.id));
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists comment_reports_log on public.comment_reports;
+create trigger comment_reports_log
+  after insert or update on public.comment_reports
+  for each row execute function public.log_comment_report();
+
+-- Realtime only matches the round_id filter of deletions with the full old row
+alter table public.comments replica identity full;